@@ -1,11 +1,19 @@
-// Migration script to fix schema issues
+// Versioned migrations: migrations/NNN_name.sql, applied in order and tracked in schema_migrations.
+//   node migrate.js [up] [--dry-run]
+//   node migrate.js status
 import dotenv from "dotenv";
 dotenv.config();
 
+import fs from "node:fs";
+import crypto from "node:crypto";
 import { Pool } from "pg";
 
 const DATABASE_URL = process.env.DATABASE_URL;
 const PGSSL = (process.env.PGSSL || "").toLowerCase() === "true";
+const MIGRATIONS_DIR = new URL("./migrations/", import.meta.url);
+
+// любой стабильный номер: два migrate.js одновременно не должны накатывать одно и то же
+const MIGRATION_LOCK_ID = 724001;
 
 if (!DATABASE_URL) {
   console.error("FATAL: DATABASE_URL is missing");
@@ -17,130 +25,138 @@ const pool = new Pool({
   ssl: PGSSL ? { rejectUnauthorized: false } : undefined,
 });
 
-async function q(sql, params) {
-  return pool.query(sql, params);
+function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter((f) => /^\d+_.+\.sql$/.test(f)).sort();
+  const seen = new Set();
+
+  return files.map((file) => {
+    const version = Number(file.split("_")[0]);
+    if (seen.has(version)) throw new Error(`Duplicate migration version ${version} (${file})`);
+    seen.add(version);
+
+    const sql = fs.readFileSync(new URL(file, MIGRATIONS_DIR), "utf8");
+    return {
+      version,
+      name: file.replace(/^\d+_/, "").replace(/\.sql$/, ""),
+      file,
+      sql,
+      checksum: crypto.createHash("sha256").update(sql).digest("hex"),
+    };
+  });
 }
 
-async function migrate() {
-  console.log("Running migrations...");
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+}
 
-  // 1. Add author_user_id column if it doesn't exist
+async function getApplied(client) {
+  const r = await client.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`);
+  return new Map(r.rows.map((x) => [x.version, x]));
+}
+
+async function status() {
+  const client = await pool.connect();
   try {
-    await q(`
-      DO $$
-      BEGIN
-        IF NOT EXISTS (
-          SELECT 1 FROM information_schema.columns 
-          WHERE table_name = 'community_tweets' 
-          AND column_name = 'author_user_id'
-        ) THEN
-          ALTER TABLE community_tweets ADD COLUMN author_user_id text NULL;
-          RAISE NOTICE 'Added author_user_id column';
-        ELSE
-          RAISE NOTICE 'author_user_id column already exists';
-        END IF;
-      END $$;
-    `);
-    console.log("✓ Checked author_user_id column");
-  } catch (e) {
-    console.error("Error checking author_user_id:", e.message);
+    await ensureMigrationsTable(client);
+    const applied = await getApplied(client);
+    const migrations = loadMigrations();
+
+    const rows = migrations.map((m) => {
+      const a = applied.get(m.version);
+      return {
+        version: m.version,
+        name: m.name,
+        state: !a ? "pending" : a.checksum === m.checksum ? "applied" : "CHANGED",
+        applied_at: a ? a.applied_at.toISOString() : "",
+      };
+    });
+    // в БД есть версия, файла которой уже нет
+    for (const [version, a] of applied) {
+      if (!migrations.some((m) => m.version === version)) {
+        rows.push({ version, name: a.name, state: "MISSING FILE", applied_at: a.applied_at.toISOString() });
+      }
+    }
+
+    console.table(rows);
+    const pending = rows.filter((x) => x.state === "pending").length;
+    console.log(pending ? `${pending} pending migration(s)` : "Schema is up to date");
+  } finally {
+    client.release();
   }
+}
 
-  // 2. Ensure PRIMARY KEY constraint exists on (community_id, tweet_id)
+async function up({ dryRun = false } = {}) {
+  const client = await pool.connect();
   try {
-    // Check what PRIMARY KEY constraints exist
-    const pkCheck = await q(`
-      SELECT 
-        tc.constraint_name,
-        string_agg(kcu.column_name, ',' ORDER BY kcu.ordinal_position) as columns
-      FROM information_schema.table_constraints tc
-      JOIN information_schema.key_column_usage kcu 
-        ON tc.constraint_name = kcu.constraint_name
-        AND tc.table_schema = kcu.table_schema
-      WHERE tc.table_name = 'community_tweets' 
-        AND tc.constraint_type = 'PRIMARY KEY'
-      GROUP BY tc.constraint_name
-    `);
-
-    const expectedColumns = 'community_id,tweet_id';
-    let needsFix = true;
-
-    if (pkCheck.rows.length > 0) {
-      const existingPk = pkCheck.rows[0];
-      console.log(`Found PRIMARY KEY: ${existingPk.constraint_name} on (${existingPk.columns})`);
-      
-      if (existingPk.columns === expectedColumns) {
-        console.log("✓ PRIMARY KEY constraint is correct");
-        needsFix = false;
-      } else {
-        console.log(`⚠ PRIMARY KEY exists but on wrong columns, will recreate`);
-        
-        // Check for dependent foreign keys
-        const fkCheck = await q(`
-          SELECT 
-            tc.constraint_name,
-            tc.table_name
-          FROM information_schema.table_constraints tc
-          WHERE tc.constraint_type = 'FOREIGN KEY'
-            AND tc.table_schema = 'public'
-            AND EXISTS (
-              SELECT 1 FROM information_schema.key_column_usage kcu
-              WHERE kcu.constraint_name = tc.constraint_name
-                AND kcu.table_name = 'tweet_metrics_latest'
-                AND kcu.column_name = 'tweet_id'
-            )
-        `);
-        
-        // Drop dependent foreign keys first
-        for (const fk of fkCheck.rows) {
-          console.log(`  Dropping dependent FK: ${fk.constraint_name} on ${fk.table_name}`);
-          await q(`ALTER TABLE ${fk.table_name} DROP CONSTRAINT IF EXISTS ${fk.constraint_name}`);
-        }
-        
-        // Drop existing PK with CASCADE to be safe
-        await q(`ALTER TABLE community_tweets DROP CONSTRAINT ${existingPk.constraint_name} CASCADE`);
-        console.log(`  Dropped old PRIMARY KEY: ${existingPk.constraint_name}`);
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+
+    const applied = await getApplied(client);
+    const migrations = loadMigrations();
+
+    for (const m of migrations) {
+      const a = applied.get(m.version);
+      if (a && a.checksum !== m.checksum) {
+        console.warn(`⚠ ${m.file} was changed after it was applied (checksum mismatch)`);
       }
     }
 
-    if (needsFix) {
-      // Check if columns exist
-      const columnsCheck = await q(`
-        SELECT column_name 
-        FROM information_schema.columns 
-        WHERE table_name = 'community_tweets' 
-        AND column_name IN ('community_id', 'tweet_id')
-      `);
-
-      if (columnsCheck.rows.length === 2) {
-        await q(`
-          ALTER TABLE community_tweets 
-          ADD CONSTRAINT community_tweets_pkey 
-          PRIMARY KEY (community_id, tweet_id)
-        `);
-        console.log("✓ Created PRIMARY KEY constraint on (community_id, tweet_id)");
-        console.log("  Note: Foreign key from tweet_metrics_latest was not recreated (not in schema.sql)");
-      } else {
-        console.warn("⚠ Columns community_id or tweet_id missing, cannot add PRIMARY KEY");
-        console.warn(`  Found columns: ${columnsCheck.rows.map(r => r.column_name).join(', ')}`);
+    const pending = migrations.filter((m) => !applied.has(m.version));
+    if (pending.length === 0) {
+      console.log("Schema is up to date");
+      return;
+    }
+
+    // dry-run: всё в одной транзакции и ROLLBACK в конце -> SQL реально проверен на этой БД
+    if (dryRun) await client.query("BEGIN");
+    for (const m of pending) {
+      if (!dryRun) await client.query("BEGIN");
+      try {
+        await client.query(m.sql);
+        await client.query(`INSERT INTO schema_migrations (version, name, checksum) VALUES ($1,$2,$3)`, [
+          m.version,
+          m.name,
+          m.checksum,
+        ]);
+        if (!dryRun) await client.query("COMMIT");
+      } catch (e) {
+        await client.query("ROLLBACK");
+        throw new Error(`${m.file}: ${e.message}`);
       }
+      console.log(`✓ ${dryRun ? "would apply" : "applied"} ${m.file}`);
     }
-  } catch (e) {
-    console.error("Error fixing PRIMARY KEY:", e.message);
-    throw e;
+    if (dryRun) {
+      await client.query("ROLLBACK");
+      console.log(`Dry run: ${pending.length} migration(s) checked, nothing committed`);
+    } else {
+      console.log(`Migration complete! (${pending.length} applied)`);
+    }
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
   }
+}
+
+async function main() {
+  const cmd = process.argv.slice(2).find((x) => !x.startsWith("--")) || "up";
+  const dryRun = process.argv.includes("--dry-run");
 
-  console.log("Migration complete!");
+  if (cmd === "up") await up({ dryRun });
+  else if (cmd === "status") await status();
+  else throw new Error(`Unknown migrate command: ${cmd} (use up | status)`);
 }
 
-migrate()
-  .then(() => {
-    pool.end();
-    process.exit(0);
-  })
+main()
+  .then(() => pool.end())
   .catch((e) => {
-    console.error("Migration failed:", e);
+    console.error("Migration failed:", e.message);
     pool.end();
-    process.exit(1);
+    process.exitCode = 1;
   });
-
@@ -0,0 +1,136 @@
+-- Base tables in the shape parser.js writes. Also converges databases created
+-- from the old schema.sql (key/value ingest_state, tweet_id-only primary key,
+-- author_id instead of author_user_id, no media_urls).
+
+CREATE TABLE IF NOT EXISTS communities (
+  community_id TEXT PRIMARY KEY,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- old key/value ingest_state is kept aside for manual inspection
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'ingest_state' AND column_name = 'key'
+  ) THEN
+    ALTER TABLE ingest_state RENAME TO ingest_state_legacy;
+    -- free the index name for the new table's primary key
+    IF EXISTS (
+      SELECT 1 FROM pg_constraint
+      WHERE conrelid = 'ingest_state_legacy'::regclass AND conname = 'ingest_state_pkey'
+    ) THEN
+      ALTER TABLE ingest_state_legacy RENAME CONSTRAINT ingest_state_pkey TO ingest_state_legacy_pkey;
+    END IF;
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS ingest_state (
+  community_id TEXT PRIMARY KEY,
+  backfill_cursor TEXT,
+  last_seen_tweet_id TEXT,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS community_tweets (
+  community_id TEXT NOT NULL,
+  tweet_id TEXT NOT NULL,
+  created_at TIMESTAMPTZ,
+  url TEXT,
+  text TEXT,
+  author_user_id TEXT,
+  author_username TEXT,
+  author_name TEXT,
+  raw_json JSONB,
+  media_urls JSONB,
+  inserted_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (community_id, tweet_id)
+);
+
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS author_user_id TEXT;
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS author_name TEXT;
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS raw_json JSONB;
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS media_urls JSONB;
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS inserted_at TIMESTAMPTZ DEFAULT now();
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'community_tweets' AND column_name = 'author_id'
+  ) THEN
+    UPDATE community_tweets SET author_user_id = author_id WHERE author_user_id IS NULL;
+    ALTER TABLE community_tweets DROP COLUMN author_id;
+  END IF;
+END $$;
+
+-- the same tweet can belong to several communities -> PK (community_id, tweet_id)
+DO $$
+DECLARE
+  pk_name TEXT;
+  pk_cols TEXT;
+BEGIN
+  SELECT c.conname, string_agg(a.attname, ',' ORDER BY array_position(c.conkey, a.attnum))
+    INTO pk_name, pk_cols
+  FROM pg_constraint c
+  JOIN pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = ANY (c.conkey)
+  WHERE c.conrelid = 'community_tweets'::regclass AND c.contype = 'p'
+  GROUP BY c.conname;
+
+  IF pk_cols IS DISTINCT FROM 'community_id,tweet_id' THEN
+    IF pk_name IS NOT NULL THEN
+      -- CASCADE also drops foreign keys that pointed at the old tweet_id key
+      EXECUTE format('ALTER TABLE community_tweets DROP CONSTRAINT %I CASCADE', pk_name);
+    END IF;
+    ALTER TABLE community_tweets ADD CONSTRAINT community_tweets_pkey PRIMARY KEY (community_id, tweet_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_ct_community_created ON community_tweets (community_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ct_community_author ON community_tweets (community_id, lower(author_username));
+CREATE INDEX IF NOT EXISTS idx_ct_created ON community_tweets (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS tweet_metrics_latest (
+  tweet_id TEXT PRIMARY KEY,
+  view_count BIGINT DEFAULT 0,
+  like_count BIGINT DEFAULT 0,
+  retweet_count BIGINT DEFAULT 0,
+  reply_count BIGINT DEFAULT 0,
+  quote_count BIGINT DEFAULT 0,
+  bookmark_count BIGINT DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  raw_json JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_tml_updated ON tweet_metrics_latest (updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS users (
+  user_id TEXT PRIMARY KEY,
+  username TEXT UNIQUE,
+  name TEXT,
+  followers BIGINT DEFAULT 0,
+  following BIGINT DEFAULT 0,
+  profile_picture TEXT,
+  verified_type TEXT,
+  is_blue_verified BOOLEAN,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  raw_json JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_username_lower ON users (lower(username));
+
+CREATE TABLE IF NOT EXISTS community_members (
+  community_id TEXT NOT NULL,
+  user_id TEXT,
+  username TEXT,
+  name TEXT,
+  followers BIGINT DEFAULT 0,
+  following BIGINT DEFAULT 0,
+  profile_picture TEXT,
+  is_blue_verified BOOLEAN,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  raw_json JSONB,
+  PRIMARY KEY (community_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_members_community_username_lower ON community_members (community_id, lower(username));
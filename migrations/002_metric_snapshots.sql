@@ -0,0 +1,14 @@
+-- append-only history, downsampled by `prune-snapshots` (hourly for 48h, daily afterwards)
+CREATE TABLE IF NOT EXISTS tweet_metrics_snapshots (
+  tweet_id TEXT NOT NULL,
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  view_count BIGINT DEFAULT 0,
+  like_count BIGINT DEFAULT 0,
+  retweet_count BIGINT DEFAULT 0,
+  reply_count BIGINT DEFAULT 0,
+  quote_count BIGINT DEFAULT 0,
+  bookmark_count BIGINT DEFAULT 0,
+  PRIMARY KEY (tweet_id, captured_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tms_captured ON tweet_metrics_snapshots (captured_at DESC);
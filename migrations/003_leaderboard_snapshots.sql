@@ -0,0 +1,30 @@
+-- frozen leaderboard results (`leaderboard --freeze`), not affected by later metric refreshes
+CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+  community_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  window_from TIMESTAMPTZ NOT NULL,
+  window_to TIMESTAMPTZ NOT NULL,
+  weights JSONB NOT NULL,
+  min_posts INT NOT NULL DEFAULT 1,
+  excluded JSONB,
+  created_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lb_snapshots_community ON leaderboard_snapshots (community_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS leaderboard_entries (
+  snapshot_id BIGINT NOT NULL REFERENCES leaderboard_snapshots (id) ON DELETE CASCADE,
+  rank INT NOT NULL,
+  username TEXT NOT NULL,
+  user_id TEXT,
+  posts BIGINT DEFAULT 0,
+  view_count BIGINT DEFAULT 0,
+  like_count BIGINT DEFAULT 0,
+  retweet_count BIGINT DEFAULT 0,
+  reply_count BIGINT DEFAULT 0,
+  quote_count BIGINT DEFAULT 0,
+  bookmark_count BIGINT DEFAULT 0,
+  score DOUBLE PRECISION NOT NULL,
+  PRIMARY KEY (snapshot_id, rank)
+);
@@ -0,0 +1,15 @@
+-- history of `run` (daemon) jobs
+CREATE TABLE IF NOT EXISTS job_runs (
+  id BIGSERIAL PRIMARY KEY,
+  job TEXT NOT NULL,
+  community_ids TEXT[] NOT NULL DEFAULT '{}',
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ,
+  duration_ms BIGINT,
+  status TEXT NOT NULL DEFAULT 'running', -- running | ok | error | interrupted
+  items INT NOT NULL DEFAULT 0,
+  error TEXT,
+  details JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs (job, started_at DESC);
@@ -0,0 +1,9 @@
+-- paid TwitterApiIO requests per UTC day and command (DAILY_REQUEST_BUDGET is checked against this)
+CREATE TABLE IF NOT EXISTS api_usage (
+  day DATE NOT NULL,
+  command TEXT NOT NULL,
+  requests INT NOT NULL DEFAULT 0,
+  failed INT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (day, command)
+);
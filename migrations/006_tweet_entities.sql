@@ -0,0 +1,12 @@
+-- hashtags / mentions / links / cashtags extracted from tweets (reindex-entities rebuilds them from raw_json)
+CREATE TABLE IF NOT EXISTS tweet_entities (
+  community_id TEXT NOT NULL,
+  tweet_id TEXT NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('hashtag', 'mention', 'url', 'cashtag')),
+  value TEXT NOT NULL, -- нормализовано: без #/@/$, lowercase (url как есть)
+  display TEXT,        -- как написано в твите
+  PRIMARY KEY (community_id, tweet_id, kind, value),
+  FOREIGN KEY (community_id, tweet_id) REFERENCES community_tweets (community_id, tweet_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_tweet_entities_value ON tweet_entities (community_id, kind, value);
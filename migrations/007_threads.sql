@@ -0,0 +1,45 @@
+-- reply / quote / retweet relations (thread <tweet_id> rebuilds conversations from these)
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS conversation_id TEXT;
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS in_reply_to_tweet_id TEXT;
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS in_reply_to_user_id TEXT;
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS in_reply_to_username TEXT;
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS quoted_tweet_id TEXT;
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS retweeted_tweet_id TEXT;
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS is_retweet BOOLEAN NOT NULL DEFAULT false;
+
+-- старые строки: те же поля из raw_json (twitterapi.io: conversationId, inReplyToId, quoted_tweet, retweeted_tweet)
+UPDATE community_tweets SET
+  conversation_id = NULLIF(raw_json->>'conversationId', ''),
+  in_reply_to_tweet_id = NULLIF(raw_json->>'inReplyToId', ''),
+  in_reply_to_user_id = NULLIF(raw_json->>'inReplyToUserId', ''),
+  in_reply_to_username = NULLIF(raw_json->>'inReplyToUsername', ''),
+  quoted_tweet_id = NULLIF(raw_json->'quoted_tweet'->>'id', ''),
+  retweeted_tweet_id = NULLIF(raw_json->'retweeted_tweet'->>'id', ''),
+  is_retweet = COALESCE(jsonb_typeof(raw_json->'retweeted_tweet') = 'object', false)
+WHERE raw_json IS NOT NULL AND raw_json <> '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_ct_conversation ON community_tweets (community_id, conversation_id);
+CREATE INDEX IF NOT EXISTS idx_ct_in_reply_to ON community_tweets (community_id, in_reply_to_tweet_id);
+CREATE INDEX IF NOT EXISTS idx_ct_quoted ON community_tweets (community_id, quoted_tweet_id);
+
+-- родители/корни веток вне сообщества (догружаются через /twitter/tweets)
+CREATE TABLE IF NOT EXISTS external_tweets (
+  tweet_id TEXT PRIMARY KEY,
+  created_at TIMESTAMPTZ,
+  author_user_id TEXT,
+  author_username TEXT,
+  author_name TEXT,
+  url TEXT,
+  text TEXT,
+  conversation_id TEXT,
+  in_reply_to_tweet_id TEXT,
+  in_reply_to_user_id TEXT,
+  in_reply_to_username TEXT,
+  quoted_tweet_id TEXT,
+  retweeted_tweet_id TEXT,
+  is_retweet BOOLEAN NOT NULL DEFAULT false,
+  raw_json JSONB,
+  fetched_at TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_external_tweets_conversation ON external_tweets (conversation_id);
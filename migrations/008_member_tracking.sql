@@ -0,0 +1,35 @@
+-- каждый sync-members = прогон; кого не было в последнем полном прогоне, считаем ушедшим
+CREATE TABLE IF NOT EXISTS member_sync_runs (
+  id BIGSERIAL PRIMARY KEY,
+  community_id TEXT NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at TIMESTAMPTZ,
+  status TEXT NOT NULL DEFAULT 'running', -- running | complete | incomplete
+  pages INT NOT NULL DEFAULT 0,
+  members INT NOT NULL DEFAULT 0,
+  joined INT NOT NULL DEFAULT 0,
+  departed INT NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_sync_runs_community ON member_sync_runs (community_id, started_at DESC);
+
+ALTER TABLE community_members ADD COLUMN IF NOT EXISTS joined_at TIMESTAMPTZ;
+ALTER TABLE community_members ADD COLUMN IF NOT EXISTS left_at TIMESTAMPTZ;
+ALTER TABLE community_members ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMPTZ;
+ALTER TABLE community_members ADD COLUMN IF NOT EXISTS last_sync_run_id BIGINT;
+
+-- до трекинга точная дата вступления неизвестна: берём первое, что видели
+UPDATE community_members SET joined_at = COALESCE(updated_at, now()), last_seen_at = updated_at WHERE joined_at IS NULL;
+ALTER TABLE community_members ALTER COLUMN joined_at SET DEFAULT now();
+
+CREATE TABLE IF NOT EXISTS member_events (
+  id BIGSERIAL PRIMARY KEY,
+  community_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  username TEXT,
+  event TEXT NOT NULL CHECK (event IN ('join', 'leave')),
+  sync_run_id BIGINT REFERENCES member_sync_runs (id) ON DELETE SET NULL,
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_events_community ON member_events (community_id, occurred_at);
@@ -0,0 +1,27 @@
+-- сработавшие правила алертов: одно срабатывание на (правило, сообщество, субъект)
+CREATE TABLE IF NOT EXISTS alert_firings (
+  id BIGSERIAL PRIMARY KEY,
+  rule_name TEXT NOT NULL,
+  community_id TEXT NOT NULL,
+  subject TEXT NOT NULL, -- tweet_id / user_id / username, зависит от типа правила
+  message TEXT NOT NULL,
+  data JSONB,
+  fired_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (rule_name, community_id, subject)
+);
+
+-- доставка каждого срабатывания в каждый webhook (URL берётся из конфига, в БД только имя)
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  firing_id BIGINT NOT NULL REFERENCES alert_firings (id) ON DELETE CASCADE,
+  webhook TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | delivered | failed
+  attempts INT NOT NULL DEFAULT 0,
+  last_status INT,
+  last_error TEXT,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_pending ON alert_deliveries (next_attempt_at) WHERE status = 'pending';
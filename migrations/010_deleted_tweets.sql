@@ -0,0 +1,8 @@
+-- id, запрошенный в /twitter/tweets, но не вернувшийся: считаем промахи подряд,
+-- после DELETED_AFTER_MISSES помечаем удалённым/недоступным (удалён, protected, бан)
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS missing_count INT NOT NULL DEFAULT 0;
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS last_missing_at TIMESTAMPTZ;
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS community_tweets_deleted_idx
+  ON community_tweets (community_id, deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,29 @@
+-- скачанные картинки: одна строка на содержимое (sha256), где бы оно ни встречалось
+CREATE TABLE IF NOT EXISTS media_files (
+  sha256 TEXT PRIMARY KEY,
+  storage TEXT NOT NULL, -- local | s3
+  path TEXT NOT NULL,    -- путь к файлу или s3://bucket/key
+  size_bytes BIGINT NOT NULL,
+  mime_type TEXT,
+  width INT,
+  height INT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- media_urls твита -> файл; pending строки = очередь archive-media (с неё и продолжаем)
+CREATE TABLE IF NOT EXISTS tweet_media (
+  community_id TEXT NOT NULL,
+  tweet_id TEXT NOT NULL,
+  url TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | archived | failed
+  sha256 TEXT REFERENCES media_files (sha256),
+  attempts INT NOT NULL DEFAULT 0,
+  last_error TEXT,
+  archived_at TIMESTAMPTZ,
+  PRIMARY KEY (community_id, tweet_id, url),
+  FOREIGN KEY (community_id, tweet_id) REFERENCES community_tweets (community_id, tweet_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS tweet_media_pending_idx ON tweet_media (community_id, tweet_id, url) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS tweet_media_url_idx ON tweet_media (url);
+CREATE INDEX IF NOT EXISTS tweet_media_sha256_idx ON tweet_media (sha256);
@@ -0,0 +1,24 @@
+-- каждое замеченное изменение профиля (refresh-users / sync-members), ключ — user_id, не username:
+-- переименования и рост followers больше не теряются при перезаписи users.
+-- changed = какие поля изменились; пустой массив = первое наблюдение
+CREATE TABLE IF NOT EXISTS user_history (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  observed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  source TEXT NOT NULL,
+  username TEXT,
+  name TEXT,
+  followers BIGINT,
+  following BIGINT,
+  profile_picture TEXT,
+  changed TEXT[] NOT NULL DEFAULT '{}'
+);
+
+CREATE INDEX IF NOT EXISTS user_history_user_idx ON user_history (user_id, observed_at);
+CREATE INDEX IF NOT EXISTS user_history_username_idx ON user_history (lower(username));
+
+-- текущее состояние users = первая точка истории
+INSERT INTO user_history (user_id, observed_at, source, username, name, followers, following, profile_picture)
+SELECT u.user_id, COALESCE(u.updated_at, now()), 'migration', u.username, u.name, u.followers, u.following, u.profile_picture
+FROM users u
+WHERE NOT EXISTS (SELECT 1 FROM user_history h WHERE h.user_id = u.user_id);
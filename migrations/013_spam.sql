@@ -0,0 +1,23 @@
+-- результат последнего прогона score-spam: одна строка на автора с причинами
+CREATE TABLE IF NOT EXISTS spam_scores (
+  community_id TEXT NOT NULL,
+  username TEXT NOT NULL, -- lower(author_username), как в leaderboard
+  user_id TEXT,
+  score REAL NOT NULL,
+  reasons JSONB NOT NULL, -- [{ rule, weight, detail, tweet_ids }]
+  scored_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (community_id, username)
+);
+
+-- ручные решения модератора: allow = не флагать, deny = никогда не показывать в рейтингах
+CREATE TABLE IF NOT EXISTS account_lists (
+  community_id TEXT NOT NULL,
+  username TEXT NOT NULL,
+  list TEXT NOT NULL CHECK (list IN ('allow', 'deny')),
+  note TEXT,
+  added_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (community_id, username)
+);
+
+-- возраст аккаунта для правила "новый аккаунт с ненормальными лайками"
+ALTER TABLE users ADD COLUMN IF NOT EXISTS account_created_at TIMESTAMPTZ;
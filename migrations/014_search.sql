@@ -0,0 +1,12 @@
+-- полнотекстовый поиск по тексту твитов (команда search, GET /api/search).
+-- Конфигурация russian: кириллица -> russian_stem, латиница (asciiword) -> english_stem, так что один
+-- tsvector стеммит оба языка. Колонка generated — поддерживается на любом INSERT/UPDATE без кода в ingest.
+-- Таблица переписывается один раз при добавлении колонки.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE community_tweets ADD COLUMN IF NOT EXISTS search_tsv tsvector
+  GENERATED ALWAYS AS (to_tsvector('russian', coalesce(text, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS community_tweets_search_idx ON community_tweets USING GIN (search_tsv);
+-- триграммы: опечатки и куски слов, которые не ловит стемминг (search --fuzzy и fallback)
+CREATE INDEX IF NOT EXISTS community_tweets_text_trgm_idx ON community_tweets USING GIN (text gin_trgm_ops);
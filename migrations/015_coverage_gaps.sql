@@ -0,0 +1,19 @@
+-- дыры в покрытии ленты: ingest-new остановился (24ч cutoff / лимит страниц), не дойдя до уже собранного.
+-- (gap_from, gap_to) — между самым новым твитом, что был до запуска, и самым старым из запуска.
+-- heal-gaps листает ленту с cursor и закрывает дыру, когда доходит до gap_from.
+CREATE TABLE IF NOT EXISTS coverage_gaps (
+  id BIGSERIAL PRIMARY KEY,
+  community_id TEXT NOT NULL,
+  gap_from TIMESTAMPTZ NOT NULL,
+  gap_to TIMESTAMPTZ NOT NULL,
+  reason TEXT NOT NULL,                    -- cutoff | page limit
+  status TEXT NOT NULL DEFAULT 'pending',  -- pending | closed
+  cursor TEXT,                             -- страница ленты, с которой продолжать (NULL = с начала)
+  pages INT NOT NULL DEFAULT 0,
+  inserted INT NOT NULL DEFAULT 0,
+  detected_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  closed_at TIMESTAMPTZ,
+  CHECK (gap_from < gap_to)
+);
+
+CREATE INDEX IF NOT EXISTS coverage_gaps_pending_idx ON coverage_gaps (community_id, gap_to DESC) WHERE status = 'pending';
@@ -0,0 +1,50 @@
+-- дневные агрегаты (UTC) для community-stats и дашбордов: не сканировать community_tweets каждый раз.
+-- Пересчитываются после ingest/metrics/sync-members по дням, где что-то поменялось с прошлого раза
+-- (rollup_state.refreshed_at); node parser.js rebuild-rollups пересобирает любые дни заново.
+CREATE TABLE IF NOT EXISTS daily_community_stats (
+  community_id TEXT NOT NULL,
+  day DATE NOT NULL,
+  posts INT NOT NULL DEFAULT 0,      -- без удалённых
+  posters INT NOT NULL DEFAULT 0,
+  deleted INT NOT NULL DEFAULT 0,
+  view_count BIGINT NOT NULL DEFAULT 0,
+  like_count BIGINT NOT NULL DEFAULT 0,
+  retweet_count BIGINT NOT NULL DEFAULT 0,
+  reply_count BIGINT NOT NULL DEFAULT 0,
+  quote_count BIGINT NOT NULL DEFAULT 0,
+  bookmark_count BIGINT NOT NULL DEFAULT 0,
+  engagement BIGINT NOT NULL DEFAULT 0,
+  median_views REAL,                 -- по твитам с метриками
+  median_likes REAL,
+  median_engagement REAL,
+  new_members INT NOT NULL DEFAULT 0,
+  left_members INT NOT NULL DEFAULT 0,
+  refreshed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (community_id, day)
+);
+
+CREATE TABLE IF NOT EXISTS daily_author_stats (
+  community_id TEXT NOT NULL,
+  day DATE NOT NULL,
+  username TEXT NOT NULL,            -- lower(author_username)
+  user_id TEXT,
+  posts INT NOT NULL DEFAULT 0,
+  view_count BIGINT NOT NULL DEFAULT 0,
+  like_count BIGINT NOT NULL DEFAULT 0,
+  retweet_count BIGINT NOT NULL DEFAULT 0,
+  reply_count BIGINT NOT NULL DEFAULT 0,
+  quote_count BIGINT NOT NULL DEFAULT 0,
+  bookmark_count BIGINT NOT NULL DEFAULT 0,
+  engagement BIGINT NOT NULL DEFAULT 0,
+  PRIMARY KEY (community_id, day, username)
+);
+
+CREATE INDEX IF NOT EXISTS daily_author_stats_username_idx ON daily_author_stats (community_id, username, day);
+
+-- до какого момента изменения уже разложены по дням
+CREATE TABLE IF NOT EXISTS rollup_state (
+  community_id TEXT PRIMARY KEY,
+  refreshed_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS community_tweets_inserted_idx ON community_tweets (community_id, inserted_at);
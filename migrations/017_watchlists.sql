@@ -0,0 +1,32 @@
+-- watchlists: темы (ключевые слова, regex) и аккаунты (автор, упоминание), за которыми следим внутри сообщества.
+-- Каждый твит из upsertCommunityTweets прогоняется по правилам; совпадения — в watch_matches (по одному на правило и твит).
+CREATE TABLE IF NOT EXISTS watchlists (
+  id BIGSERIAL PRIMARY KEY,
+  community_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (community_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS watchlist_rules (
+  id BIGSERIAL PRIMARY KEY,
+  watchlist_id BIGINT NOT NULL REFERENCES watchlists (id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('keyword', 'regex', 'author', 'mention')),
+  pattern TEXT NOT NULL,  -- keyword: фраза без учёта регистра; regex: JS RegExp (флаги iu); author/mention: handle без @
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (watchlist_id, kind, pattern)
+);
+
+CREATE TABLE IF NOT EXISTS watch_matches (
+  rule_id BIGINT NOT NULL REFERENCES watchlist_rules (id) ON DELETE CASCADE,
+  watchlist_id BIGINT NOT NULL REFERENCES watchlists (id) ON DELETE CASCADE,
+  community_id TEXT NOT NULL,
+  tweet_id TEXT NOT NULL,
+  matched TEXT,           -- что именно совпало (слово, кусок regex, @handle)
+  matched_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (rule_id, tweet_id),
+  FOREIGN KEY (community_id, tweet_id) REFERENCES community_tweets (community_id, tweet_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS watch_matches_watchlist_idx ON watch_matches (watchlist_id, matched_at DESC);
+CREATE INDEX IF NOT EXISTS watch_matches_tweet_idx ON watch_matches (community_id, tweet_id);
@@ -0,0 +1,4 @@
+-- refresh-rollups ищет изменённые дни отдельными запросами по inserted_at / deleted_at / last_missing_at;
+-- для inserted_at и deleted_at индексы уже есть (016, 010), здесь — для промахов refresh-metrics
+CREATE INDEX IF NOT EXISTS community_tweets_last_missing_idx
+  ON community_tweets (community_id, last_missing_at) WHERE last_missing_at IS NOT NULL;
@@ -0,0 +1,8 @@
+-- когда правило последний раз проверялось в сообществе: user_posts срабатывает только на авторов,
+-- перешедших порог после этой отметки (первая проверка лишь ставит её, без алертов по всей истории)
+CREATE TABLE IF NOT EXISTS alert_rule_checks (
+  rule_name TEXT NOT NULL,
+  community_id TEXT NOT NULL,
+  checked_at TIMESTAMPTZ NOT NULL,
+  PRIMARY KEY (rule_name, community_id)
+);
@@ -4,23 +4,65 @@
 import dotenv from "dotenv";
 dotenv.config();
 
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
 import { Pool } from "pg";
+import express from "express";
+import { ParquetWriter, fileWriter, schemaFromColumnData } from "hyparquet-writer";
 
 const BASE_URL = process.env.TWITTERAPI_BASE_URL || "https://api.twitterapi.io";
 
 const API_KEY = process.env.TWITTERAPI_IO_KEY;
-const COMMUNITY_ID = process.env.COMMUNITY_ID;
+
+// live = обычные запросы, record = запросы + сохранение ответов в fixtures,
+// replay = ответы только из fixtures (без сети и без ключа)
+const TWITTERAPI_MODE = process.argv.includes("--replay")
+  ? "replay"
+  : process.argv.includes("--record")
+    ? "record"
+    : (process.env.TWITTERAPI_MODE || "live").toLowerCase();
+const TWITTERAPI_FIXTURES_DIR = process.env.TWITTERAPI_FIXTURES_DIR || "fixtures";
+// можно несколько через запятую: COMMUNITY_ID=123,456
+const COMMUNITY_IDS = splitList(process.env.COMMUNITY_ID);
 const DATABASE_URL = process.env.DATABASE_URL;
 
 // free-tier часто 1 запрос / 5 секунд -> ставим 5200-6000мс
 const MIN_REQUEST_INTERVAL_MS = Number(process.env.MIN_REQUEST_INTERVAL_MS || 5200);
 
+// адаптивный лимитер: после 429 интервал растёт (x2) до MAX, на успешных ответах плавно возвращается к MIN
+const MAX_REQUEST_INTERVAL_MS = Number(process.env.MAX_REQUEST_INTERVAL_MS || 60000);
+
+// сколько запросов можно сделать "пачкой" после простоя (ёмкость token bucket)
+const RATE_BURST = Number(process.env.RATE_BURST || 1);
+
+// экспоненциальный backoff с jitter для 5xx / сетевых ошибок / 429 без Retry-After
+const RETRY_BASE_MS = Number(process.env.RETRY_BASE_MS || 1000);
+const RETRY_MAX_MS = Number(process.env.RETRY_MAX_MS || 60000);
+
+// лимит платных запросов в сутки (UTC) на все команды вместе, 0 = без лимита
+const DAILY_REQUEST_BUDGET = Number(process.env.DAILY_REQUEST_BUDGET || 0);
+
 // сколько страниц newest-листы смотреть (ingest-new)
 const TOP_PAGES = Number(process.env.TOP_PAGES || 3);
 
 // сколько часов считать “recent tweets” для обновления метрик
 const RECENT_HOURS = Number(process.env.RECENT_HOURS || 48);
 
+// tiered refresh-metrics: как часто обновлять твит в зависимости от возраста (0 = никогда, кроме первого раза)
+const REFRESH_HOT_EVERY_MIN = Number(process.env.REFRESH_HOT_EVERY_MIN ?? 30);       // < 24ч
+const REFRESH_WARM_EVERY_MIN = Number(process.env.REFRESH_WARM_EVERY_MIN ?? 6 * 60); // < 7д
+const REFRESH_COOL_EVERY_MIN = Number(process.env.REFRESH_COOL_EVERY_MIN ?? 24 * 60); // < 30д
+const REFRESH_COLD_EVERY_MIN = Number(process.env.REFRESH_COLD_EVERY_MIN ?? 0);       // старше
+// быстро растущий твит (просмотров в час между двумя последними снапшотами) -> hot независимо от возраста
+const REFRESH_FAST_VIEWS_PER_HOUR = Number(process.env.REFRESH_FAST_VIEWS_PER_HOUR || 100);
+// потолок запросов на сообщество за прогон (0 = только дневной бюджет)
+const REFRESH_MAX_REQUESTS = Number(process.env.REFRESH_MAX_REQUESTS || 0);
+// сколько refresh подряд твит может не вернуться из /twitter/tweets, прежде чем считаться удалённым
+const DELETED_AFTER_MISSES = Number(process.env.DELETED_AFTER_MISSES || 3);
+// удалённые тоже иногда спрашиваем снова (protected мог открыться): не чаще раза в N минут, 0 = никогда
+const DELETED_RECHECK_EVERY_MIN = Number(process.env.DELETED_RECHECK_EVERY_MIN ?? 7 * 24 * 60);
+
 // сколько часов считать “active posters” для refresh-users
 const ACTIVE_HOURS = Number(process.env.ACTIVE_HOURS || 24);
 
@@ -33,11 +75,79 @@ const BACKFILL_CUTOFF_DAYS = Number(process.env.BACKFILL_CUTOFF_DAYS || 0);
 // сколько страниц backfill делать за один запуск (чтобы не висеть вечность)
 const BACKFILL_PAGES_PER_RUN = Number(process.env.BACKFILL_PAGES_PER_RUN || 50);
 
+// ingest-new: насколько глубоко в ленту смотреть и сколько страниц максимум;
+// если упёрлись раньше, чем дошли до уже собранного, — пишем дыру в coverage_gaps
+const INGEST_MAX_HOURS = Number(process.env.INGEST_MAX_HOURS || 24);
+const INGEST_MAX_PAGES = Number(process.env.INGEST_MAX_PAGES || 100);
+
+// heal-gaps: страниц ленты за один запуск (на сообщество)
+const HEAL_GAPS_PAGES_PER_RUN = Number(process.env.HEAL_GAPS_PAGES_PER_RUN || 50);
+
+// снапшоты метрик: почасовые за последние N часов, дальше по одному в день
+const SNAPSHOT_HOURLY_HOURS = Number(process.env.SNAPSHOT_HOURLY_HOURS || 48);
+
+// сколько дней хранить снапшоты вообще (0 = вечно)
+const SNAPSHOT_RETENTION_DAYS = Number(process.env.SNAPSHOT_RETENTION_DAYS || 0);
+
 // SSL для Railway Postgres (обычно нужно)
 const PGSSL = (process.env.PGSSL || "").toLowerCase() === "true";
 
-if (!API_KEY) console.warn("WARN: TWITTERAPI_IO_KEY is missing");
-if (!COMMUNITY_ID) console.warn("WARN: COMMUNITY_ID is missing");
+// run (daemon): как часто запускать каждую job, в минутах (0 = выключить)
+const RUN_INGEST_EVERY_MIN = Number(process.env.RUN_INGEST_EVERY_MIN ?? 10);
+const RUN_METRICS_EVERY_MIN = Number(process.env.RUN_METRICS_EVERY_MIN ?? 30); // tiered: сам решает, что пора обновить
+const RUN_USERS_EVERY_MIN = Number(process.env.RUN_USERS_EVERY_MIN ?? 24 * 60);
+const RUN_MEMBERS_EVERY_MIN = Number(process.env.RUN_MEMBERS_EVERY_MIN ?? 7 * 24 * 60);
+const RUN_SPAM_EVERY_MIN = Number(process.env.RUN_SPAM_EVERY_MIN ?? 0); // opt-in: score-spam по расписанию
+const RUN_GAPS_EVERY_MIN = Number(process.env.RUN_GAPS_EVERY_MIN ?? 60);
+
+// leaderboard: веса метрик для score, минимум постов и кого не учитывать
+const LEADERBOARD_WEIGHTS =
+  process.env.LEADERBOARD_WEIGHTS || "views:0.01,likes:1,retweets:3,replies:2,quotes:3,bookmarks:2";
+const LEADERBOARD_MIN_POSTS = Number(process.env.LEADERBOARD_MIN_POSTS || 1);
+const LEADERBOARD_EXCLUDE = process.env.LEADERBOARD_EXCLUDE || "";
+
+// insights: часовой пояс для часа/дня недели, минимум твитов в корзине и сколько часов твит "дозревает"
+const INSIGHTS_TZ = process.env.INSIGHTS_TZ || "UTC";
+const INSIGHTS_MIN_SAMPLE = Number(process.env.INSIGHTS_MIN_SAMPLE || 20);
+const INSIGHTS_MIN_AGE_HOURS = Number(process.env.INSIGHTS_MIN_AGE_HOURS ?? 24);
+
+// score-spam: окно, пороги правил и с какого score автор сам выпадает из рейтингов (0 = только deny-список)
+const SPAM_WINDOW_DAYS = Number(process.env.SPAM_WINDOW_DAYS || 7);
+const SPAM_BURST_POSTS = Number(process.env.SPAM_BURST_POSTS || 5);
+const SPAM_BURST_MINUTES = Number(process.env.SPAM_BURST_MINUTES || 10);
+const SPAM_LOW_FOLLOWERS = Number(process.env.SPAM_LOW_FOLLOWERS || 100);
+const SPAM_NEW_ACCOUNT_DAYS = Number(process.env.SPAM_NEW_ACCOUNT_DAYS || 30);
+const SPAM_LIKE_VIEW_RATIO = Number(process.env.SPAM_LIKE_VIEW_RATIO || 0.2);
+const SPAM_LINK_SHARE = Number(process.env.SPAM_LINK_SHARE || 0.8);
+const SPAM_DUPLICATE_SIMILARITY = Number(process.env.SPAM_DUPLICATE_SIMILARITY || 0.7);
+const SPAM_EXCLUDE_SCORE = Number(process.env.SPAM_EXCLUDE_SCORE || 0);
+
+// алерты: правила + webhooks в JSON (см. checkAlerts), проверяются после ingest-new / refresh-metrics / sync-members
+const ALERTS_CONFIG = process.env.ALERTS_CONFIG || "alerts.json";
+const ALERT_MAX_ATTEMPTS = Number(process.env.ALERT_MAX_ATTEMPTS || 6);
+const ALERT_RETRY_BASE_MS = Number(process.env.ALERT_RETRY_BASE_MS || 2000);
+const ALERT_TIMEOUT_MS = Number(process.env.ALERT_TIMEOUT_MS || 10000);
+
+// archive-media: куда складывать картинки (local = MEDIA_DIR, s3 = любой S3-совместимый endpoint)
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE || "local";
+const MEDIA_DIR = process.env.MEDIA_DIR || "media";
+const MEDIA_S3_ENDPOINT = process.env.MEDIA_S3_ENDPOINT || "";
+const MEDIA_S3_REGION = process.env.MEDIA_S3_REGION || "us-east-1";
+const MEDIA_S3_BUCKET = process.env.MEDIA_S3_BUCKET || "";
+const MEDIA_S3_PREFIX = process.env.MEDIA_S3_PREFIX || "";
+const MEDIA_S3_ACCESS_KEY_ID = process.env.MEDIA_S3_ACCESS_KEY_ID || "";
+const MEDIA_S3_SECRET_ACCESS_KEY = process.env.MEDIA_S3_SECRET_ACCESS_KEY || "";
+const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES || 20 * 1024 * 1024);
+const MEDIA_MAX_ATTEMPTS = Number(process.env.MEDIA_MAX_ATTEMPTS || 3);
+const MEDIA_TIMEOUT_MS = Number(process.env.MEDIA_TIMEOUT_MS || 30000);
+
+// HTTP API (serve)
+const PORT = Number(process.env.PORT || 3000);
+const API_PAGE_SIZE = Number(process.env.API_PAGE_SIZE || 50);
+const API_MAX_PAGE_SIZE = Number(process.env.API_MAX_PAGE_SIZE || 200);
+
+if (!API_KEY && TWITTERAPI_MODE !== "replay") console.warn("WARN: TWITTERAPI_IO_KEY is missing");
+if (COMMUNITY_IDS.length === 0) console.warn("WARN: COMMUNITY_ID is missing");
 if (!DATABASE_URL) console.warn("WARN: DATABASE_URL is missing");
 
 function die(msg) {
@@ -49,31 +159,181 @@ function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+function splitList(s) {
+  return String(s || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// --name=value из argv (undefined если флага нет)
+function argValue(name) {
+  const a = process.argv.find((x) => x.startsWith(`--${name}=`));
+  return a ? a.slice(name.length + 3) : undefined;
+}
+
+// --name=N: целое >= 0 (как parseIntParam в API), иначе die; флага нет -> def
+function intArg(name, def) {
+  const v = argValue(name);
+  if (v === undefined) return def;
+  const n = Number(v);
+  if (v === "" || !Number.isInteger(n) || n < 0) die(`--${name} must be a non-negative integer`);
+  return n;
+}
+
 function chunk(arr, size) {
   const out = [];
   for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
   return out;
 }
 
-// ---------- API client with strict pacing + retries ----------
+// ---------- API client with adaptive pacing + retries ----------
+class BudgetExceededError extends Error {}
+
+function backoffMs(attempt, baseMs = RETRY_BASE_MS) {
+  const exp = Math.min(RETRY_MAX_MS, baseMs * 2 ** (attempt - 1));
+  return Math.round(exp / 2 + (Math.random() * exp) / 2);
+}
+
+// Retry-After: секунды или HTTP-дата
+function retryAfterMs(headers) {
+  const v = headers?.["retry-after"];
+  if (!v) return null;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const ts = Date.parse(v);
+  return Number.isNaN(ts) ? null : Math.max(0, ts - Date.now());
+}
+
+// x-ratelimit-remaining: 0 -> ждём до x-ratelimit-reset (epoch-секунды или "через N секунд")
+function rateLimitResetMs(headers) {
+  if (headers?.["x-ratelimit-remaining"] !== "0") return null;
+  const reset = Number(headers["x-ratelimit-reset"]);
+  if (!Number.isFinite(reset)) return null;
+  return reset > 1e9 ? Math.max(0, reset * 1000 - Date.now()) : reset * 1000;
+}
+
 class TwitterApiIO {
-  constructor({ baseUrl, apiKey, minIntervalMs }) {
+  constructor({
+    baseUrl,
+    apiKey,
+    minIntervalMs,
+    maxIntervalMs = MAX_REQUEST_INTERVAL_MS,
+    burst = RATE_BURST,
+    mode = "live",
+    fixturesDir = "fixtures",
+    usage = null,
+  }) {
+    if (!["live", "record", "replay"].includes(mode)) die(`Unknown TWITTERAPI_MODE: ${mode}`);
     this.baseUrl = baseUrl.replace(/\/$/, "");
     this.apiKey = apiKey;
-    this.minIntervalMs = minIntervalMs;
-    this._lastTs = 0;
+    this.mode = mode;
+    this.fixturesDir = fixturesDir;
+    // в replay не ждём ни паузу, ни 429-backoff
+    this.minIntervalMs = mode === "replay" ? 0 : minIntervalMs;
+    this.maxIntervalMs = Math.max(maxIntervalMs, this.minIntervalMs);
+    this.intervalMs = this.minIntervalMs; // текущий интервал token bucket (адаптивный)
+    this.burst = Math.max(1, burst);
+    this.usage = usage; // ApiUsage: бюджет и счётчик запросов в Postgres
+    this._sleep = mode === "replay" ? async () => {} : sleep;
+    this._tokens = this.burst;
+    this._refillTs = Date.now();
+    this._blockedUntil = 0; // Retry-After / x-ratelimit-reset
+    this._recorded = new Set(); // ключи, уже перезаписанные в этом процессе (record)
+    this._replayPos = new Map(); // ключ -> индекс следующего ответа (replay)
   }
 
+  // token bucket: токен копится раз в intervalMs, не больше burst
   async _pace() {
-    const now = Date.now();
-    const wait = this._lastTs + this.minIntervalMs - now;
-    if (wait > 0) await sleep(wait);
-    this._lastTs = Date.now();
+    if (this.mode === "replay") return;
+    while (true) {
+      const now = Date.now();
+      this._tokens = this.intervalMs > 0
+        ? Math.min(this.burst, this._tokens + (now - this._refillTs) / this.intervalMs)
+        : this.burst;
+      this._refillTs = now;
+
+      if (this._blockedUntil > now) {
+        await this._sleep(this._blockedUntil - now);
+        continue;
+      }
+      if (this._tokens >= 1) {
+        this._tokens -= 1;
+        return;
+      }
+      await this._sleep(Math.ceil((1 - this._tokens) * this.intervalMs));
+    }
+  }
+
+  _slowDown() {
+    this.intervalMs = Math.min(this.maxIntervalMs, Math.max(this.intervalMs, 1000) * 2);
+    this._tokens = 0;
+  }
+
+  _speedUp() {
+    this.intervalMs = Math.max(this.minIntervalMs, Math.round(this.intervalMs * 0.9));
+  }
+
+  _holdFor(ms) {
+    if (ms > 0) this._blockedUntil = Math.max(this._blockedUntil, Date.now() + ms);
+  }
+
+  // fixture = все ответы на один и тот же path+params по порядку (включая 429)
+  _fixtureFile(path, params) {
+    const qs = Object.keys(params)
+      .filter((k) => params[k] !== undefined && params[k] !== null && params[k] !== "")
+      .sort()
+      .map((k) => `${k}=${params[k]}`)
+      .join("&");
+    const hash = crypto.createHash("sha1").update(`${path}?${qs}`).digest("hex").slice(0, 12);
+    const name = `${path.replace(/^\//, "").replace(/[^a-z0-9]+/gi, "_")}-${hash}.json`;
+    return { file: `${this.fixturesDir}/${name}`, key: `${path}?${qs}` };
+  }
+
+  _readFixture(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+  }
+
+  async _request(url, path, params) {
+    const { file, key } = this._fixtureFile(path, params);
+
+    if (this.mode === "replay") {
+      const fx = this._readFixture(file);
+      if (!fx?.responses?.length) throw new Error(`No fixture for GET ${key} (${file})`);
+      const i = this._replayPos.get(key) || 0;
+      this._replayPos.set(key, i + 1);
+      // ответы кончились -> дальше отдаём последний
+      return fx.responses[Math.min(i, fx.responses.length - 1)];
+    }
+
+    const res = await fetch(url, {
+      method: "GET",
+      headers: { "X-API-Key": this.apiKey },
+    });
+    // из заголовков сохраняем только то, что влияет на поведение клиента
+    const headers = Object.fromEntries(
+      [...res.headers].filter(([k]) => k === "content-type" || k === "retry-after" || k.startsWith("x-ratelimit"))
+    );
+    const out = { status: res.status, headers, body: await res.text() };
+
+    if (this.mode === "record") {
+      const fx = (this._recorded.has(key) && this._readFixture(file)) || { path, params, responses: [] };
+      fx.responses.push(out);
+      fs.mkdirSync(this.fixturesDir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(fx, null, 2) + "\n");
+      this._recorded.add(key);
+    }
+
+    return out;
   }
 
   async get(path, params = {}, { retries = 6 } = {}) {
-    if (!this.apiKey) die("No TWITTERAPI_IO_KEY");
-    await this._pace();
+    if (!this.apiKey && this.mode !== "replay") die("No TWITTERAPI_IO_KEY");
 
     const url = new URL(this.baseUrl + path);
     for (const [k, v] of Object.entries(params)) {
@@ -84,38 +344,60 @@ class TwitterApiIO {
     let attempt = 0;
     while (true) {
       attempt++;
-      const res = await fetch(url, {
-        method: "GET",
-        headers: { "X-API-Key": this.apiKey },
-      });
+      // бюджет проверяем до запроса: лучше остановиться, чем переплатить
+      if (this.usage) await this.usage.check();
+      await this._pace();
 
-      // 429 handling
-      if (res.status === 429 && attempt <= retries) {
-        let waitMs = this.minIntervalMs + attempt * 1000; // растём
-        try {
-          const j = await res.json();
-          // иногда там msg типа "one request every 5 seconds"
-          console.warn("API 429:", j?.message || j?.msg || "Too Many Requests");
-        } catch {}
-        console.warn(`429 -> retry in ${waitMs}ms (attempt ${attempt}/${retries})`);
-        await sleep(waitMs);
-        await this._pace();
+      let res;
+      try {
+        res = await this._request(url, path, params);
+      } catch (e) {
+        // сеть: DNS, reset, timeout
+        if (attempt > retries) throw new Error(`${e.message} @ ${url.pathname}`);
+        const waitMs = backoffMs(attempt);
+        console.warn(`network error (${e.message}) -> retry in ${waitMs}ms (attempt ${attempt}/${retries})`);
+        await this._sleep(waitMs);
         continue;
       }
+      if (this.usage) await this.usage.record(res.status >= 200 && res.status < 300);
 
       let data;
-      const text = await res.text();
+      const text = res.body;
       try {
         data = text ? JSON.parse(text) : {};
       } catch {
         data = { raw: text };
       }
 
-      if (!res.ok) {
+      // 429 handling: замедляемся насовсем (до успешных ответов) + ждём подсказку сервера или backoff
+      if (res.status === 429) {
+        this._slowDown();
+        const hintMs = retryAfterMs(res.headers) ?? rateLimitResetMs(res.headers);
+        if (attempt <= retries) {
+          const waitMs = hintMs ?? backoffMs(attempt, this.intervalMs);
+          // иногда там msg типа "one request every 5 seconds"
+          console.warn("API 429:", data?.message || data?.msg || "Too Many Requests");
+          console.warn(`429 -> retry in ${waitMs}ms (attempt ${attempt}/${retries}, interval now ${this.intervalMs}ms)`);
+          this._holdFor(waitMs);
+          continue;
+        }
+      }
+
+      if (res.status >= 500 && attempt <= retries) {
+        const waitMs = retryAfterMs(res.headers) ?? backoffMs(attempt);
+        console.warn(`HTTP ${res.status} -> retry in ${waitMs}ms (attempt ${attempt}/${retries})`);
+        this._holdFor(waitMs);
+        continue;
+      }
+
+      if (res.status < 200 || res.status >= 300) {
         const msg = data?.message || data?.msg || `HTTP ${res.status}`;
         throw new Error(`${msg} @ ${url.pathname}`);
       }
 
+      this._speedUp();
+      this._holdFor(rateLimitResetMs(res.headers) ?? 0);
+
       // twitterapi.io обычно возвращает {status:"success"...}
       if (data?.status && data.status !== "success") {
         throw new Error(`${data?.msg || "API status error"} @ ${url.pathname}`);
@@ -141,6 +423,11 @@ class TwitterApiIO {
     return this.get("/twitter/user/info", { userName });
   }
 
+  // GET /twitter/user/batch_info_by_ids?userIds=comma,separated
+  getUsersByIds(userIds) {
+    return this.get("/twitter/user/batch_info_by_ids", { userIds: userIds.join(",") });
+  }
+
   // GET /twitter/community/members?community_id=...&cursor=...
   getCommunityMembers({ community_id, cursor }) {
     return this.get("/twitter/community/members", { community_id, cursor });
@@ -157,6 +444,81 @@ async function q(sql, params) {
   return pool.query(sql, params);
 }
 
+// fn получает client: всё, что он пишет, коммитится одной транзакцией (или ничего)
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const out = await fn(client);
+    await client.query("COMMIT");
+    return out;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+// Счётчик запросов к API по дням (UTC) и командам + дневной бюджет.
+// Бюджет общий для всех процессов, поэтому перед каждым запросом смотрим в БД.
+class ApiUsage {
+  constructor({ dailyBudget = 0, command = "cli" } = {}) {
+    this.dailyBudget = dailyBudget;
+    this.command = command;
+    this.requests = 0;
+  }
+
+  static today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  async usedToday() {
+    const r = await q(`SELECT COALESCE(SUM(requests),0)::int AS n FROM api_usage WHERE day = $1`, [ApiUsage.today()]);
+    return r.rows[0].n;
+  }
+
+  async check() {
+    if (!this.dailyBudget) return;
+    const used = await this.usedToday();
+    if (used >= this.dailyBudget) {
+      throw new BudgetExceededError(`daily request budget exhausted (${used}/${this.dailyBudget})`);
+    }
+  }
+
+  async record(ok) {
+    this.requests++;
+    await q(
+      `
+      INSERT INTO api_usage (day, command, requests, failed, updated_at)
+      VALUES ($1,$2,$3,$4, now())
+      ON CONFLICT (day, command) DO UPDATE SET
+        requests = api_usage.requests + EXCLUDED.requests,
+        failed = api_usage.failed + EXCLUDED.failed,
+        updated_at = now()
+    `,
+      [ApiUsage.today(), this.command, ok ? 1 : 0, ok ? 0 : 1]
+    );
+  }
+}
+
+// один и тот же ключ дважды в одном INSERT ... ON CONFLICT DO UPDATE -> ошибка, оставляем последний
+function dedupeBy(rows, key) {
+  return [...new Map(rows.map((r) => [key(r), r])).values()];
+}
+
+const METRIC_COLUMNS = ["view_count", "like_count", "retweet_count", "reply_count", "quote_count", "bookmark_count"];
+
+// короткие имена для CLI (--metric=views) -> колонка
+const METRIC_BY_NAME = {
+  views: "view_count",
+  likes: "like_count",
+  retweets: "retweet_count",
+  replies: "reply_count",
+  quotes: "quote_count",
+  bookmarks: "bookmark_count",
+};
+
 async function ensureStateRow(communityId) {
   await q(
     `
@@ -178,8 +540,8 @@ async function getState(communityId) {
   return r.rows[0];
 }
 
-async function setBackfillCursor(communityId, cursor) {
-  await q(
+async function setBackfillCursor(communityId, cursor, db = pool) {
+  await db.query(
     `UPDATE ingest_state
      SET backfill_cursor=$2, updated_at=now()
      WHERE community_id=$1`,
@@ -187,8 +549,8 @@ async function setBackfillCursor(communityId, cursor) {
   );
 }
 
-async function setLastSeenTweetId(communityId, tweetId) {
-  await q(
+async function setLastSeenTweetId(communityId, tweetId, db = pool) {
+  await db.query(
     `UPDATE ingest_state
      SET last_seen_tweet_id=$2, updated_at=now()
      WHERE community_id=$1`,
@@ -214,6 +576,8 @@ function normalizeTweet(t) {
   const author_name = t?.author?.name || null;
 
   const media_urls = extractMediaUrls(t);     // ✅ картинки
+  const entities = extractEntities(t);        // #теги, @упоминания, ссылки, $кэштеги
+  const refs = extractThreadRefs(t);          // ответ / цитата / ретвит
   const raw_json = t;                         // ✅ сохраняем raw (удобно на будущее)
 
   return {
@@ -225,10 +589,26 @@ function normalizeTweet(t) {
     author_username,
     author_name,
     media_urls,
+    entities,
+    ...refs,
     raw_json,
   };
 }
 
+function extractThreadRefs(t) {
+  const str = (v) => (v === undefined || v === null || v === "" ? null : String(v));
+  const retweeted_tweet_id = str(t.retweeted_tweet?.id ?? t.retweeted_status?.id_str);
+  return {
+    conversation_id: str(t.conversationId ?? t.conversation_id_str),
+    in_reply_to_tweet_id: str(t.inReplyToId ?? t.in_reply_to_status_id_str),
+    in_reply_to_user_id: str(t.inReplyToUserId ?? t.in_reply_to_user_id_str),
+    in_reply_to_username: str(t.inReplyToUsername ?? t.in_reply_to_screen_name),
+    quoted_tweet_id: str(t.quoted_tweet?.id ?? t.quoted_status_id_str),
+    retweeted_tweet_id,
+    is_retweet: Boolean(retweeted_tweet_id),
+  };
+}
+
 function extractMediaUrls(tweetObj) {
   const urls = new Set();
 
@@ -277,116 +657,471 @@ function extractMediaUrls(tweetObj) {
   return Array.from(urls);
 }
 
+// entities из API (entities.hashtags/user_mentions/urls/symbols), если их нет — регулярки по тексту
+const ENTITY_PATTERNS = {
+  hashtag: /(?:^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu,
+  mention: /(?:^|[^\p{L}\p{N}_@])@([A-Za-z0-9_]{1,15})\b/gu,
+  cashtag: /(?:^|[^\p{L}\p{N}_$])\$([A-Za-z][A-Za-z0-9_]{0,9})\b/gu,
+  url: /https?:\/\/[^\s<>"']+/g,
+};
 
+function extractEntities(tweetObj) {
+  const out = new Map();
+  const add = (kind, display) => {
+    if (!display) return;
+    const d = String(display).trim();
+    if (!d) return;
+    const value = kind === "url" ? d : d.toLowerCase();
+    const key = `${kind}:${value}`;
+    if (!out.has(key)) out.set(key, { kind, value, display: d });
+  };
 
-async function upsertCommunityTweet(communityId, tw) {
-  try {
-    // ✅ новая версия — пишет raw_json + media_urls
-    await q(
-      `
-      INSERT INTO community_tweets
-        (community_id, tweet_id, created_at, author_user_id, author_username, author_name, url, text, raw_json, media_urls)
-      VALUES
-        ($1,$2,$3,$4,$5,$6,$7,$8,$9::jsonb,$10::jsonb)
-      ON CONFLICT (community_id, tweet_id) DO UPDATE SET
-        created_at=COALESCE(EXCLUDED.created_at, community_tweets.created_at),
-        author_user_id=COALESCE(EXCLUDED.author_user_id, community_tweets.author_user_id),
-        author_username=COALESCE(EXCLUDED.author_username, community_tweets.author_username),
-        author_name=COALESCE(EXCLUDED.author_name, community_tweets.author_name),
-        url=COALESCE(EXCLUDED.url, community_tweets.url),
-        text=COALESCE(EXCLUDED.text, community_tweets.text),
-        raw_json=COALESCE(EXCLUDED.raw_json, community_tweets.raw_json),
-        media_urls=COALESCE(EXCLUDED.media_urls, community_tweets.media_urls)
-    `,
-      [
-        communityId,
-        tw.tweet_id,
-        tw.created_at,
-        tw.author_user_id,
-        tw.author_username,
-        tw.author_name,
-        tw.url,
-        tw.text,
-        JSON.stringify(tw.raw_json || {}),
-        JSON.stringify(tw.media_urls || []),
-      ]
+  const e = tweetObj?.entities || tweetObj?.legacy?.entities;
+  if (e) {
+    for (const h of e.hashtags || []) add("hashtag", h.text || h.tag);
+    for (const m of e.user_mentions || e.mentions || []) add("mention", m.screen_name || m.username);
+    for (const u of e.urls || []) add("url", u.expanded_url || u.url);
+    for (const c of e.symbols || e.cashtags || []) add("cashtag", c.text || c.tag);
+    return [...out.values()];
+  }
+
+  const text = tweetObj?.text || "";
+  for (const kind of ["hashtag", "mention", "cashtag"]) {
+    for (const m of text.matchAll(ENTITY_PATTERNS[kind])) add(kind, m[1]);
+  }
+  for (const m of text.matchAll(ENTITY_PATTERNS.url)) add("url", m[0].replace(/[.,!?)]+$/, ""));
+  return [...out.values()];
+}
+
+// entities твитов страницы переписываем целиком (твит могли отредактировать)
+async function replaceTweetEntities(db, communityId, tweets) {
+  const ids = tweets.map((tw) => tw.tweet_id);
+  if (ids.length === 0) return 0;
+  const rows = tweets.flatMap((tw) => (tw.entities || []).map((e) => ({ tweet_id: tw.tweet_id, ...e })));
+
+  await db.query(`DELETE FROM tweet_entities WHERE community_id = $1 AND tweet_id = ANY($2::text[])`, [communityId, ids]);
+  if (rows.length === 0) return 0;
+  await db.query(
+    `
+    INSERT INTO tweet_entities (community_id, tweet_id, kind, value, display)
+    SELECT $1, x.tweet_id, x.kind, x.value, x.display
+    FROM jsonb_to_recordset($2::jsonb) AS x(tweet_id text, kind text, value text, display text)
+    ON CONFLICT DO NOTHING
+  `,
+    [communityId, JSON.stringify(rows)]
+  );
+  return rows.length;
+}
+
+
+
+const THREAD_COLUMNS = [
+  "conversation_id",
+  "in_reply_to_tweet_id",
+  "in_reply_to_user_id",
+  "in_reply_to_username",
+  "quoted_tweet_id",
+  "retweeted_tweet_id",
+  "is_retweet",
+];
+const THREAD_RECORD_DEF = THREAD_COLUMNS.map((c) => `${c} ${c === "is_retweet" ? "boolean" : "text"}`).join(", ");
+
+// одна страница твитов = один multi-row upsert
+async function upsertCommunityTweets(db, communityId, tweets) {
+  const rows = dedupeBy(tweets, (tw) => tw.tweet_id).map(({ entities, ...tw }) => ({
+    ...tw,
+    raw_json: tw.raw_json || {},
+    media_urls: tw.media_urls || [],
+  }));
+  if (rows.length === 0) return 0;
+
+  await db.query(
+    `
+    INSERT INTO community_tweets
+      (community_id, tweet_id, created_at, author_user_id, author_username, author_name, url, text, raw_json, media_urls,
+       ${THREAD_COLUMNS.join(", ")})
+    SELECT $1, x.tweet_id, x.created_at, x.author_user_id, x.author_username, x.author_name, x.url, x.text, x.raw_json, x.media_urls,
+       ${THREAD_COLUMNS.map((c) => `x.${c}`).join(", ")}
+    FROM jsonb_to_recordset($2::jsonb) AS x(
+      tweet_id text, created_at timestamptz, author_user_id text, author_username text, author_name text,
+      url text, text text, raw_json jsonb, media_urls jsonb, ${THREAD_RECORD_DEF}
+    )
+    ON CONFLICT (community_id, tweet_id) DO UPDATE SET
+      ${THREAD_COLUMNS.map((c) =>
+        // ответ без reply/quote полей (другой endpoint) не должен стирать уже известные связи
+        c === "is_retweet" ? `${c}=EXCLUDED.${c} OR community_tweets.${c}` : `${c}=COALESCE(EXCLUDED.${c}, community_tweets.${c})`
+      ).join(",\n      ")},
+      created_at=COALESCE(EXCLUDED.created_at, community_tweets.created_at),
+      author_user_id=COALESCE(EXCLUDED.author_user_id, community_tweets.author_user_id),
+      author_username=COALESCE(EXCLUDED.author_username, community_tweets.author_username),
+      author_name=COALESCE(EXCLUDED.author_name, community_tweets.author_name),
+      url=COALESCE(EXCLUDED.url, community_tweets.url),
+      text=COALESCE(EXCLUDED.text, community_tweets.text),
+      raw_json=COALESCE(EXCLUDED.raw_json, community_tweets.raw_json),
+      media_urls=COALESCE(EXCLUDED.media_urls, community_tweets.media_urls),
+      missing_count=0,
+      deleted_at=NULL
+  `,
+    [communityId, JSON.stringify(rows)]
+  );
+  await replaceTweetEntities(db, communityId, dedupeBy(tweets, (tw) => tw.tweet_id));
+  await matchWatchlists(db, communityId, watchItems(dedupeBy(tweets, (tw) => tw.tweet_id)));
+  return rows.length;
+}
+
+// запрошенные, но не вернувшиеся id: +1 промах, на DELETED_AFTER_MISSES -> deleted_at.
+// вернувшиеся сбрасывают счётчик (и пометку — недоступный мог снова стать доступным).
+// Только в этом сообществе: тот же твит в другом считается своим refresh'ем
+async function recordTweetPresence(db, communityId, requestedIds, returnedIds) {
+  const returned = new Set(returnedIds.map(String));
+  const missing = requestedIds.filter((id) => !returned.has(id));
+
+  if (returned.size) {
+    await db.query(
+      `UPDATE community_tweets SET missing_count = 0, deleted_at = NULL
+       WHERE community_id = $2 AND tweet_id = ANY($1::text[]) AND (missing_count > 0 OR deleted_at IS NOT NULL)`,
+      [[...returned], communityId]
     );
-  } catch (e) {
-    // если ты ещё не применил ALTER TABLE — не валим процесс, пишем по старой схеме
-    if (String(e?.code) === "42703") {
-      await q(
-        `
-        INSERT INTO community_tweets
-          (community_id, tweet_id, created_at, author_user_id, author_username, url, text)
-        VALUES
-          ($1,$2,$3,$4,$5,$6,$7)
-        ON CONFLICT (community_id, tweet_id) DO UPDATE SET
-          created_at=COALESCE(EXCLUDED.created_at, community_tweets.created_at),
-          author_user_id=COALESCE(EXCLUDED.author_user_id, community_tweets.author_user_id),
-          author_username=COALESCE(EXCLUDED.author_username, community_tweets.author_username),
-          url=COALESCE(EXCLUDED.url, community_tweets.url),
-          text=COALESCE(EXCLUDED.text, community_tweets.text)
-      `,
-        [communityId, tw.tweet_id, tw.created_at, tw.author_user_id, tw.author_username, tw.url, tw.text]
-      );
-      return;
-    }
-    throw e;
   }
+  if (missing.length === 0) return { missing: 0, deleted: 0 };
+
+  const r = await db.query(
+    `
+    UPDATE community_tweets SET
+      missing_count = missing_count + 1,
+      last_missing_at = now(),
+      deleted_at = CASE WHEN deleted_at IS NULL AND missing_count + 1 >= $2 THEN now() ELSE deleted_at END
+    WHERE community_id = $3 AND tweet_id = ANY($1::text[])
+    RETURNING deleted_at = now() AS newly_deleted
+  `,
+    [missing, DELETED_AFTER_MISSES, communityId]
+  );
+  return { missing: missing.length, deleted: r.rows.filter((x) => x.newly_deleted).length };
 }
 
-async function upsertMetrics(m) {
-  await q(
+// latest + append-only снапшот (прореживается в pruneSnapshots) одним запросом на батч
+async function upsertMetricsBatch(db, tweets) {
+  const rows = dedupeBy(
+    tweets.map((m) => ({
+      tweet_id: String(m.id),
+      view_count: Number(m.viewCount || 0),
+      like_count: Number(m.likeCount || 0),
+      retweet_count: Number(m.retweetCount || 0),
+      reply_count: Number(m.replyCount || 0),
+      quote_count: Number(m.quoteCount || 0),
+      bookmark_count: Number(m.bookmarkCount || 0),
+    })),
+    (m) => m.tweet_id
+  );
+  if (rows.length === 0) return 0;
+
+  const cols = METRIC_COLUMNS.join(", ");
+  await db.query(
     `
-    INSERT INTO tweet_metrics_latest
-      (tweet_id, view_count, like_count, retweet_count, reply_count, quote_count, bookmark_count, updated_at)
-    VALUES
-      ($1,$2,$3,$4,$5,$6,$7, now())
-    ON CONFLICT (tweet_id) DO UPDATE SET
-      view_count=EXCLUDED.view_count,
-      like_count=EXCLUDED.like_count,
-      retweet_count=EXCLUDED.retweet_count,
-      reply_count=EXCLUDED.reply_count,
-      quote_count=EXCLUDED.quote_count,
-      bookmark_count=EXCLUDED.bookmark_count,
-      updated_at=now()
+    WITH x AS (
+      SELECT * FROM jsonb_to_recordset($1::jsonb) AS x(
+        tweet_id text, ${METRIC_COLUMNS.map((c) => `${c} bigint`).join(", ")}
+      )
+    ), latest AS (
+      INSERT INTO tweet_metrics_latest (tweet_id, ${cols}, updated_at)
+      SELECT tweet_id, ${cols}, now() FROM x
+      ON CONFLICT (tweet_id) DO UPDATE SET
+        view_count=EXCLUDED.view_count,
+        like_count=EXCLUDED.like_count,
+        retweet_count=EXCLUDED.retweet_count,
+        reply_count=EXCLUDED.reply_count,
+        quote_count=EXCLUDED.quote_count,
+        bookmark_count=EXCLUDED.bookmark_count,
+        updated_at=now()
+    )
+    INSERT INTO tweet_metrics_snapshots (tweet_id, ${cols}, captured_at)
+    SELECT tweet_id, ${cols}, now() FROM x
+    ON CONFLICT (tweet_id, captured_at) DO NOTHING
+  `,
+    [JSON.stringify(rows)]
+  );
+  return rows.length;
+}
+
+// Downsampling: в окне SNAPSHOT_HOURLY_HOURS оставляем последний снапшот каждого часа,
+// старше — последний снапшот каждого дня. SNAPSHOT_RETENTION_DAYS > 0 удаляет совсем старые.
+// since (после refresh-metrics): не вся таблица, а только твиты со снапшотами с этого момента
+// и те, чьи снапшоты за последние сутки вышли из часового окна. Без since — полный проход (prune-snapshots).
+async function pruneSnapshots({ since = null } = {}) {
+  const scope = since
+    ? `WHERE tweet_id IN (
+        SELECT tweet_id FROM tweet_metrics_snapshots WHERE captured_at >= $2
+        UNION
+        SELECT tweet_id FROM tweet_metrics_snapshots
+        WHERE captured_at < now() - ($1 || ' hours')::interval
+          AND captured_at >= now() - ($1 || ' hours')::interval - interval '1 day'
+      )`
+    : "";
+  const r = await q(
+    `
+    DELETE FROM tweet_metrics_snapshots s
+    USING (
+      SELECT tweet_id, captured_at,
+        row_number() OVER (
+          PARTITION BY tweet_id,
+            CASE WHEN captured_at >= now() - ($1 || ' hours')::interval
+              THEN date_trunc('hour', captured_at)
+              ELSE date_trunc('day', captured_at)
+            END
+          ORDER BY captured_at DESC
+        ) AS rn
+      FROM tweet_metrics_snapshots
+      ${scope}
+    ) d
+    WHERE s.tweet_id = d.tweet_id
+      AND s.captured_at = d.captured_at
+      AND d.rn > 1
   `,
-    [
-      String(m.id),
-      Number(m.viewCount || 0),
-      Number(m.likeCount || 0),
-      Number(m.retweetCount || 0),
-      Number(m.replyCount || 0),
-      Number(m.quoteCount || 0),
-      Number(m.bookmarkCount || 0),
-    ]
+    since ? [String(SNAPSHOT_HOURLY_HOURS), since] : [String(SNAPSHOT_HOURLY_HOURS)]
   );
+
+  let expired = 0;
+  if (SNAPSHOT_RETENTION_DAYS > 0) {
+    const e = await q(
+      `DELETE FROM tweet_metrics_snapshots WHERE captured_at < now() - ($1 || ' days')::interval`,
+      [String(SNAPSHOT_RETENTION_DAYS)]
+    );
+    expired = e.rowCount;
+  }
+
+  console.log(`prune-snapshots: downsampled=${r.rowCount} expired=${expired}`);
 }
 
-async function upsertUser(u) {
-  const user_id = u?.id ? String(u.id) : null;
-  const username = u?.userName || null;
-  const name = u?.name || null;
-  const followers = Number(u?.followers || 0);
-  const following = Number(u?.following || 0);
-  const profile_picture = u?.profilePicture || null;
+const USER_HISTORY_FIELDS = ["username", "name", "followers", "following", "profile_picture"];
+
+// изменения относительно текущей строки users -> user_history (source = какая команда увидела)
+async function upsertUsers(db, users, { source = "unknown" } = {}) {
+  const rows = dedupeBy(
+    users
+      .map((u) => ({
+        user_id: u?.id ? String(u.id) : null,
+        username: u?.userName || null,
+        name: u?.name || null,
+        followers: Number(u?.followers || 0),
+        following: Number(u?.following || 0),
+        profile_picture: u?.profilePicture || null,
+        account_created_at: parseCreatedAt(u?.createdAt),
+        is_blue_verified: typeof u?.isBlueVerified === "boolean" ? u.isBlueVerified : null,
+      }))
+      .filter((u) => u.user_id && u.username),
+    (u) => u.user_id
+  );
+  if (rows.length === 0) return 0;
 
-  if (!user_id || !username) return;
+  const json = JSON.stringify(rows);
+  const recordDef = `x(user_id text, username text, name text, followers bigint, following bigint, profile_picture text,
+    account_created_at timestamptz, is_blue_verified boolean)`;
 
-  await q(
+  // handle переехал к другому user_id (переименование): у старого владельца освобождаем, история у него остаётся
+  await db.query(
     `
-    INSERT INTO users (user_id, username, name, followers, following, profile_picture, updated_at)
-    VALUES ($1,$2,$3,$4,$5,$6, now())
+    UPDATE users u SET username = NULL
+    FROM jsonb_to_recordset($1::jsonb) AS ${recordDef}
+    WHERE u.username = x.username AND u.user_id <> x.user_id
+  `,
+    [json]
+  );
+
+  // CTE видит users до апдейта, так что сравниваем со старыми значениями
+  await db.query(
+    `
+    WITH x AS (SELECT * FROM jsonb_to_recordset($1::jsonb) AS ${recordDef}),
+    history AS (
+      INSERT INTO user_history (user_id, source, ${USER_HISTORY_FIELDS.join(", ")}, changed)
+      SELECT x.user_id, $2, ${USER_HISTORY_FIELDS.map((f) => `x.${f}`).join(", ")},
+             CASE WHEN u.user_id IS NULL THEN '{}'::text[] ELSE array_remove(ARRAY[
+               ${USER_HISTORY_FIELDS.map((f) => `CASE WHEN u.${f} IS DISTINCT FROM x.${f} THEN '${f}' END`).join(",\n               ")}
+             ], NULL) END
+      FROM x
+      LEFT JOIN users u ON u.user_id = x.user_id
+      WHERE u.user_id IS NULL
+         OR (${USER_HISTORY_FIELDS.map((f) => `u.${f}`).join(", ")}) IS DISTINCT FROM (${USER_HISTORY_FIELDS.map((f) => `x.${f}`).join(", ")})
+    )
+    INSERT INTO users (user_id, username, name, followers, following, profile_picture, account_created_at, is_blue_verified, updated_at)
+    SELECT x.user_id, x.username, x.name, x.followers, x.following, x.profile_picture, x.account_created_at, x.is_blue_verified, now()
+    FROM x
     ON CONFLICT (user_id) DO UPDATE SET
       username=EXCLUDED.username,
       name=EXCLUDED.name,
       followers=EXCLUDED.followers,
       following=EXCLUDED.following,
       profile_picture=EXCLUDED.profile_picture,
+      account_created_at=COALESCE(EXCLUDED.account_created_at, users.account_created_at),
+      is_blue_verified=COALESCE(EXCLUDED.is_blue_verified, users.is_blue_verified),
       updated_at=now()
   `,
-    [user_id, username, name, followers, following, profile_picture]
+    [json, source]
+  );
+  return rows.length;
+}
+
+// новые (и вернувшиеся после ухода) участники -> join-событие, если это не первый (базовый) прогон
+async function upsertCommunityMembers(db, communityId, members, { runId = null, recordJoins = false } = {}) {
+  const rows = dedupeBy(
+    members.filter((m) => m?.id).map((m) => ({ user_id: String(m.id), username: m.userName || null })),
+    (m) => m.user_id
+  );
+  if (rows.length === 0) return { members: 0, joined: 0 };
+
+  const r = await db.query(
+    `
+    WITH x AS (
+      SELECT * FROM jsonb_to_recordset($2::jsonb) AS x(user_id text, username text)
+    ), prev AS (
+      SELECT cm.user_id, cm.left_at FROM community_members cm
+      WHERE cm.community_id = $1 AND cm.user_id IN (SELECT user_id FROM x)
+    ), up AS (
+      INSERT INTO community_members (community_id, user_id, username, updated_at, joined_at, last_seen_at, last_sync_run_id)
+      SELECT $1, x.user_id, x.username, now(), now(), now(), $3 FROM x
+      ON CONFLICT (community_id, user_id) DO UPDATE SET
+        username=EXCLUDED.username,
+        updated_at=now(),
+        joined_at=CASE WHEN community_members.left_at IS NOT NULL THEN now() ELSE community_members.joined_at END,
+        left_at=NULL,
+        last_seen_at=now(),
+        last_sync_run_id=EXCLUDED.last_sync_run_id
+      RETURNING user_id, username
+    ), joined AS (
+      INSERT INTO member_events (community_id, user_id, username, event, sync_run_id)
+      SELECT $1, up.user_id, up.username, 'join', $3
+      FROM up LEFT JOIN prev ON prev.user_id = up.user_id
+      WHERE $4 AND (prev.user_id IS NULL OR prev.left_at IS NOT NULL)
+      RETURNING 1
+    )
+    SELECT COUNT(*)::int AS joined FROM joined
+  `,
+    [communityId, JSON.stringify(rows), runId, recordJoins]
+  );
+  return { members: rows.length, joined: r.rows[0].joined };
+}
+
+// после полного прогона: все, кого он не увидел, ушли
+async function markDepartedMembers(db, communityId, runId) {
+  const r = await db.query(
+    `
+    WITH gone AS (
+      UPDATE community_members SET left_at = now()
+      WHERE community_id = $1 AND left_at IS NULL AND last_sync_run_id IS DISTINCT FROM $2
+      RETURNING user_id, username
+    ), ev AS (
+      INSERT INTO member_events (community_id, user_id, username, event, sync_run_id)
+      SELECT $1, user_id, username, 'leave', $2 FROM gone
+      RETURNING 1
+    )
+    SELECT COUNT(*)::int AS departed FROM ev
+  `,
+    [communityId, runId]
   );
+  return r.rows[0].departed;
+}
+
+// выставляется по SIGTERM/SIGINT в run: текущая страница дописывается, дальше не идём
+let shutdownRequested = false;
+
+// ---------- Communities ----------
+async function ensureCommunity(communityId) {
+  await q(
+    `INSERT INTO communities (community_id) VALUES ($1) ON CONFLICT (community_id) DO NOTHING`,
+    [communityId]
+  );
+}
+
+// В communities заносят только команды, которые пишут ленту сообщества; остальные
+// опечатку в --community не регистрируют (иначе её потом пейджит --all-communities)
+const INGEST_COMMANDS = ["backfill", "ingest-new", "heal-gaps", "sync-members", "sync-24h", "sync-last-24h", "run"];
+// doctor только проверяет доступ, watchlist/spam-list настраивают до первого ingest
+const ANY_COMMUNITY_COMMANDS = ["doctor", "watchlist", "spam-list"];
+// команды, которые делают запросы к TwitterAPI (им нужен TWITTERAPI_IO_KEY)
+const API_COMMANDS = [...INGEST_COMMANDS, "doctor", "refresh-metrics", "refresh-users"];
+
+// --community=a,b  |  --all-communities (все строки из communities)  |  COMMUNITY_ID=a,b
+// register: заносим в communities; known: не зарегистрированные и без твитов -> die
+async function resolveCommunities({ register = false, known = true } = {}) {
+  let ids;
+  if (process.argv.includes("--all-communities")) {
+    const r = await q(`SELECT community_id FROM communities ORDER BY created_at, community_id`);
+    ids = r.rows.map((x) => x.community_id);
+    if (ids.length === 0) die("communities table is empty (run with --community=... first)");
+  } else {
+    const arg = argValue("community");
+    ids = arg !== undefined ? splitList(arg) : COMMUNITY_IDS;
+    if (ids.length === 0) die("No COMMUNITY_ID (set env or pass --community=...)");
+  }
+
+  ids = [...new Set(ids)];
+  if (register) {
+    for (const id of ids) await ensureCommunity(id);
+  } else if (known) {
+    // твиты без строки в communities — базы, собранные до появления таблицы
+    const r = await q(
+      `
+      SELECT id FROM unnest($1::text[]) AS id
+      WHERE NOT EXISTS (SELECT 1 FROM communities c WHERE c.community_id = id)
+        AND NOT EXISTS (SELECT 1 FROM community_tweets ct WHERE ct.community_id = id)
+    `,
+      [ids]
+    );
+    if (r.rows.length) die(`Unknown community: ${r.rows.map((x) => x.id).join(", ")} (nothing ingested yet, run backfill --community=... first)`);
+  }
+  return ids;
+}
+
+// Все сообщества делят один TwitterApiIO (и его паузу между запросами), поэтому
+// чтобы никто не съел весь бюджет, шаги гоняем по кругу: каждый генератор
+// делает один запрос к API, затем yield (с текущими счётчиками) -> ход переходит
+// к следующему сообществу. Между шагами же проверяем shutdownRequested (run).
+async function runCommunities(label, communityIds, steps) {
+  const jobs = communityIds.map((id) => ({ id, it: steps(id), progress: {} }));
+  const results = new Map();
+
+  while (jobs.length) {
+    if (shutdownRequested) {
+      for (const job of jobs) {
+        await job.it.return();
+        results.set(job.id, { ...job.progress, interrupted: true });
+      }
+      console.log(`${label}: stopped after current page (shutdown)`);
+      break;
+    }
+
+    for (const job of [...jobs]) {
+      let step;
+      try {
+        step = await job.it.next();
+      } catch (e) {
+        // бюджет кончился -> это не ошибка сообщества, просто останавливаемся с тем, что успели
+        if (e instanceof BudgetExceededError) {
+          console.warn(`${label} [${job.id}] stopped: ${e.message}`);
+          results.set(job.id, { ...job.progress, stopped: "budget" });
+          jobs.splice(jobs.indexOf(job), 1);
+          continue;
+        }
+        console.warn(`${label} [${job.id}] failed: ${e.message}`);
+        results.set(job.id, { error: e.message });
+        jobs.splice(jobs.indexOf(job), 1);
+        continue;
+      }
+      if (step.done) {
+        results.set(job.id, step.value || {});
+        jobs.splice(jobs.indexOf(job), 1);
+      } else {
+        job.progress = step.value || {};
+      }
+    }
+  }
+
+  const rows = communityIds.map((id) => ({ community_id: id, ...results.get(id) }));
+  if (communityIds.length > 1) {
+    console.log(`${label} results:`);
+    console.table(rows);
+  }
+  if (rows.some((x) => x.error)) process.exitCode = 1;
+  return rows;
 }
 
 // ---------- Commands ----------
@@ -394,22 +1129,24 @@ const api = new TwitterApiIO({
   baseUrl: BASE_URL,
   apiKey: API_KEY,
   minIntervalMs: MIN_REQUEST_INTERVAL_MS,
+  mode: TWITTERAPI_MODE,
+  fixturesDir: TWITTERAPI_FIXTURES_DIR,
+  usage: new ApiUsage({ dailyBudget: DAILY_REQUEST_BUDGET }),
 });
 
-async function doctor() {
-  if (!API_KEY || !COMMUNITY_ID || !DATABASE_URL) die("Missing env vars (key/community_id/database_url)");
+async function doctor(communityIds) {
+  if ((!API_KEY && TWITTERAPI_MODE !== "replay") || !DATABASE_URL) die("Missing env vars (key/database_url)");
 
   await q("SELECT 1;");
-  const data = await api.getCommunityTweets({ community_id: COMMUNITY_ID });
-  const n = Array.isArray(data?.tweets) ? data.tweets.length : 0;
   console.log(`DB: OK`);
-  console.log(`API: OK (/community/tweets returned ${n} tweets)`);
+  for (const communityId of communityIds) {
+    const data = await api.getCommunityTweets({ community_id: communityId });
+    const n = Array.isArray(data?.tweets) ? data.tweets.length : 0;
+    console.log(`API: OK [${communityId}] (/community/tweets returned ${n} tweets)`);
+  }
 }
 
-async function backfill() {
-  const communityId = COMMUNITY_ID;
-  if (!communityId) die("No COMMUNITY_ID");
-
+async function* backfillSteps(communityId) {
   const state = await getState(communityId);
   let cursor = state.backfill_cursor || null;
 
@@ -417,12 +1154,15 @@ async function backfill() {
     BACKFILL_CUTOFF_DAYS > 0 ? Date.now() - BACKFILL_CUTOFF_DAYS * 24 * 3600 * 1000 : null;
 
   let insertedTotal = 0;
+  let pages = 0;
+  let stop = "page limit";
 
   for (let page = 1; page <= BACKFILL_PAGES_PER_RUN; page++) {
     const data = await api.getCommunityTweets({ community_id: communityId, cursor });
     const tweets = Array.isArray(data?.tweets) ? data.tweets : [];
+    pages = page;
 
-    let insertedThisPage = 0;
+    const rows = [];
     let reachedCutoff = false;
 
     for (const t of tweets) {
@@ -437,48 +1177,65 @@ async function backfill() {
         }
       }
 
-      await upsertCommunityTweet(communityId, tw);
-      insertedThisPage++;
-      insertedTotal++;
+      rows.push(tw);
     }
 
+    const hasNext = Boolean(data?.has_next_page && data?.next_cursor);
+    const nextCursor = reachedCutoff || !hasNext ? null : data.next_cursor;
+
+    // страница и курсор на неё пишутся атомарно: упали -> курсор не уехал дальше записанного
+    const insertedThisPage = await withTransaction(async (db) => {
+      const n = await upsertCommunityTweets(db, communityId, rows);
+      await setBackfillCursor(communityId, nextCursor, db);
+      return n;
+    });
+    insertedTotal += insertedThisPage;
+
     console.log(
-      `backfill page=${page} insertedTotal=${insertedTotal} insertedThisPage=${insertedThisPage} cursor=${cursor ? "..." : "<null>"}`
+      `backfill [${communityId}] page=${page} insertedTotal=${insertedTotal} insertedThisPage=${insertedThisPage} cursor=${cursor ? "..." : "<null>"}`
     );
 
     if (reachedCutoff) {
-      console.log(`backfill stop: reached cutoff (${BACKFILL_CUTOFF_DAYS} days)`);
-      await setBackfillCursor(communityId, null);
+      console.log(`backfill [${communityId}] stop: reached cutoff (${BACKFILL_CUTOFF_DAYS} days)`);
+      stop = "cutoff";
       break;
     }
 
-    if (!data?.has_next_page || !data?.next_cursor) {
-      console.log("backfill stop: no next page");
-      await setBackfillCursor(communityId, null);
+    if (!hasNext) {
+      console.log(`backfill [${communityId}] stop: no next page`);
+      stop = "no next page";
       break;
     }
 
-    cursor = data.next_cursor;
-    await setBackfillCursor(communityId, cursor);
+    cursor = nextCursor;
+    yield { pages, inserted: insertedTotal };
   }
+
+  return { pages, inserted: insertedTotal, stop };
 }
 
-async function ingestNew() {
-  const communityId = COMMUNITY_ID;
-  if (!communityId) die("No COMMUNITY_ID");
+async function backfill(communityIds) {
+  const rows = await runCommunities("backfill", communityIds, backfillSteps);
+  await refreshRollups(communityIds);
+  return rows;
+}
 
+async function* ingestNewSteps(communityId) {
   const state = await getState(communityId);
   const stopId = state.last_seen_tweet_id || null;
+  // самый новый твит до запуска: если до него не дочитали — между ним и нами дыра
+  const prevNewest = await newestTweetAt(communityId);
 
-  // Получаем все твиты за последние 24 часа
-  const hoursToFetch = 24;
-  const cutoffTime = new Date(Date.now() - hoursToFetch * 3600 * 1000);
+  // Получаем все твиты за последние INGEST_MAX_HOURS часов
+  const cutoffTime = new Date(Date.now() - INGEST_MAX_HOURS * 3600 * 1000);
 
   let cursor = null;
   let newLastSeen = null;
   let inserted = 0;
   let stopped = false;
   let page = 0;
+  let oldestSeen = null;
+  let oldestStored = null;
 
   while (true) {
     page++;
@@ -486,6 +1243,7 @@ async function ingestNew() {
     const tweets = Array.isArray(data?.tweets) ? data.tweets : [];
     if (page === 1 && tweets[0]?.id) newLastSeen = String(tweets[0].id);
 
+    const rows = [];
     let foundOldTweet = false;
 
     for (const t of tweets) {
@@ -494,10 +1252,11 @@ async function ingestNew() {
         stopped = true;
         break;
       }
-      
+
       const tw = normalizeTweet(t);
-      
-      // Проверяем, не старше ли твит 24 часов
+      if (tw.created_at && (!oldestSeen || tw.created_at < oldestSeen)) oldestSeen = tw.created_at;
+
+      // Проверяем, не старше ли твит INGEST_MAX_HOURS
       if (tw.created_at) {
         const tweetTime = new Date(tw.created_at);
         if (tweetTime < cutoffTime) {
@@ -505,32 +1264,206 @@ async function ingestNew() {
           break;
         }
       }
-      
-      await upsertCommunityTweet(communityId, tw);
-      inserted++;
+
+      if (tw.created_at && (!oldestStored || tw.created_at < oldestStored)) oldestStored = tw.created_at;
+      rows.push(tw);
     }
 
-    console.log(`ingest-new page=${page} inserted=${inserted} stopped=${stopped} foundOldTweet=${foundOldTweet}`);
+    const hasNext = Boolean(data?.has_next_page && data?.next_cursor);
+    // Защита от бесконечного цикла - максимум INGEST_MAX_PAGES страниц
+    const reachedMaxPages = hasNext && !stopped && !foundOldTweet && page >= INGEST_MAX_PAGES;
+    const lastPage = stopped || foundOldTweet || !hasNext || reachedMaxPages;
+
+    // не дошли ни до last_seen, ни до самого нового из уже собранного -> дыра (prevNewest, oldestStored).
+    // Не записали ничего (демон лежал дольше INGEST_MAX_HOURS) -> дыра до cutoff: всё, что новее, уже смотрели
+    const gap =
+      lastPage && !stopped && (foundOldTweet || reachedMaxPages) && prevNewest && oldestSeen > prevNewest
+        ? {
+            from: prevNewest,
+            to: oldestStored || cutoffTime.toISOString(),
+            reason: foundOldTweet ? "cutoff" : "page limit",
+            cursor: reachedMaxPages ? data.next_cursor : cursor,
+          }
+        : null;
+
+    // last_seen двигаем только вместе с последней страницей:
+    // упали посередине -> следующий запуск пройдёт эти страницы заново
+    inserted += await withTransaction(async (db) => {
+      const n = await upsertCommunityTweets(db, communityId, rows);
+      if (lastPage && newLastSeen) await setLastSeenTweetId(communityId, newLastSeen, db);
+      if (gap) await recordGap(db, communityId, gap);
+      return n;
+    });
+
+    console.log(`ingest-new [${communityId}] page=${page} inserted=${inserted} stopped=${stopped} foundOldTweet=${foundOldTweet}`);
 
-    if (stopped || foundOldTweet) break;
-    if (!data?.has_next_page || !data?.next_cursor) break;
+    if (reachedMaxPages) console.log(`ingest-new [${communityId}]: reached max pages limit (${INGEST_MAX_PAGES})`);
+    if (gap) console.log(`ingest-new [${communityId}]: gap ${gap.from} .. ${gap.to} (${gap.reason}), run heal-gaps`);
+    if (lastPage) break;
     cursor = data.next_cursor;
-    
-    // Защита от бесконечного цикла - максимум 100 страниц
-    if (page >= 100) {
-      console.log("ingest-new: reached max pages limit (100)");
-      break;
-    }
+    yield { pages: page, inserted };
   }
 
-  if (newLastSeen) {
-    await setLastSeenTweetId(communityId, newLastSeen);
+  return { pages: page, inserted };
+}
+
+async function ingestNew(communityIds) {
+  const rows = await runCommunities("ingest-new", communityIds, ingestNewSteps);
+  await refreshRollups(communityIds);
+  await checkAlerts(communityIds);
+  return rows;
+}
+
+// удалённые обновляем только раз в DELETED_RECHECK_EVERY_MIN (last_missing_at = последний промах)
+const DELETED_RECHECK_SQL =
+  DELETED_RECHECK_EVERY_MIN > 0
+    ? `(ct.deleted_at IS NULL OR ct.last_missing_at IS NULL OR ct.last_missing_at < now() - make_interval(mins => ${DELETED_RECHECK_EVERY_MIN}))`
+    : `ct.deleted_at IS NULL`;
+
+const REFRESH_TIERS = [
+  { name: "hot", maxAgeHours: 24, everyMin: REFRESH_HOT_EVERY_MIN },
+  { name: "warm", maxAgeHours: 24 * 7, everyMin: REFRESH_WARM_EVERY_MIN },
+  { name: "cool", maxAgeHours: 24 * 30, everyMin: REFRESH_COOL_EVERY_MIN },
+  { name: "cold", maxAgeHours: Infinity, everyMin: REFRESH_COLD_EVERY_MIN },
+];
+
+// возраст задаёт tier; быстрый рост -> hot, ноль роста (после первых суток) -> на tier холоднее
+function refreshTier(t) {
+  let i = REFRESH_TIERS.findIndex((x) => t.age_hours < x.maxAgeHours);
+  if (i < 0) i = REFRESH_TIERS.length - 1;
+  if (t.views_per_hour !== null) {
+    if (t.views_per_hour >= REFRESH_FAST_VIEWS_PER_HOUR) i = 0;
+    else if (t.views_per_hour === 0 && i > 0) i = Math.min(i + 1, REFRESH_TIERS.length - 1);
   }
+  return REFRESH_TIERS[i];
+}
+
+// План: кому пора обновиться (по tier), в порядке приоритета, в пределах бюджета запросов.
+// status: planned | budget (пора, но не влезли) | fresh (ещё рано) | never (cold tier с интервалом 0).
+// Удалённые попадают в план раз в DELETED_RECHECK_EVERY_MIN, независимо от tier'а
+// Рост (два последних снапшота) считаем только для кандидатов: ни разу не обновлённые и те, кому может
+// быть пора хотя бы по самому частому интервалу. Остальные (свежие, cold с интервалом 0) — только счётчики
+// по возрастному tier'у, иначе каждый прогон тащил бы всю историю. all=true — подробно по всем (refresh-plan).
+async function planMetricRefresh(communityId, { maxRequests = REFRESH_MAX_REQUESTS, all = false, budget } = {}) {
+  const cold = REFRESH_TIERS[REFRESH_TIERS.length - 1];
+  const minEvery = Math.min(...REFRESH_TIERS.slice(0, -1).map((x) => x.everyMin || Infinity));
+  const tierSql = `CASE ${REFRESH_TIERS.slice(0, -1)
+    .map((x) => `WHEN b.age_hours < ${x.maxAgeHours} THEN '${x.name}'`)
+    .join(" ")} ELSE '${cold.name}' END`;
+  // моложе cold рост может поднять твит до hot -> ждём самый частый интервал; cold смотрим по его собственному
+  const base = `
+    WITH b0 AS (
+      SELECT ct.tweet_id, ct.created_at,
+             EXTRACT(EPOCH FROM now() - COALESCE(ct.created_at, ct.inserted_at, now())) / 3600 AS age_hours,
+             tm.updated_at AS refreshed_at,
+             ct.deleted_at IS NOT NULL AS recheck
+      FROM community_tweets ct
+      LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+      WHERE ct.community_id = $1
+        AND ${DELETED_RECHECK_SQL}
+    ), b AS (
+      SELECT b0.*,
+             CASE WHEN b0.age_hours < ${REFRESH_TIERS[REFRESH_TIERS.length - 2].maxAgeHours} THEN $2::float8 ELSE $3::float8 END AS every_min
+      FROM b0
+    ), c AS (
+      SELECT b.*, (b.refreshed_at IS NULL OR b.recheck OR $4::boolean OR (b.every_min IS NOT NULL AND b.refreshed_at < now() - make_interval(mins => b.every_min::int))) AS candidate
+      FROM b
+    )`;
+  const params = [communityId, Number.isFinite(minEvery) ? minEvery : null, cold.everyMin || null, all];
+
+  const r = await q(
+    `
+    ${base}
+    SELECT c.tweet_id, c.age_hours, c.refreshed_at, c.recheck, g.views_per_hour
+    FROM (SELECT * FROM c WHERE candidate) c
+    LEFT JOIN LATERAL (
+      SELECT (MAX(s.view_count) - MIN(s.view_count))
+             / GREATEST(EXTRACT(EPOCH FROM MAX(s.captured_at) - MIN(s.captured_at)) / 3600, 0.01) AS views_per_hour
+      FROM (
+        SELECT view_count, captured_at FROM tweet_metrics_snapshots
+        WHERE tweet_id = c.tweet_id ORDER BY captured_at DESC LIMIT 2
+      ) s
+      HAVING COUNT(*) = 2
+    ) g ON true
+    ORDER BY c.created_at DESC NULLS LAST
+  `,
+    params
+  );
+  const skipped = await q(
+    `
+    ${base}
+    SELECT ${tierSql} AS tier,
+           COUNT(*) FILTER (WHERE b.every_min IS NULL)::int AS never,
+           COUNT(*) FILTER (WHERE b.every_min IS NOT NULL)::int AS fresh
+    FROM c b
+    WHERE NOT b.candidate
+    GROUP BY 1
+  `,
+    params
+  );
+  const skippedByTier = new Map(skipped.rows.map((x) => [x.tier, x]));
+
+  const now = Date.now();
+  const tweets = r.rows.map((x) => {
+    const t = {
+      tweet_id: x.tweet_id,
+      age_hours: Number(x.age_hours),
+      refreshed_at: x.refreshed_at,
+      views_per_hour: x.views_per_hour === null ? null : Number(x.views_per_hour),
+    };
+    t.tier = refreshTier(t).name;
+    const everyMin = REFRESH_TIERS.find((x) => x.name === t.tier).everyMin;
+    if (!t.refreshed_at) t.overdue = Infinity; // ни разу не обновляли — первыми
+    else if (x.recheck) t.overdue = 1; // удалённый, пора перепроверить
+    else if (everyMin > 0) t.overdue = (now - t.refreshed_at.getTime()) / (everyMin * 60000);
+    else t.overdue = null;
+    t.status = t.overdue === null ? "never" : t.overdue >= 1 ? "due" : "fresh";
+    return t;
+  });
+
+  // ни разу не обновлённые, потом по tier (hot первыми), потом насколько просрочены
+  const tierIndex = (name) => REFRESH_TIERS.findIndex((x) => x.name === name);
+  const fresh = (t) => (t.overdue === Infinity ? 0 : 1);
+  const due = tweets
+    .filter((t) => t.status === "due")
+    .sort((a, b) => fresh(a) - fresh(b) || tierIndex(a.tier) - tierIndex(b.tier) || (b.overdue === a.overdue ? 0 : b.overdue - a.overdue));
+
+  // дневной бюджет делится между всеми командами: берём остаток на момент планирования
+  // или долю сообщества в нём (budget), если прогон идёт по нескольким
+  let requests = maxRequests > 0 ? maxRequests : Infinity;
+  if (DAILY_REQUEST_BUDGET) requests = Math.min(requests, budget ?? Math.max(0, DAILY_REQUEST_BUDGET - (await api.usage.usedToday())));
+  const capacity = requests === Infinity ? due.length : requests * BATCH_TWEET_IDS;
+  due.forEach((t, i) => (t.status = i < capacity ? "planned" : "budget"));
+
+  const summary = REFRESH_TIERS.map(({ name, everyMin }) => {
+    const inTier = tweets.filter((t) => t.tier === name);
+    const rest = skippedByTier.get(name) || { fresh: 0, never: 0 };
+    const n = (status) => inTier.filter((t) => t.status === status).length;
+    return {
+      tier: name,
+      every_min: everyMin || "never",
+      tweets: inTier.length + rest.fresh + rest.never,
+      planned: n("planned"),
+      budget: n("budget"),
+      fresh: n("fresh") + rest.fresh,
+      never: n("never") + rest.never,
+    };
+  });
+
+  return { planned: due.filter((t) => t.status === "planned").map((t) => t.tweet_id), tweets, summary };
 }
 
-async function refreshMetrics({ hours = RECENT_HOURS, all = false, force = false } = {}) {
-  const communityId = COMMUNITY_ID;
-  if (!communityId) die("No COMMUNITY_ID");
+async function* refreshMetricsSteps(communityId, { hours = RECENT_HOURS, all = false, force = false, tiered = false, maxRequests, budget } = {}) {
+  if (tiered) {
+    const plan = await planMetricRefresh(communityId, { maxRequests, budget });
+    const skipped = plan.tweets.filter((t) => t.status === "budget").length;
+    console.log(
+      `refresh-metrics [${communityId}]: tiered plan, ${plan.planned.length} to update, ${skipped} skipped by budget` +
+        (budget === undefined ? "" : ` (share ${budget} requests)`)
+    );
+    console.table(plan.summary);
+    return yield* refreshMetricsBatches(communityId, plan.planned, { skipped });
+  }
 
   const where = all
     ? `ct.community_id = $1`
@@ -551,6 +1484,7 @@ async function refreshMetrics({ hours = RECENT_HOURS, all = false, force = false
     LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
     WHERE ${where}
       AND ${updateCondition}
+      AND ${DELETED_RECHECK_SQL}
     ORDER BY ct.created_at DESC NULLS LAST
     LIMIT 5000
   `,
@@ -558,149 +1492,3701 @@ async function refreshMetrics({ hours = RECENT_HOURS, all = false, force = false
   );
 
   const ids = r.rows.map((x) => String(x.tweet_id));
-  console.log(`refresh-metrics: tweets to update = ${ids.length} (all=${all}, hours=${hours}, force=${force})`);
-  if (ids.length === 0) return;
+  console.log(`refresh-metrics [${communityId}]: tweets to update = ${ids.length} (all=${all}, hours=${hours}, force=${force})`);
 
+  return yield* refreshMetricsBatches(communityId, ids);
+}
+
+async function* refreshMetricsBatches(communityId, ids, extra = {}) {
+  let updated = 0;
+  let missing = 0;
+  let deleted = 0;
   for (const group of chunk(ids, BATCH_TWEET_IDS)) {
     const data = await api.getTweetsByIds(group);
     const tweets = Array.isArray(data?.tweets) ? data.tweets : [];
 
-    for (const t of tweets) {
-      await upsertMetrics(t);
-    }
+    const presence = await withTransaction(async (db) => {
+      updated += await upsertMetricsBatch(db, tweets);
+      return recordTweetPresence(db, communityId, group, tweets.map((t) => t.id));
+    });
+    missing += presence.missing;
+    deleted += presence.deleted;
 
-    console.log(`refresh-metrics: updated batch size=${group.length}`);
+    console.log(
+      `refresh-metrics [${communityId}]: updated batch size=${group.length}` +
+        (presence.missing ? ` missing=${presence.missing} newly deleted=${presence.deleted}` : "")
+    );
+    yield { requested: ids.length, updated, missing, deleted, ...extra };
   }
 
-  console.log("refresh-metrics done.");
+  return { requested: ids.length, updated, missing, deleted, ...extra };
 }
 
-async function refreshUsers({ hours = ACTIVE_HOURS, all = false } = {}) {
-  const communityId = COMMUNITY_ID;
-  if (!communityId) die("No COMMUNITY_ID");
+async function refreshPlan(communityId, { status, limit = 50, format = "table" }) {
+  const statuses = ["planned", "budget", "fresh", "never"];
+  if (status && !statuses.includes(status)) die(`Unknown status: ${status} (use ${statuses.join("/")})`);
+  // свежие / never в обычном плане только посчитаны; чтобы их перечислить, нужен подробный план по всем
+  const plan = await planMetricRefresh(communityId, { all: status === "fresh" || status === "never" });
 
-  // ВАЖНО: all=true -> без фильтра по created_at
+  const rows = plan.tweets
+    .filter((t) => (status ? t.status === status : t.status === "planned" || t.status === "budget"))
+    .slice(0, limit)
+    .map((t) => ({
+      tweet_id: t.tweet_id,
+      tier: t.tier,
+      status: t.status,
+      age_hours: Math.round(t.age_hours * 10) / 10,
+      views_per_hour: t.views_per_hour === null ? null : Math.round(t.views_per_hour),
+      refreshed_at: t.refreshed_at ? t.refreshed_at.toISOString() : null,
+    }));
+
+  if (format === "json") return console.log(JSON.stringify({ summary: plan.summary, tweets: rows }, null, 2));
+  console.log(`refresh-plan [${communityId}]`);
+  console.table(plan.summary);
+  printRows(rows, format);
+}
+
+async function refreshMetrics(communityIds, opts = {}) {
+  const startedAt = new Date();
+  // остаток дневного бюджета делим между сообществами поровну: иначе каждое планирует на весь остаток,
+  // и прогон упирается в бюджет посреди чужих планов
+  const budgets = new Map();
+  if (opts.tiered && DAILY_REQUEST_BUDGET && communityIds.length > 1) {
+    const left = Math.max(0, DAILY_REQUEST_BUDGET - (await api.usage.usedToday()));
+    const n = communityIds.length;
+    communityIds.forEach((id, i) => budgets.set(id, Math.floor(left / n) + (i < left % n ? 1 : 0)));
+  }
+  const rows = await runCommunities("refresh-metrics", communityIds, (id) => refreshMetricsSteps(id, { ...opts, budget: budgets.get(id) }));
+  await pruneSnapshots({ since: startedAt });
+  console.log("refresh-metrics done.");
+  await refreshRollups(communityIds);
+  await checkAlerts(communityIds);
+  return rows;
+}
+
+async function* refreshUsersSteps(communityId, { hours = ACTIVE_HOURS, all = false } = {}) {
+  // ВАЖНО: all=true -> без фильтра по created_at
   // Плюс оптимизация: обновляем только тех, кого давно не обновляли (например, 7 дней)
+  // Автор = author_user_id (username в старых твитах может быть уже чужим); спрашиваем API по последнему
+  // известному handle из users, иначе по самому свежему из твитов
+  const r = await q(
+    `
+    SELECT a.user_id, COALESCE(u.username, a.username) AS username
+    FROM (
+      SELECT DISTINCT ON (COALESCE(ct.author_user_id, lower(ct.author_username)))
+             ct.author_user_id AS user_id, ct.author_username AS username
+      FROM community_tweets ct
+      WHERE ct.community_id=$1
+        AND ct.author_username IS NOT NULL
+        ${all ? "" : "AND ct.created_at >= now() - ($3 || ' hours')::interval"}
+      ORDER BY COALESCE(ct.author_user_id, lower(ct.author_username)), ct.created_at DESC NULLS LAST
+    ) a
+    LEFT JOIN users u ON u.user_id = a.user_id OR (a.user_id IS NULL AND lower(u.username) = lower(a.username))
+    WHERE u.updated_at IS NULL OR u.updated_at < now() - $2::interval
+    ORDER BY lower(COALESCE(u.username, a.username))
+  `,
+    all ? [communityId, "7 days"] : [communityId, "12 hours", String(hours)]
+  );
+
+  const users = r.rows.filter((x) => x.username);
+  console.log(`refresh-users [${communityId}]: updating ${users.length} users (all=${all}, hours=${hours})`);
+
+  let updated = 0;
+  let failed = 0;
+  for (const { user_id, username } of users) {
+    try {
+      const data = await api.getUserInfo(username);
+      let u = data?.user || data?.data || data?.result;
+      // handle отдали другому аккаунту (наш автор переименовался) — идём за автором по user_id,
+      // чужой профиль нашему автору не пишем
+      if (u && user_id && String(u.id) !== user_id) {
+        const other = u.id;
+        const byId = await api.getUsersByIds([user_id]);
+        u = (byId?.users || []).find((x) => String(x.id) === user_id);
+        if (!u) throw new Error(`@${username} now belongs to user ${other}, user ${user_id} not found by id`);
+        console.log(`refresh-users @${username} -> @${u.userName} (renamed, handle now belongs to ${other})`);
+      }
+      if (u) await withTransaction((db) => upsertUsers(db, [u], { source: "refresh-users" }));
+      updated++;
+      console.log(`refresh-users ok @${u?.userName || username}`);
+    } catch (e) {
+      if (e instanceof BudgetExceededError) throw e;
+      failed++;
+      console.warn(`refresh-users fail @${username}: ${e.message}`);
+    }
+    yield { users: users.length, updated, failed };
+  }
+
+  return { users: users.length, updated, failed };
+}
+
+async function refreshUsers(communityIds, opts = {}) {
+  const rows = await runCommunities("refresh-users", communityIds, (id) => refreshUsersSteps(id, opts));
+  console.log("refresh-users done.");
+  return rows;
+}
+
+// Уходы считаем только по полному прогону: прерванный (SIGTERM, бюджет, ошибка) остаётся incomplete
+// и ничего не помечает. Первый полный прогон сообщества — база, join-событий не пишет.
+async function* syncMembersSteps(communityId) {
+  const prev = await q(`SELECT 1 FROM member_sync_runs WHERE community_id = $1 AND status = 'complete' LIMIT 1`, [communityId]);
+  const baseline = prev.rows.length === 0;
+  const run = await q(`INSERT INTO member_sync_runs (community_id) VALUES ($1) RETURNING id`, [communityId]);
+  const runId = run.rows[0].id;
+
+  let cursor = null;
+  let total = 0;
+  let pages = 0;
+  let joined = 0;
+  let departed = 0;
+  let status = "incomplete";
+
+  try {
+    while (true) {
+      const data = await api.getCommunityMembers({ community_id: communityId, cursor });
+      const members = Array.isArray(data?.members) ? data.members : [];
+      pages++;
+
+      const up = await withTransaction(async (db) => {
+        await upsertUsers(db, members, { source: "sync-members" });
+        return upsertCommunityMembers(db, communityId, members, { runId, recordJoins: !baseline });
+      });
+      total += members.length;
+      joined += up.joined;
+
+      console.log(`sync-members [${communityId}] page added=${members.length} total=${total} joined=${joined}`);
+
+      if (!data?.has_next_page || !data?.next_cursor) break;
+      cursor = data.next_cursor;
+      yield { members: total, joined };
+    }
+
+    // пустой ответ скорее сбой API, чем все разом ушли
+    if (total > 0) {
+      departed = await withTransaction((db) => markDepartedMembers(db, communityId, runId));
+      status = "complete";
+    }
+  } finally {
+    await q(
+      `UPDATE member_sync_runs SET finished_at = now(), status = $2, pages = $3, members = $4, joined = $5, departed = $6 WHERE id = $1`,
+      [runId, status, pages, total, joined, departed]
+    );
+  }
+
+  console.log(`sync-members [${communityId}] ${baseline ? "baseline " : ""}run #${runId}: joined=${joined} departed=${departed}`);
+  return { members: total, joined, departed };
+}
+
+async function syncMembers(communityIds) {
+  const rows = await runCommunities("sync-members", communityIds, syncMembersSteps);
+  console.log("sync-members done.");
+  await refreshRollups(communityIds);
+  await checkAlerts(communityIds);
+  return rows;
+}
+
+// joins / leaves / net / retention по дням или неделям (retention = кто был в начале периода и не ушёл до конца)
+async function getMemberPeriods(communityId, { days = 30, period = "day" } = {}) {
+  const r = await q(
+    `
+    WITH periods AS (
+      SELECT p AS period_start, p + ('1 ' || $3)::interval AS period_end
+      FROM generate_series(
+        date_trunc($3, now() - ($2 || ' days')::interval),
+        date_trunc($3, now()),
+        ('1 ' || $3)::interval
+      ) p
+    )
+    SELECT p.period_start,
+      (SELECT COUNT(*) FROM member_events e WHERE e.community_id = $1 AND e.event = 'join'
+         AND e.occurred_at >= p.period_start AND e.occurred_at < p.period_end)::int AS joins,
+      (SELECT COUNT(*) FROM member_events e WHERE e.community_id = $1 AND e.event = 'leave'
+         AND e.occurred_at >= p.period_start AND e.occurred_at < p.period_end)::int AS leaves,
+      (SELECT COUNT(*) FROM community_members m WHERE m.community_id = $1
+         AND m.joined_at < p.period_end AND (m.left_at IS NULL OR m.left_at >= p.period_end))::int AS members,
+      (SELECT COUNT(*) FROM community_members m WHERE m.community_id = $1
+         AND m.joined_at < p.period_start AND (m.left_at IS NULL OR m.left_at >= p.period_start))::int AS start_members,
+      (SELECT COUNT(*) FROM community_members m WHERE m.community_id = $1
+         AND m.joined_at < p.period_start AND (m.left_at IS NULL OR m.left_at >= p.period_end))::int AS retained
+    FROM periods p
+    ORDER BY p.period_start
+  `,
+    [communityId, String(days), period]
+  );
+  return r.rows.map((x) => ({
+    period: x.period_start.toISOString().slice(0, 10),
+    joins: x.joins,
+    leaves: x.leaves,
+    net: x.joins - x.leaves,
+    members: x.members,
+    retention_pct: x.start_members ? Math.round((x.retained / x.start_members) * 1000) / 10 : null,
+  }));
+}
+
+// участник -> active (постил за activeDays) / dormant (постил раньше) / never-posted; ушедшие = departed
+async function getMemberActivity(communityId, { activeDays = 30 } = {}) {
+  const r = await q(
+    `
+    WITH posts AS (
+      SELECT author_user_id, lower(author_username) AS uname, COUNT(*) AS posts, MAX(created_at) AS last_post
+      FROM community_tweets
+      WHERE community_id = $1
+      GROUP BY 1, 2
+    )
+    SELECT m.user_id, m.username, m.joined_at, m.left_at,
+           COALESCE(SUM(p.posts), 0)::int AS posts, MAX(p.last_post) AS last_post
+    FROM community_members m
+    LEFT JOIN posts p ON p.author_user_id = m.user_id OR (p.author_user_id IS NULL AND p.uname = lower(m.username))
+    WHERE m.community_id = $1
+    GROUP BY m.user_id, m.username, m.joined_at, m.left_at
+    ORDER BY posts DESC, lower(m.username)
+  `,
+    [communityId]
+  );
+  const activeSince = Date.now() - activeDays * 24 * 3600 * 1000;
+  return r.rows.map((x) => ({
+    ...x,
+    status: x.left_at ? "departed" : !x.last_post ? "never-posted" : x.last_post.getTime() >= activeSince ? "active" : "dormant",
+  }));
+}
+
+const MEMBER_STATUSES = ["active", "dormant", "never-posted", "departed"];
+
+async function memberReport(communityId, { days, period, activeDays, list, format }) {
+  if (!["day", "week"].includes(period)) die(`Unknown period: ${period} (use day/week)`);
+  if (list && !MEMBER_STATUSES.includes(list)) die(`Unknown list: ${list} (use ${MEMBER_STATUSES.join("/")})`);
+
+  const members = await getMemberActivity(communityId, { activeDays });
+  if (list) {
+    const iso = (d) => d?.toISOString() ?? null;
+    const rows = members
+      .filter((x) => x.status === list)
+      .map(({ status, ...x }) => ({ ...x, joined_at: iso(x.joined_at), left_at: iso(x.left_at), last_post: iso(x.last_post) }));
+    if (format === "table") console.log(`member-report [${communityId}] ${list}: ${rows.length}`);
+    return printRows(rows, format);
+  }
+
+  const periods = await getMemberPeriods(communityId, { days, period });
+  const activity = MEMBER_STATUSES.map((status) => ({ status, members: members.filter((x) => x.status === status).length }));
+
+  if (format === "json") return console.log(JSON.stringify({ periods, activity }, null, 2));
+  if (format === "csv") return console.log(toCsv(periods));
+  if (format !== "table") die(`Unknown format: ${format} (use table/csv/json)`);
+
+  const runs = await q(
+    `SELECT id, started_at, status FROM member_sync_runs WHERE community_id = $1 ORDER BY started_at DESC LIMIT 1`,
+    [communityId]
+  );
+  const last = runs.rows[0];
+  console.log(`member-report [${communityId}] last sync: ${last ? `#${last.id} ${last.started_at.toISOString()} ${last.status}` : "never"}`);
+  console.table(periods);
+  console.log(`activity (active = posted in the last ${activeDays} days):`);
+  console.table(activity);
+}
+
+async function getUserStats(communityId, username, { includeDeleted = false } = {}) {
+  // all-time totals for user
+  const r = await q(
+    `
+    SELECT
+      lower(ct.author_username) as username,
+      COUNT(*)::bigint as posts,
+      COALESCE(SUM(tm.view_count),0)::bigint as views,
+      COALESCE(SUM(tm.like_count),0)::bigint as likes,
+      COALESCE(SUM(tm.retweet_count),0)::bigint as retweets,
+      COALESCE(SUM(tm.reply_count),0)::bigint as replies,
+      COALESCE(SUM(tm.quote_count),0)::bigint as quotes,
+      COALESCE(SUM(tm.bookmark_count),0)::bigint as bookmarks
+    FROM community_tweets ct
+    LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+    WHERE ct.community_id = $1
+      AND lower(ct.author_username) = lower($2)
+      ${includeDeleted ? "" : "AND ct.deleted_at IS NULL"}
+    GROUP BY lower(ct.author_username)
+  `,
+    [communityId, username]
+  );
+
+  return r.rows[0] || { username: username.toLowerCase(), posts: 0, views: 0, likes: 0 };
+}
+
+const USER_REPORT_METRICS = [
+  ["posts", "COUNT(*)"],
+  ["views", "COALESCE(SUM(tm.view_count),0)"],
+  ["likes", "COALESCE(SUM(tm.like_count),0)"],
+  ["retweets", "COALESCE(SUM(tm.retweet_count),0)"],
+  ["replies", "COALESCE(SUM(tm.reply_count),0)"],
+  ["quotes", "COALESCE(SUM(tm.quote_count),0)"],
+  ["bookmarks", "COALESCE(SUM(tm.bookmark_count),0)"],
+];
+
+// твиты автора: по author_user_id, когда он известен (старые твиты под прошлым handle — тоже его),
+// по handle — только твиты без user_id или если user_id не нашли
+function authorMatchSql(idParam, nameParam) {
+  return `(ct.author_user_id = ${idParam}::text OR ((ct.author_user_id IS NULL OR ${idParam}::text IS NULL) AND lower(ct.author_username) = lower(${nameParam})))`;
+}
+
+async function getUserPeriod(communityId, author, { from, to, includeDeleted }) {
+  const r = await q(
+    `
+    SELECT ${USER_REPORT_METRICS.map(([name, expr]) => `${expr}::bigint AS ${name}`).join(", ")},
+           COALESCE(SUM(${ENGAGEMENT_SQL}),0)::bigint AS engagement,
+           COUNT(DISTINCT (ct.created_at AT TIME ZONE 'UTC')::date)::int AS active_days
+    FROM community_tweets ct
+    LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+    WHERE ct.community_id = $1
+      AND ${authorMatchSql("$2", "$5")}
+      AND ct.created_at >= $3
+      AND ct.created_at < $4
+      ${includeDeleted ? "" : "AND ct.deleted_at IS NULL"}
+  `,
+    [communityId, author.userId, from, to, author.username]
+  );
+  const out = {};
+  for (const [k, v] of Object.entries(r.rows[0])) out[k] = Number(v);
+  out.avg_views = out.posts ? Math.round(out.views / out.posts) : 0;
+  out.avg_engagement = out.posts ? Math.round((out.engagement / out.posts) * 10) / 10 : 0;
+  return out;
+}
+
+// лучшие/худшие по реакциям среди твитов с метриками
+async function getUserTopTweets(communityId, author, { from, to, includeDeleted, order, skip = [], limit = 3 }) {
+  const r = await q(
+    `
+    SELECT ct.tweet_id, ct.created_at, COALESCE(tm.view_count,0)::bigint AS views,
+           (${ENGAGEMENT_SQL})::bigint AS engagement, ct.url, left(ct.text, 60) AS text
+    FROM community_tweets ct
+    JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+    WHERE ct.community_id = $1
+      AND ${authorMatchSql("$2", "$7")}
+      AND ct.created_at >= $3
+      AND ct.created_at < $4
+      AND NOT (ct.tweet_id = ANY($6::text[]))
+      ${includeDeleted ? "" : "AND ct.deleted_at IS NULL"}
+    ORDER BY engagement ${order}, views ${order}, ct.created_at DESC
+    LIMIT $5
+  `,
+    [communityId, author.userId, from, to, limit, skip, author.username]
+  );
+  return r.rows.map((x) => ({ ...x, created_at: x.created_at.toISOString(), views: Number(x.views), engagement: Number(x.engagement) }));
+}
+
+// серии дней (UTC) подряд с постами: самая длинная в окне и текущая на конец окна
+async function getPostingStreaks(communityId, author, { from, to, includeDeleted }) {
+  const r = await q(
+    `
+    SELECT DISTINCT to_char(ct.created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') AS day
+    FROM community_tweets ct
+    WHERE ct.community_id = $1
+      AND ${authorMatchSql("$2", "$4")}
+      AND ct.created_at < $3
+      ${includeDeleted ? "" : "AND ct.deleted_at IS NULL"}
+    ORDER BY 1
+  `,
+    [communityId, author.userId, to, author.username]
+  );
+  const dayMs = 24 * 3600 * 1000;
+  const fromDay = from.slice(0, 10);
+  let longest = 0;
+  let run = 0;
+  let prev = null;
+  for (const { day } of r.rows) {
+    run = prev && Date.parse(day) - Date.parse(prev) === dayMs ? run + 1 : 1;
+    prev = day;
+    // серия, начавшаяся до окна, считается только днями внутри окна
+    if (day >= fromDay) longest = Math.max(longest, Math.min(run, (Date.parse(day) - Date.parse(fromDay)) / dayMs + 1));
+  }
+  // текущая: последний пост сегодня или вчера (относительно конца окна)
+  const endDay = Date.parse(new Date(Date.parse(to) - 1).toISOString().slice(0, 10));
+  const current = prev && endDay - Date.parse(prev) <= dayMs ? run : 0;
+  return { longest, current, last_post_day: prev };
+}
+
+async function getUserReport(communityId, username, { from, to, includeDeleted = false, allTime = false } = {}) {
+  const name = username.replace(/^@/, "").toLowerCase();
+  const span = Date.parse(to) - Date.parse(from);
+  const prevWindow = allTime ? null : { from: new Date(Date.parse(from) - span).toISOString(), to: from };
+
+  // handle мог смениться -> ищем по user_id (users, user_history, твиты) и твиты считаем по нему
+  const userId =
+    (await resolveUserId(name, { communityId })) ??
+    (await q(`SELECT MAX(author_user_id) AS id FROM community_tweets WHERE community_id = $1 AND lower(author_username) = $2`, [communityId, name])).rows[0].id;
+  const author = { userId, username: name };
+
+  const current = await getUserPeriod(communityId, author, { from, to, includeDeleted });
+  const previous = prevWindow ? await getUserPeriod(communityId, author, { ...prevWindow, includeDeleted }) : null;
+
+  const comparison = Object.keys(current).map((metric) => {
+    const row = { metric, current: current[metric], previous: previous?.[metric] ?? null, delta: null, pct: null };
+    if (previous) {
+      row.delta = Math.round((current[metric] - previous[metric]) * 10) / 10;
+      row.pct = previous[metric] ? Math.round((row.delta / previous[metric]) * 1000) / 10 : null;
+    }
+    return row;
+  });
+
+  // место в leaderboard (те же веса и фильтры) за окно и за прошлое окно
+  const lbOpts = { exclude: splitList(LEADERBOARD_EXCLUDE), includeDeleted, limit: null };
+  const board = await getLeaderboard(communityId, { ...lbOpts, from, to });
+  const mine = board.find((x) => x.username === name);
+  const prevBoard = prevWindow ? await getLeaderboard(communityId, { ...lbOpts, ...prevWindow }) : [];
+  const rank = {
+    rank: mine?.rank ?? null,
+    of: board.length,
+    score: mine?.score ?? null,
+    previous_rank: prevBoard.find((x) => x.username === name)?.rank ?? null,
+  };
+
+  const u = await q(`SELECT user_id, username, name, followers, following, updated_at FROM users WHERE user_id = $1`, [userId]);
+  let followers = null;
+  if (u.rows[0]) {
+    // подписчики на начало окна — последнее наблюдение до from (user_history)
+    const h = await q(
+      `SELECT followers FROM user_history WHERE user_id = $1 AND observed_at < $2 AND followers IS NOT NULL ORDER BY observed_at DESC LIMIT 1`,
+      [u.rows[0].user_id, from]
+    );
+    const now = Number(u.rows[0].followers ?? 0);
+    const before = h.rows[0] ? Number(h.rows[0].followers) : null;
+    followers = {
+      followers: now,
+      following: Number(u.rows[0].following ?? 0),
+      change: before === null ? null : now - before,
+      updated_at: u.rows[0].updated_at,
+    };
+  }
+
+  const best = await getUserTopTweets(communityId, author, { from, to, includeDeleted, order: "DESC" });
+  return {
+    username: name,
+    user_id: userId ?? null,
+    name: u.rows[0]?.name ?? null,
+    from,
+    to,
+    previous: prevWindow,
+    ...current,
+    comparison,
+    rank,
+    followers,
+    streaks: await getPostingStreaks(communityId, author, { from, to, includeDeleted }),
+    best,
+    // меньше шести твитов -> худшие без повторов из лучших
+    worst: await getUserTopTweets(communityId, author, { from, to, includeDeleted, order: "ASC", skip: best.map((x) => x.tweet_id) }),
+  };
+}
+
+// --window=all: с начала времён, без сравнения
+function userReportWindow({ window, from, to }) {
+  if (window === "all" && !from) return { ...parseWindow({ from: new Date(0).toISOString(), to }), allTime: true };
+  return { ...parseWindow({ window, from, to }), allTime: false };
+}
+
+async function userStats(communityId, username, { window, from, to, includeDeleted, format }) {
+  if (!username || username.startsWith("--")) {
+    die("Usage: node parser.js user-stats <username> [--window=7d|all | --from=ISO --to=ISO] [--include-deleted] [--format=table|json]");
+  }
+  let report;
+  try {
+    report = await getUserReport(communityId, username, { ...userReportWindow({ window, from, to }), includeDeleted });
+  } catch (e) {
+    die(e.message);
+  }
+
+  if (format === "json") return console.log(JSON.stringify(report, null, 2));
+  if (format !== "table") die(`Unknown format: ${format} (use table/json)`);
+
+  const r = report;
+  const f = r.followers;
+  console.log(`user-stats @${r.username}${r.name ? ` (${r.name})` : ""} [${communityId}] ${r.from} .. ${r.to}`);
+  if (r.previous) console.log(`  compared with ${r.previous.from} .. ${r.previous.to}`);
+  console.log(
+    `  rank: ${r.rank.rank ? `#${r.rank.rank} of ${r.rank.of} (score ${r.rank.score})` : `unranked (${r.rank.of} authors)`}` +
+      (r.rank.previous_rank ? `, previous #${r.rank.previous_rank}` : "")
+  );
+  console.log(`  followers: ${f ? `${f.followers}${f.change !== null ? ` (${f.change >= 0 ? "+" : ""}${f.change} in window)` : ""}` : "unknown (run refresh-users)"}`);
+  console.log(`  streaks: current ${r.streaks.current}d, longest in window ${r.streaks.longest}d, last post ${r.streaks.last_post_day ?? "never"}`);
+  console.table(r.comparison);
+  if (r.best.length) {
+    console.log("best tweets:");
+    console.table(r.best);
+  }
+  if (r.worst.length) {
+    console.log("worst tweets:");
+    console.table(r.worst);
+  }
+}
+
+// user_id по текущему handle, иначе по прошлому (последний, кто его носил).
+// communityId — только среди авторов и участников сообщества: handle мог достаться чужому аккаунту
+async function resolveUserId(username, { communityId = null } = {}) {
+  const name = username.replace(/^@/, "");
+  const inCommunity = `($2::text IS NULL
+    OR EXISTS (SELECT 1 FROM community_tweets ct WHERE ct.community_id = $2 AND ct.author_user_id = x.user_id)
+    OR EXISTS (SELECT 1 FROM community_members m WHERE m.community_id = $2 AND m.user_id = x.user_id))`;
+  const cur = await q(
+    `SELECT user_id FROM users x WHERE lower(username) = lower($1) AND ${inCommunity} ORDER BY updated_at DESC NULLS LAST LIMIT 1`,
+    [name, communityId]
+  );
+  if (cur.rows[0]) return cur.rows[0].user_id;
+  const past = await q(
+    `SELECT user_id FROM user_history x WHERE lower(username) = lower($1) AND ${inCommunity} ORDER BY observed_at DESC LIMIT 1`,
+    [name, communityId]
+  );
+  return past.rows[0]?.user_id ?? null;
+}
+
+async function getUserHistory(userId, { limit = 100 } = {}) {
+  const r = await q(
+    `
+    SELECT * FROM (
+      SELECT id, observed_at, source, username, name, followers, following, changed
+      FROM user_history WHERE user_id = $1
+      ORDER BY observed_at DESC, id DESC
+      LIMIT $2
+    ) h ORDER BY observed_at, id
+  `,
+    [userId, limit]
+  );
+  const handles = await q(
+    `
+    SELECT username, MIN(observed_at) AS first_seen, MAX(observed_at) AS last_seen
+    FROM user_history WHERE user_id = $1 AND username IS NOT NULL
+    GROUP BY username ORDER BY MIN(observed_at)
+  `,
+    [userId]
+  );
+  const current = await q(`SELECT username, followers FROM users WHERE user_id = $1`, [userId]);
+
+  let prev = null;
+  const history = r.rows.map((x) => {
+    const followers = x.followers === null ? null : Number(x.followers);
+    const row = {
+      observed_at: x.observed_at.toISOString(),
+      source: x.source,
+      username: x.username,
+      followers,
+      d_followers: prev !== null && followers !== null ? followers - prev : null,
+      following: x.following === null ? null : Number(x.following),
+      changed: x.changed.length ? x.changed.join(",") : "first seen",
+    };
+    if (followers !== null) prev = followers;
+    return row;
+  });
+
+  const points = history.filter((x) => x.followers !== null);
+  const first = points[0];
+  const last = points[points.length - 1];
+  const days = first && last ? (Date.parse(last.observed_at) - Date.parse(first.observed_at)) / 86400000 : 0;
+  return {
+    user_id: userId,
+    username: current.rows[0]?.username ?? null,
+    handles: handles.rows.map((x) => ({ username: x.username, first_seen: x.first_seen.toISOString(), last_seen: x.last_seen.toISOString() })),
+    followers: first
+      ? {
+          first: first.followers,
+          last: last.followers,
+          change: last.followers - first.followers,
+          per_day: days > 0 ? Math.round(((last.followers - first.followers) / days) * 10) / 10 : null,
+          since: first.observed_at,
+        }
+      : null,
+    history,
+  };
+}
+
+async function userHistory(username, { limit, format }) {
+  if (!username) die("Usage: node parser.js user-history <username> [--limit=100] [--format=table|csv|json]");
+  const userId = await resolveUserId(username);
+  if (!userId) die(`Unknown user: ${username}`);
+
+  const h = await getUserHistory(userId, { limit });
+  if (format === "json") return console.log(JSON.stringify(h, null, 2));
+  if (format !== "table") return printRows(h.history, format);
+
+  console.log(`user-history @${h.username ?? username} (user_id=${userId})`);
+  const past = h.handles.filter((x) => x.username !== h.username);
+  if (past.length) console.log(`past handles: ${past.map((x) => `@${x.username} (until ${x.last_seen.slice(0, 10)})`).join(", ")}`);
+  if (h.followers) {
+    const sign = h.followers.change >= 0 ? "+" : "";
+    console.log(
+      `followers: ${h.followers.first} -> ${h.followers.last} (${sign}${h.followers.change} since ${h.followers.since.slice(0, 10)}` +
+        `${h.followers.per_day !== null ? `, ${h.followers.per_day}/day` : ""})`
+    );
+  }
+  console.table(h.history);
+}
+
+async function metricHistory(tweetId) {
+  if (!tweetId) die("Usage: node parser.js metric-history <tweet_id>");
+
+  const r = await q(
+    `
+    SELECT captured_at, ${METRIC_COLUMNS.join(", ")}
+    FROM tweet_metrics_snapshots
+    WHERE tweet_id = $1
+    ORDER BY captured_at ASC
+  `,
+    [String(tweetId)]
+  );
+
+  if (r.rows.length === 0) {
+    console.log(`metric-history: no snapshots for ${tweetId}`);
+    return;
+  }
+
+  let prev = null;
+  const rows = r.rows.map((x) => {
+    const views = Number(x.view_count);
+    const hours = prev ? (x.captured_at - prev.captured_at) / 3600000 : 0;
+    const dViews = prev ? views - Number(prev.view_count) : 0;
+    prev = x;
+    return {
+      captured_at: x.captured_at.toISOString(),
+      views,
+      likes: Number(x.like_count),
+      retweets: Number(x.retweet_count),
+      replies: Number(x.reply_count),
+      d_views: dViews,
+      views_per_hour: hours > 0 ? Math.round(dViews / hours) : null,
+    };
+  });
+
+  const peak = rows.reduce((a, b) => ((b.views_per_hour ?? -1) > (a.views_per_hour ?? -1) ? b : a));
+  console.table(rows);
+  if (peak.views_per_hour !== null) {
+    console.log(`peak growth: ${peak.views_per_hour} views/h at ${peak.captured_at}`);
+  }
+}
+
+async function velocity(communityId, { hours = 6, limit = 20, metric = "views" } = {}) {
+  const col = METRIC_BY_NAME[metric];
+  if (!col) die(`Unknown metric: ${metric} (use ${Object.keys(METRIC_BY_NAME).join("/")})`);
+
+  // база = последний снапшот до начала окна, иначе первый внутри окна
+  const r = await q(
+    `
+    WITH recent AS (
+      SELECT DISTINCT tweet_id
+      FROM tweet_metrics_snapshots
+      WHERE captured_at >= now() - ($2 || ' hours')::interval
+    )
+    SELECT ct.tweet_id, ct.author_username, ct.url,
+           last.v - base.v AS gain,
+           EXTRACT(EPOCH FROM last.t - base.t) / 3600 AS span_hours,
+           last.v AS current
+    FROM recent
+    JOIN community_tweets ct ON ct.tweet_id = recent.tweet_id AND ct.community_id = $1
+    JOIN LATERAL (
+      SELECT captured_at AS t, ${col} AS v FROM tweet_metrics_snapshots s
+      WHERE s.tweet_id = recent.tweet_id
+      ORDER BY captured_at DESC LIMIT 1
+    ) last ON true
+    JOIN LATERAL (
+      SELECT t, v FROM (
+        (SELECT captured_at AS t, ${col} AS v, 0 AS pri FROM tweet_metrics_snapshots s
+         WHERE s.tweet_id = recent.tweet_id AND s.captured_at < now() - ($2 || ' hours')::interval
+         ORDER BY captured_at DESC LIMIT 1)
+        UNION ALL
+        (SELECT captured_at AS t, ${col} AS v, 1 AS pri FROM tweet_metrics_snapshots s
+         WHERE s.tweet_id = recent.tweet_id AND s.captured_at >= now() - ($2 || ' hours')::interval
+         ORDER BY captured_at ASC LIMIT 1)
+      ) c ORDER BY pri LIMIT 1
+    ) base ON true
+    WHERE last.t > base.t
+    ORDER BY gain DESC
+    LIMIT $3
+  `,
+    [communityId, String(hours), limit]
+  );
+
+  console.log(`velocity: top ${r.rows.length} by ${metric} gain in last ${hours}h`);
+  console.table(
+    r.rows.map((x) => ({
+      tweet_id: x.tweet_id,
+      author: x.author_username,
+      gain: Number(x.gain),
+      per_hour: Number(x.span_hours) > 0 ? Math.round(Number(x.gain) / Number(x.span_hours)) : null,
+      current: Number(x.current),
+      url: x.url,
+    }))
+  );
+}
+
+async function apiUsageReport({ days = 7 } = {}) {
+  const since = new Date(Date.now() - (days - 1) * 24 * 3600 * 1000).toISOString().slice(0, 10);
+  const r = await q(
+    `
+    SELECT day::text AS day, command, requests, failed
+    FROM api_usage
+    WHERE day >= $1
+    ORDER BY day DESC, requests DESC
+  `,
+    [since]
+  );
+  console.table(r.rows);
+
+  const used = await api.usage.usedToday();
+  console.log(
+    DAILY_REQUEST_BUDGET
+      ? `today: ${used}/${DAILY_REQUEST_BUDGET} requests (${Math.max(0, DAILY_REQUEST_BUDGET - used)} left)`
+      : `today: ${used} requests (no DAILY_REQUEST_BUDGET)`
+  );
+}
+
+async function syncLast24Hours(communityIds) {
+  console.log("=== Синхронизация твитов и метрик за последние 24 часа ===");
+
+  // Сначала получаем все новые твиты за последние 24 часа
+  console.log("Шаг 1: Получение всех твитов за последние 24 часа...");
+  await ingestNew(communityIds);
+
+  // Затем обновляем метрики для всех твитов за последние 24 часа
+  console.log("Шаг 2: Обновление метрик для всех твитов за последние 24 часа...");
+  await refreshMetrics(communityIds, { hours: 24, force: true });
+
+  console.log("=== Синхронизация завершена ===");
+}
+
+// ---------- Coverage gaps ----------
+async function newestTweetAt(communityId) {
+  const r = await q(`SELECT max(created_at) AS t FROM community_tweets WHERE community_id = $1`, [communityId]);
+  return r.rows[0].t ? r.rows[0].t.toISOString() : null;
+}
+
+async function recordGap(db, communityId, { from, to, reason, cursor }) {
+  await db.query(
+    `INSERT INTO coverage_gaps (community_id, gap_from, gap_to, reason, cursor) VALUES ($1, $2, $3, $4, $5)`,
+    [communityId, from, to, reason, cursor || null]
+  );
+}
+
+// Листаем ленту с сохранённого cursor (лента идёт от новых к старым): всё, что строго внутри
+// (gap_from, gap_to), пишем; первый твит не новее gap_from = дыра закрыта. Курсор и счётчики
+// сохраняются вместе со страницей, так что прерванный запуск продолжит с того же места.
+async function* healGapsSteps(communityId, { maxPages = HEAL_GAPS_PAGES_PER_RUN } = {}) {
+  const r = await q(
+    `SELECT id, gap_from, gap_to, cursor FROM coverage_gaps WHERE community_id = $1 AND status = 'pending' ORDER BY gap_to DESC`,
+    [communityId]
+  );
+  console.log(`heal-gaps [${communityId}]: pending gaps = ${r.rows.length}`);
+
+  let pages = 0;
+  let inserted = 0;
+  let closed = 0;
+
+  for (const gap of r.rows) {
+    const from = gap.gap_from.toISOString();
+    const to = gap.gap_to.toISOString();
+    let cursor = gap.cursor;
+
+    while (true) {
+      if (pages >= maxPages) {
+        console.log(`heal-gaps [${communityId}] stop: page limit (${maxPages})`);
+        return { gaps: r.rows.length, closed, pages, inserted, stop: "page limit" };
+      }
+
+      const data = await api.getCommunityTweets({ community_id: communityId, cursor });
+      const tweets = Array.isArray(data?.tweets) ? data.tweets : [];
+      pages++;
+
+      const rows = [];
+      let reached = false;
+      for (const t of tweets) {
+        const tw = normalizeTweet(t);
+        if (!tw.created_at) continue;
+        if (tw.created_at <= from) {
+          reached = true;
+          break;
+        }
+        if (tw.created_at < to) rows.push(tw);
+      }
+
+      const hasNext = Boolean(data?.has_next_page && data?.next_cursor);
+      // лента кончилась раньше gap_from -> старее API ничего не отдаст, закрываем как есть
+      const done = reached || !hasNext;
+      const n = await withTransaction(async (db) => {
+        const n = await upsertCommunityTweets(db, communityId, rows);
+        await db.query(
+          `
+          UPDATE coverage_gaps
+          SET cursor = $2, pages = pages + 1, inserted = inserted + $3,
+              status = CASE WHEN $4 THEN 'closed' ELSE status END,
+              closed_at = CASE WHEN $4 THEN now() END
+          WHERE id = $1
+        `,
+          [gap.id, done ? null : data.next_cursor, n, done]
+        );
+        return n;
+      });
+      inserted += n;
+
+      console.log(`heal-gaps [${communityId}] gap=#${gap.id} ${from} .. ${to} inserted=${n}${done ? ` closed${reached ? "" : " (feed ended)"}` : ""}`);
+      if (done) closed++;
+      else cursor = data.next_cursor;
+      yield { pages, inserted };
+      if (done) break;
+    }
+  }
+
+  return { gaps: r.rows.length, closed, pages, inserted };
+}
+
+async function healGaps(communityIds, opts = {}) {
+  const rows = await runCommunities("heal-gaps", communityIds, (id) => healGapsSteps(id, opts));
+  await refreshRollups(communityIds);
+  return rows;
+}
+
+// дни (UTC) со статусом: complete | partial (часть дня в дыре) | gap | uncollected (вне собранного)
+async function getCoverageDays(communityId, { days } = {}) {
+  const b = await q(`SELECT min(created_at) AS first, max(created_at) AS last FROM community_tweets WHERE community_id = $1`, [communityId]);
+  const { first, last } = b.rows[0];
+  if (!first) return [];
+
+  const dayStart = (d) => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  const end = dayStart(new Date());
+  const start = days ? new Date(end.getTime() - (days - 1) * 24 * 3600 * 1000) : dayStart(first);
+
+  const r = await q(
+    `
+    SELECT d AS day,
+           (SELECT count(*) FROM community_tweets ct
+            WHERE ct.community_id = $1 AND ct.created_at >= d AND ct.created_at < d + interval '24 hours')::int AS tweets,
+           (SELECT count(*) FROM coverage_gaps g
+            WHERE g.community_id = $1 AND g.status = 'pending' AND g.gap_from < d + interval '24 hours' AND g.gap_to > d)::int AS gaps,
+           EXISTS (SELECT 1 FROM coverage_gaps g
+                   WHERE g.community_id = $1 AND g.status = 'pending' AND g.gap_from <= d AND g.gap_to >= d + interval '24 hours') AS in_gap
+    FROM generate_series($2::timestamptz, $3::timestamptz, interval '24 hours') AS d
+    ORDER BY d
+  `,
+    [communityId, start.toISOString(), end.toISOString()]
+  );
+
+  return r.rows.map((x) => {
+    let status = "complete";
+    if (x.in_gap) status = "gap";
+    else if (x.gaps) status = "partial";
+    else if (x.day < dayStart(first) || x.day > last) status = "uncollected";
+    return { day: x.day.toISOString().slice(0, 10), status, tweets: x.tweets };
+  });
+}
+
+// подряд идущие дни с одним статусом -> диапазон
+function coverageRanges(dayRows) {
+  const out = [];
+  for (const x of dayRows) {
+    const prev = out[out.length - 1];
+    if (prev && prev.status === x.status) {
+      prev.to = x.day;
+      prev.days++;
+      prev.tweets += x.tweets;
+    } else out.push({ from: x.day, to: x.day, status: x.status, days: 1, tweets: x.tweets });
+  }
+  return out;
+}
+
+async function coverage(communityId, { by, days, format }) {
+  if (!["range", "day"].includes(by)) die(`invalid --by: ${by} (use range/day)`);
+  const dayRows = await getCoverageDays(communityId, { days: days ?? (by === "day" ? 30 : null) });
+  const g = await q(
+    `SELECT id, gap_from, gap_to, reason, pages, inserted, detected_at FROM coverage_gaps WHERE community_id = $1 AND status = 'pending' ORDER BY gap_from`,
+    [communityId]
+  );
+
+  if (format === "table") console.log(`coverage [${communityId}] (UTC days; pending gaps: ${g.rows.length})`);
+  printRows(by === "day" ? dayRows : coverageRanges(dayRows), format);
+  if (format === "table" && g.rows.length) {
+    console.table(g.rows.map((x) => ({ ...x, id: Number(x.id), gap_from: x.gap_from.toISOString(), gap_to: x.gap_to.toISOString() })));
+  }
+}
+
+// ---------- Daily rollups ----------
+const ROLLUP_OVERLAP_MIN = 10;
+
+// день (UTC) -> [from, to) как timestamptz, чтобы работали индексы по created_at
+const ROLLUP_DAY_JOIN = (col) => `${col} >= d.day::timestamp AT TIME ZONE 'UTC' AND ${col} < (d.day + 1)::timestamp AT TIME ZONE 'UTC'`;
+
+// пересобрать дни целиком (DELETE + INSERT), days = ['YYYY-MM-DD', ...]
+async function rebuildRollupDays(db, communityId, days) {
+  if (!days.length) return;
+  await db.query(`DELETE FROM daily_author_stats WHERE community_id = $1 AND day = ANY($2::date[])`, [communityId, days]);
+  await db.query(`DELETE FROM daily_community_stats WHERE community_id = $1 AND day = ANY($2::date[])`, [communityId, days]);
+
+  await db.query(
+    `
+    INSERT INTO daily_author_stats (community_id, day, username, user_id, posts, ${METRIC_COLUMNS.join(", ")}, engagement)
+    SELECT $1, d.day, lower(ct.author_username), MAX(ct.author_user_id), COUNT(*),
+           ${METRIC_COLUMNS.map((c) => `COALESCE(SUM(tm.${c}),0)`).join(", ")},
+           COALESCE(SUM(${ENGAGEMENT_SQL}),0)
+    FROM unnest($2::date[]) AS d(day)
+    JOIN community_tweets ct ON ct.community_id = $1 AND ${ROLLUP_DAY_JOIN("ct.created_at")}
+    LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+    WHERE ct.deleted_at IS NULL AND ct.author_username IS NOT NULL
+    GROUP BY d.day, lower(ct.author_username)
+  `,
+    [communityId, days]
+  );
+
+  const live = `ct.tweet_id IS NOT NULL AND ct.deleted_at IS NULL`;
+  const measured = `${live} AND tm.tweet_id IS NOT NULL`;
+  await db.query(
+    `
+    INSERT INTO daily_community_stats (
+      community_id, day, posts, posters, deleted, ${METRIC_COLUMNS.join(", ")}, engagement,
+      median_views, median_likes, median_engagement, new_members, left_members, refreshed_at
+    )
+    SELECT $1, d.day,
+           COUNT(*) FILTER (WHERE ${live}),
+           COUNT(DISTINCT lower(ct.author_username)) FILTER (WHERE ${live}),
+           COUNT(*) FILTER (WHERE ct.deleted_at IS NOT NULL),
+           ${METRIC_COLUMNS.map((c) => `COALESCE(SUM(tm.${c}) FILTER (WHERE ${live}),0)`).join(",\n           ")},
+           COALESCE(SUM(${ENGAGEMENT_SQL}) FILTER (WHERE ${live}),0),
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY COALESCE(tm.view_count,0)) FILTER (WHERE ${measured}),
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY COALESCE(tm.like_count,0)) FILTER (WHERE ${measured}),
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY ${ENGAGEMENT_SQL}) FILTER (WHERE ${measured}),
+           (SELECT COUNT(*) FROM member_events e
+            WHERE e.community_id = $1 AND e.event = 'join' AND ${ROLLUP_DAY_JOIN("e.occurred_at")}),
+           (SELECT COUNT(*) FROM member_events e
+            WHERE e.community_id = $1 AND e.event = 'leave' AND ${ROLLUP_DAY_JOIN("e.occurred_at")}),
+           now()
+    FROM unnest($2::date[]) AS d(day)
+    LEFT JOIN community_tweets ct ON ct.community_id = $1 AND ${ROLLUP_DAY_JOIN("ct.created_at")}
+    LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+    GROUP BY d.day
+  `,
+    [communityId, days]
+  );
+}
+
+// дни, где с прошлого раза появились/удалились твиты, обновились метрики или были join/leave
+async function changedRollupDays(communityId, since) {
+  // с запасом: транзакция ingest могла начаться раньше, а закоммититься после прошлого пересчёта
+  const params = [communityId, since, ROLLUP_OVERLAP_MIN];
+  const r = await q(
+    `
+    WITH s AS (SELECT $2::timestamptz - ($3 || ' minutes')::interval AS t)
+    SELECT DISTINCT to_char(day, 'YYYY-MM-DD') AS day FROM (
+      -- три отдельные ветки, а не OR: каждая идёт по своему индексу (016, 010, 018)
+      SELECT (ct.created_at AT TIME ZONE 'UTC')::date AS day
+      FROM community_tweets ct, s
+      WHERE ct.community_id = $1 AND ct.inserted_at >= s.t
+      UNION
+      SELECT (ct.created_at AT TIME ZONE 'UTC')::date
+      FROM community_tweets ct, s
+      WHERE ct.community_id = $1 AND ct.deleted_at >= s.t
+      UNION
+      SELECT (ct.created_at AT TIME ZONE 'UTC')::date
+      FROM community_tweets ct, s
+      WHERE ct.community_id = $1 AND ct.last_missing_at >= s.t
+      UNION
+      SELECT (ct.created_at AT TIME ZONE 'UTC')::date
+      FROM tweet_metrics_latest tm
+      JOIN community_tweets ct ON ct.tweet_id = tm.tweet_id AND ct.community_id = $1, s
+      WHERE tm.updated_at >= s.t
+      UNION
+      SELECT (e.occurred_at AT TIME ZONE 'UTC')::date
+      FROM member_events e, s
+      WHERE e.community_id = $1 AND e.occurred_at >= s.t
+    ) x
+    WHERE day IS NOT NULL
+    ORDER BY day
+  `,
+    params
+  );
+  return r.rows.map((x) => x.day);
+}
+
+// все дни от первого твита (или join) до сегодня
+async function allRollupDays(communityId, { from, to } = {}) {
+  const r = await q(
+    `
+    SELECT to_char(d, 'YYYY-MM-DD') AS day
+    FROM generate_series(
+      COALESCE($2::date, LEAST(
+        (SELECT min(created_at AT TIME ZONE 'UTC')::date FROM community_tweets WHERE community_id = $1),
+        (SELECT min(occurred_at AT TIME ZONE 'UTC')::date FROM member_events WHERE community_id = $1)
+      )),
+      COALESCE($3::date, (now() AT TIME ZONE 'UTC')::date),
+      interval '1 day'
+    ) AS d
+  `,
+    [communityId, from || null, to || null]
+  );
+  return r.rows.map((x) => x.day);
+}
+
+// большими кусками, по транзакции на кусок: один день = один проход по индексу created_at
+const ROLLUP_CHUNK_DAYS = 31;
+
+async function refreshRollups(communityIds, { log = console.log } = {}) {
+  for (const communityId of communityIds) {
+    const started = (await q(`SELECT now() AS t`)).rows[0].t;
+    const state = await q(`SELECT refreshed_at FROM rollup_state WHERE community_id = $1`, [communityId]);
+    const since = state.rows[0]?.refreshed_at;
+    // первый запуск = вся история: теми же кусками, что и rebuild-rollups, а не одной транзакцией.
+    // Отметку пишем с последним куском: прервались посередине -> следующий запуск начнёт заново
+    const days = since ? await changedRollupDays(communityId, since) : await allRollupDays(communityId);
+    const groups = days.length ? chunk(days, ROLLUP_CHUNK_DAYS) : [[]];
+
+    for (const [i, group] of groups.entries()) {
+      await withTransaction(async (db) => {
+        await rebuildRollupDays(db, communityId, group);
+        if (i < groups.length - 1) return;
+        await db.query(
+          `INSERT INTO rollup_state (community_id, refreshed_at) VALUES ($1, $2)
+           ON CONFLICT (community_id) DO UPDATE SET refreshed_at = EXCLUDED.refreshed_at`,
+          [communityId, started]
+        );
+      });
+    }
+    log(`rollups [${communityId}]: refreshed ${days.length} days${since ? "" : " (first run)"}`);
+  }
+}
+
+async function rebuildRollups(communityIds, { from, to, all }) {
+  for (const communityId of communityIds) {
+    const days = await allRollupDays(communityId, all ? {} : { from, to });
+    for (const group of chunk(days, ROLLUP_CHUNK_DAYS)) {
+      await withTransaction((db) => rebuildRollupDays(db, communityId, group));
+    }
+    console.log(`rebuild-rollups [${communityId}]: ${days.length} days${days.length ? ` (${days[0]} .. ${days[days.length - 1]})` : ""}`);
+  }
+}
+
+// читает только daily_* таблицы; by=day|week|month|total
+async function getCommunityStats(communityId, { fromDay, toDay, by = "day" }) {
+  const period = {
+    day: (c) => c,
+    week: (c) => `date_trunc('week', ${c})::date`,
+    month: (c) => `date_trunc('month', ${c})::date`,
+    total: () => `$2::date`,
+  }[by];
+  if (!period) throw new Error(`invalid --by: ${by} (use day/week/month/total)`);
+
+  const params = [communityId, fromDay, toDay];
+  const s = await q(
+    `
+    SELECT to_char(${period("s.day")}, 'YYYY-MM-DD') AS period,
+           COUNT(*)::int AS days,
+           SUM(s.posts)::int AS posts,
+           SUM(s.new_members)::int AS new_members,
+           SUM(s.left_members)::int AS left_members,
+           ${METRIC_COLUMNS.map((c) => `SUM(s.${c})::bigint AS ${c}`).join(", ")},
+           SUM(s.engagement)::bigint AS engagement,
+           MAX(s.median_views) AS median_views,
+           MAX(s.median_likes) AS median_likes,
+           MAX(s.median_engagement) AS median_engagement
+    FROM daily_community_stats s
+    WHERE s.community_id = $1 AND s.day BETWEEN $2::date AND $3::date
+    GROUP BY 1
+    ORDER BY 1
+  `,
+    params
+  );
+  // уникальные авторы за неделю/месяц != сумма дневных -> считаем по daily_author_stats
+  const a = await q(
+    `
+    SELECT to_char(${period("a.day")}, 'YYYY-MM-DD') AS period, COUNT(DISTINCT a.username)::int AS posters
+    FROM daily_author_stats a
+    WHERE a.community_id = $1 AND a.day BETWEEN $2::date AND $3::date
+    GROUP BY 1
+  `,
+    params
+  );
+  const posters = new Map(a.rows.map((x) => [x.period, x.posters]));
+
+  return s.rows.map((x) => {
+    const row = { period: x.period, days: x.days, posts: x.posts, posters: posters.get(x.period) || 0, new_members: x.new_members, left_members: x.left_members };
+    for (const c of METRIC_COLUMNS) row[c] = Number(x[c]);
+    row.engagement = Number(x.engagement);
+    // медиана есть только у дня; для недели/месяца — среднее на пост
+    if (by === "day") {
+      row.median_views = x.median_views;
+      row.median_likes = x.median_likes;
+      row.median_engagement = x.median_engagement;
+    } else {
+      row.avg_views = x.posts ? Math.round(row.view_count / x.posts) : null;
+      row.avg_engagement = x.posts ? Math.round((row.engagement / x.posts) * 10) / 10 : null;
+    }
+    return row;
+  });
+}
+
+async function getTopAuthorsFromRollups(communityId, { fromDay, toDay, limit = 10 }) {
+  const r = await q(
+    `
+    SELECT a.username, MAX(a.user_id) AS user_id, SUM(a.posts)::int AS posts, COUNT(*)::int AS active_days,
+           SUM(a.view_count)::bigint AS views, SUM(a.like_count)::bigint AS likes, SUM(a.engagement)::bigint AS engagement
+    FROM daily_author_stats a
+    WHERE a.community_id = $1 AND a.day BETWEEN $2::date AND $3::date
+      AND ${trustedAuthorSql("a", "a.username")}
+    GROUP BY a.username
+    ORDER BY engagement DESC, posts DESC, username
+    LIMIT $4
+  `,
+    [communityId, fromDay, toDay, limit]
+  );
+  return r.rows.map((x) => ({ ...x, views: Number(x.views), likes: Number(x.likes), engagement: Number(x.engagement) }));
+}
+
+// окно -> включительные дни UTC: --to=2026-10-08 значит "по 7-е"
+function windowDays({ window, from, to }) {
+  const w = parseWindow({ window, from, to });
+  return { fromDay: w.from.slice(0, 10), toDay: new Date(new Date(w.to).getTime() - 1).toISOString().slice(0, 10) };
+}
+
+async function communityStats(communityId, { window, from, to, by, topAuthors, format }) {
+  let days;
+  let rows;
+  try {
+    days = windowDays({ window, from, to });
+    rows = await getCommunityStats(communityId, { ...days, by });
+  } catch (e) {
+    die(e.message);
+  }
+  const top = topAuthors ? await getTopAuthorsFromRollups(communityId, { ...days, limit: topAuthors }) : null;
+
+  if (format === "json") {
+    console.log(JSON.stringify(top ? { periods: rows, top_authors: top } : rows, null, 2));
+    return;
+  }
+  if (format === "table") {
+    const rolled = rows.reduce((n, x) => n + x.days, 0);
+    const expected = Math.round((Date.parse(days.toDay) - Date.parse(days.fromDay)) / 86400000) + 1;
+    console.log(`community-stats [${communityId}] ${days.fromDay} .. ${days.toDay} by ${by} (from daily rollups)`);
+    if (rolled < expected) console.log(`community-stats: ${expected - rolled} of ${expected} days are not rolled up (run rebuild-rollups)`);
+  }
+  printRows(rows, format);
+  if (top) {
+    if (format === "table") console.log("top authors:");
+    printRows(top, format);
+  }
+}
+
+// ---------- Leaderboard ----------
+// "24h" / "7d" / "30d" или явные from/to (ISO)
+function parseWindow({ window, from, to } = {}) {
+  const toDate = to ? new Date(to) : new Date();
+  if (Number.isNaN(toDate.getTime())) throw new Error(`invalid --to: ${to}`);
+
+  let fromDate;
+  if (from) {
+    fromDate = new Date(from);
+    if (Number.isNaN(fromDate.getTime())) throw new Error(`invalid --from: ${from}`);
+  } else {
+    const m = /^(\d+)([hd])$/.exec(String(window || "7d"));
+    if (!m) throw new Error(`invalid window: ${window} (use e.g. 24h, 7d, 30d)`);
+    const hours = Number(m[1]) * (m[2] === "d" ? 24 : 1);
+    fromDate = new Date(toDate.getTime() - hours * 3600 * 1000);
+  }
+
+  if (fromDate >= toDate) throw new Error("window start must be before its end");
+  return { from: fromDate.toISOString(), to: toDate.toISOString() };
+}
+
+// "views:0.01,likes:1" -> { view_count: 0.01, like_count: 1 }
+function parseWeights(s) {
+  const weights = {};
+  for (const part of splitList(s)) {
+    const [name, value] = part.split(":");
+    const col = METRIC_BY_NAME[name];
+    const w = Number(value);
+    if (!col) throw new Error(`unknown metric in weights: ${name}`);
+    if (!Number.isFinite(w)) throw new Error(`invalid weight for ${name}: ${value}`);
+    weights[col] = w;
+  }
+  if (Object.keys(weights).length === 0) throw new Error("weights are empty");
+  return weights;
+}
+
+async function getLeaderboard(
+  communityId,
+  { from, to, weights = parseWeights(LEADERBOARD_WEIGHTS), minPosts = LEADERBOARD_MIN_POSTS, exclude = [], includeDeleted = false, limit = 100 } = {}
+) {
+  const params = [communityId, from, to, minPosts, exclude.map((x) => x.toLowerCase().replace(/^@/, ""))];
+  const scoreExpr = Object.entries(weights)
+    .map(([col, w]) => {
+      params.push(w);
+      return `COALESCE(SUM(tm.${col}),0) * $${params.length}::float8`;
+    })
+    .join(" + ");
+  params.push(limit);
+
+  const r = await q(
+    `
+    SELECT
+      lower(ct.author_username) AS username,
+      MAX(ct.author_user_id) AS user_id,
+      COUNT(*)::bigint AS posts,
+      ${METRIC_COLUMNS.map((c) => `COALESCE(SUM(tm.${c}),0)::bigint AS ${c}`).join(",\n      ")},
+      (${scoreExpr})::float8 AS score
+    FROM community_tweets ct
+    LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+    WHERE ct.community_id = $1
+      AND ct.created_at >= $2
+      AND ct.created_at < $3
+      AND ct.author_username IS NOT NULL
+      AND NOT (lower(ct.author_username) = ANY($5::text[]))
+      AND ${trustedAuthorSql("ct")}
+      ${includeDeleted ? "" : "AND ct.deleted_at IS NULL"}
+    GROUP BY lower(ct.author_username)
+    HAVING COUNT(*) >= $4
+    ORDER BY score DESC, posts DESC, username ASC
+    LIMIT $${params.length}
+  `,
+    params
+  );
+
+  return r.rows.map((x, i) => {
+    const row = { rank: i + 1, username: x.username, user_id: x.user_id, posts: Number(x.posts) };
+    for (const c of METRIC_COLUMNS) row[c] = Number(x[c]);
+    row.score = Math.round(x.score * 100) / 100;
+    return row;
+  });
+}
+
+async function freezeLeaderboard(communityId, name, opts, rows) {
+  return withTransaction(async (db) => {
+    const s = await db.query(
+      `
+      INSERT INTO leaderboard_snapshots (community_id, name, window_from, window_to, weights, min_posts, excluded)
+      VALUES ($1,$2,$3,$4,$5::jsonb,$6,$7::jsonb)
+      RETURNING id
+    `,
+      [communityId, name, opts.from, opts.to, JSON.stringify(opts.weights), opts.minPosts, JSON.stringify(opts.exclude)]
+    );
+    const snapshotId = s.rows[0].id;
+
+    await db.query(
+      `
+      INSERT INTO leaderboard_entries (snapshot_id, rank, username, user_id, posts, ${METRIC_COLUMNS.join(", ")}, score)
+      SELECT $1, x.rank, x.username, x.user_id, x.posts, ${METRIC_COLUMNS.map((c) => `x.${c}`).join(", ")}, x.score
+      FROM jsonb_to_recordset($2::jsonb) AS x(
+        rank int, username text, user_id text, posts bigint,
+        ${METRIC_COLUMNS.map((c) => `${c} bigint`).join(", ")}, score float8
+      )
+    `,
+      [snapshotId, JSON.stringify(rows)]
+    );
+    return snapshotId;
+  });
+}
+
+async function getLeaderboardSnapshot(communityId, snapshotId) {
+  const s = await q(`SELECT * FROM leaderboard_snapshots WHERE id = $1 AND community_id = $2`, [snapshotId, communityId]);
+  if (!s.rows[0]) return null;
+  const e = await q(
+    `SELECT rank, username, user_id, posts, ${METRIC_COLUMNS.join(", ")}, score
+     FROM leaderboard_entries WHERE snapshot_id = $1 ORDER BY rank`,
+    [snapshotId]
+  );
+  const entries = e.rows.map((x) => {
+    const row = { rank: x.rank, username: x.username, user_id: x.user_id, posts: Number(x.posts) };
+    for (const c of METRIC_COLUMNS) row[c] = Number(x[c]);
+    row.score = x.score;
+    return row;
+  });
+  return { ...s.rows[0], id: Number(s.rows[0].id), entries };
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  if (rows.length === 0) return "";
+  const cols = Object.keys(rows[0]);
+  return [cols.join(","), ...rows.map((r) => cols.map((c) => csvCell(r[c])).join(","))].join("\n");
+}
+
+function printRows(rows, format = "table") {
+  if (format === "json") console.log(JSON.stringify(rows, null, 2));
+  else if (format === "csv") console.log(toCsv(rows));
+  else if (format === "table") console.table(rows);
+  else die(`Unknown format: ${format} (use table/csv/json)`);
+}
+
+async function leaderboard(communityId, { window, from, to, weights, minPosts, exclude, includeDeleted, limit, format, freeze, name, snapshot }) {
+  if (snapshot) {
+    if (!/^\d+$/.test(snapshot)) die(`Invalid snapshot id: ${snapshot}`);
+    const snap = await getLeaderboardSnapshot(communityId, snapshot);
+    if (!snap) die(`Leaderboard snapshot not found: ${snapshot}`);
+    if (format === "table") {
+      console.log(`leaderboard snapshot #${snap.id} "${snap.name}" ${snap.window_from.toISOString()} .. ${snap.window_to.toISOString()}`);
+    }
+    printRows(snap.entries, format);
+    return;
+  }
+
+  let opts;
+  try {
+    opts = {
+      ...parseWindow({ window, from, to }),
+      weights: parseWeights(weights || LEADERBOARD_WEIGHTS),
+      minPosts,
+      exclude: [...splitList(LEADERBOARD_EXCLUDE), ...exclude],
+      includeDeleted,
+      limit,
+    };
+  } catch (e) {
+    die(e.message);
+  }
+
+  // замораживаем только закончившийся период, иначе рейтинг ещё поедет
+  if (freeze && new Date(opts.to) > new Date()) die("Cannot freeze a period that has not ended yet");
+
+  // в снапшот — весь рейтинг, --limit только для вывода
+  const ranked = await getLeaderboard(communityId, freeze ? { ...opts, limit: null } : opts);
+  const rows = freeze ? ranked.slice(0, opts.limit) : ranked;
+  if (format === "table") console.log(`leaderboard [${communityId}] ${opts.from} .. ${opts.to} (${rows.length} authors)`);
+  printRows(rows, format);
+
+  if (freeze) {
+    const snapshotId = await freezeLeaderboard(communityId, name || `${opts.from.slice(0, 10)}..${opts.to.slice(0, 10)}`, opts, ranked);
+    // stderr, чтобы не ломать csv/json в stdout
+    console.error(`leaderboard: frozen as snapshot #${snapshotId}`);
+  }
+}
+
+async function leaderboardSnapshots(communityId) {
+  const r = await q(
+    `
+    SELECT s.id, s.name, s.window_from, s.window_to, s.created_at, COUNT(e.*)::int AS entries
+    FROM leaderboard_snapshots s
+    LEFT JOIN leaderboard_entries e ON e.snapshot_id = s.id
+    WHERE s.community_id = $1
+    GROUP BY s.id
+    ORDER BY s.created_at DESC
+  `,
+    [communityId]
+  );
+  console.table(r.rows.map((x) => ({ ...x, id: Number(x.id) })));
+}
+
+// ---------- Entities ----------
+// старые строки (до tweet_entities) и смена правил извлечения: всё берём из сохранённого raw_json
+async function reindexEntities(communityIds, { batchSize = 500 } = {}) {
+  for (const communityId of communityIds) {
+    let after = "";
+    let tweets = 0;
+    let entities = 0;
+    while (true) {
+      const r = await q(
+        `
+        SELECT tweet_id, text, raw_json
+        FROM community_tweets
+        WHERE community_id = $1 AND tweet_id > $2
+        ORDER BY tweet_id
+        LIMIT $3
+      `,
+        [communityId, after, batchSize]
+      );
+      if (r.rows.length === 0) break;
+
+      const batch = r.rows.map((x) => ({
+        tweet_id: x.tweet_id,
+        entities: extractEntities(x.raw_json && Object.keys(x.raw_json).length ? x.raw_json : { text: x.text }),
+      }));
+      entities += await withTransaction((db) => replaceTweetEntities(db, communityId, batch));
+      tweets += batch.length;
+      after = r.rows[r.rows.length - 1].tweet_id;
+    }
+    console.log(`reindex-entities [${communityId}]: tweets=${tweets} entities=${entities}`);
+  }
+}
+
+const ENGAGEMENT_SQL = `COALESCE(tm.like_count,0) + COALESCE(tm.retweet_count,0) + COALESCE(tm.reply_count,0)
+        + COALESCE(tm.quote_count,0) + COALESCE(tm.bookmark_count,0)`;
+
+// топ хэштегов / упоминаний за окно; by=tweets (частота) или engagement (сумма реакций)
+async function getTopEntities(communityId, kind, { from, to, limit = 20, by = "tweets", includeDeleted = false } = {}) {
+  const order = { tweets: "tweets DESC, engagement DESC", engagement: "engagement DESC, tweets DESC" }[by];
+  if (!order) throw new Error(`invalid sort: ${by} (use tweets/engagement)`);
+
+  const r = await q(
+    `
+    SELECT e.value,
+           MIN(e.display) AS display,
+           COUNT(DISTINCT ct.tweet_id)::bigint AS tweets,
+           COUNT(DISTINCT lower(ct.author_username))::bigint AS authors,
+           COALESCE(SUM(tm.view_count),0)::bigint AS views,
+           COALESCE(SUM(${ENGAGEMENT_SQL}),0)::bigint AS engagement
+    FROM tweet_entities e
+    JOIN community_tweets ct ON ct.community_id = e.community_id AND ct.tweet_id = e.tweet_id
+    LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+    WHERE e.community_id = $1
+      AND e.kind = $2
+      AND ct.created_at >= $3
+      AND ct.created_at < $4
+      AND ${trustedAuthorSql("ct")}
+      ${includeDeleted ? "" : "AND ct.deleted_at IS NULL"}
+    GROUP BY e.value
+    ORDER BY ${order}, e.value
+    LIMIT $5
+  `,
+    [communityId, kind, from, to, limit]
+  );
+
+  return r.rows.map((x, i) => {
+    const tweets = Number(x.tweets);
+    const engagement = Number(x.engagement);
+    return {
+      rank: i + 1,
+      [kind]: x.display,
+      tweets,
+      authors: Number(x.authors),
+      views: Number(x.views),
+      engagement,
+      avg_engagement: Math.round((engagement / tweets) * 10) / 10,
+    };
+  });
+}
+
+async function topEntities(communityId, kind, { window, from, to, limit, by, includeDeleted, format }) {
+  let rows;
+  let w;
+  try {
+    w = parseWindow({ window, from, to });
+    rows = await getTopEntities(communityId, kind, { ...w, limit, by, includeDeleted });
+  } catch (e) {
+    die(e.message);
+  }
+  if (format === "table") console.log(`top ${kind}s [${communityId}] ${w.from} .. ${w.to} by ${by}`);
+  printRows(rows, format);
+}
+
+// ---------- Search ----------
+// websearch_to_tsquery: "точная фраза", -исключение, OR. Конфиг russian стеммит и кириллицу, и латиницу
+// (см. 014_search.sql). Если по словам ничего не нашлось — пробуем триграммы (опечатки, куски слов).
+const SEARCH_SORTS = {
+  relevance: "score DESC, ct.created_at DESC",
+  engagement: "engagement DESC, score DESC, ct.created_at DESC",
+  recent: "ct.created_at DESC",
+};
+
+const HTML_ESCAPE_SQL = (col) => `replace(replace(replace(${col}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+// для триграмм нужен голый текст: без кавычек, OR и -исключений (их применяем отдельно через tsvector)
+function splitSearchQuery(query) {
+  const exclude = [];
+  const words = [];
+  for (const token of String(query).replace(/"/g, " ").split(/\s+/).filter(Boolean)) {
+    if (token.startsWith("-") && token.length > 1) exclude.push(token.slice(1));
+    else if (token.toLowerCase() !== "or") words.push(token);
+  }
+  return { plain: words.join(" "), exclude: exclude.join(" OR ") };
+}
+
+async function searchTweets(
+  communityId,
+  query,
+  { authors = [], from, to, sort = "relevance", limit = 20, offset = 0, fuzzy = false, includeDeleted = false, html = false } = {}
+) {
+  if (!String(query || "").trim()) throw new Error("search query is empty");
+  const order = SEARCH_SORTS[sort];
+  if (!order) throw new Error(`invalid sort: ${sort} (use ${Object.keys(SEARCH_SORTS).join("/")})`);
+
+  const run = async (mode) => {
+    const params = [communityId];
+    const where = [`ct.community_id = $1`];
+    let tsq;
+    let score;
+
+    if (mode === "fts") {
+      params.push(query);
+      tsq = `websearch_to_tsquery('russian', $2)`;
+      where.push(`ct.search_tsv @@ ${tsq}`);
+      score = `ts_rank_cd(ct.search_tsv, ${tsq}, 32)`;
+    } else {
+      const { plain, exclude } = splitSearchQuery(query);
+      if (!plain) return [];
+      params.push(plain);
+      // подсветка: любое из слов, а не все сразу
+      tsq = `replace(plainto_tsquery('russian', $2)::text, '&', '|')::tsquery`;
+      where.push(`$2 <% ct.text`);
+      score = `word_similarity($2, ct.text)`;
+      if (exclude) {
+        params.push(exclude);
+        where.push(`NOT ct.search_tsv @@ websearch_to_tsquery('russian', $${params.length})`);
+      }
+    }
+
+    if (authors.length) {
+      params.push(authors.map((x) => x.toLowerCase().replace(/^@/, "")));
+      where.push(`lower(ct.author_username) = ANY($${params.length}::text[])`);
+    }
+    if (from) {
+      params.push(from);
+      where.push(`ct.created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      where.push(`ct.created_at < $${params.length}`);
+    }
+    if (!includeDeleted) where.push(`ct.deleted_at IS NULL`);
+
+    const [start, stop] = html ? ["<mark>", "</mark>"] : ["**", "**"];
+    params.push(`StartSel="${start}", StopSel="${stop}", MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "`);
+    const headlineOpts = `$${params.length}`;
+    params.push(limit, offset);
+
+    // ts_headline дорогой -> считаем только для попавших в страницу строк
+    const r = await q(
+      `
+      SELECT s.*, ts_headline('russian', ${html ? HTML_ESCAPE_SQL("s.text") : "s.text"}, ${tsq}, ${headlineOpts}) AS snippet
+      FROM (
+        SELECT ct.tweet_id, ct.created_at, ct.author_user_id, ct.author_username, ct.author_name,
+               ct.url, ct.text, ct.media_urls, ct.deleted_at,
+               ${METRIC_COLUMNS.map((c) => `tm.${c}`).join(", ")}, tm.updated_at AS metrics_updated_at,
+               (${score})::float8 AS score,
+               (${ENGAGEMENT_SQL})::bigint AS engagement
+        FROM community_tweets ct
+        LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+        WHERE ${where.join(" AND ")}
+        ORDER BY ${order}, ct.tweet_id DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      ) s
+      ORDER BY ${order.replace(/ct\./g, "s.")}, s.tweet_id DESC
+    `,
+      params
+    );
+    return r.rows;
+  };
+
+  let mode = fuzzy ? "fuzzy" : "fts";
+  let rows = await run(mode);
+  if (!rows.length && mode === "fts" && offset === 0) {
+    mode = "fuzzy";
+    rows = await run(mode);
+  }
+  return { mode, rows };
+}
+
+async function search(communityId, query, { authors, window, from, to, sort, limit, offset, fuzzy, includeDeleted, format }) {
+  if (!query || query.startsWith("--")) die('Usage: node parser.js search "<query>" [--author=a,b] [--window=7d | --from=ISO --to=ISO] [--sort=relevance]');
+
+  let res;
+  try {
+    const w = window || from || to ? parseWindow({ window, from, to }) : {};
+    res = await searchTweets(communityId, query, { authors, ...w, sort, limit, offset, fuzzy, includeDeleted });
+  } catch (e) {
+    die(e.message);
+  }
+
+  const rows = res.rows.map((x, i) => ({
+    rank: offset + i + 1,
+    tweet_id: x.tweet_id,
+    created_at: x.created_at?.toISOString() ?? null,
+    author: x.author_username,
+    score: Math.round(x.score * 1000) / 1000,
+    engagement: Number(x.engagement),
+    views: Number(x.view_count || 0),
+    deleted: Boolean(x.deleted_at),
+    snippet: x.snippet.replace(/\s+/g, " ").trim(),
+  }));
+  if (format === "table") console.log(`search [${communityId}] "${query}" mode=${res.mode} sort=${sort} (${rows.length} results)`);
+  printRows(rows, format);
+}
+
+// ---------- Insights ----------
+// Когда постить и что заходит: перцентили реакций по часу/дню недели (в INSIGHTS_TZ), типу контента
+// и длине текста. Корзины меньше min_sample показываем без цифр — на паре твитов тренда не видно.
+const INSIGHT_WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const INSIGHT_LENGTHS = [
+  [0, 50, "<50"],
+  [50, 100, "50-99"],
+  [100, 200, "100-199"],
+  [200, 280, "200-279"],
+  [280, Infinity, "280+"],
+];
+
+function checkTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+  } catch {
+    throw new Error(`invalid timezone: ${tz} (use an IANA name, e.g. Europe/Moscow)`);
+  }
+  return tz;
+}
+
+async function getInsights(
+  communityId,
+  { from, to, tz = INSIGHTS_TZ, metric = "engagement", minSample = INSIGHTS_MIN_SAMPLE, minAgeHours = INSIGHTS_MIN_AGE_HOURS } = {}
+) {
+  checkTimezone(tz);
+  const valueExpr = metric === "engagement" ? ENGAGEMENT_SQL : METRIC_BY_NAME[metric] && `COALESCE(tm.${METRIC_BY_NAME[metric]},0)`;
+  if (!valueExpr) throw new Error(`invalid metric: ${metric} (use engagement/${Object.keys(METRIC_BY_NAME).join("/")})`);
+
+  const lengthCase = INSIGHT_LENGTHS.map(([, hi], i) =>
+    hi === Infinity ? `ELSE ${i}` : `WHEN t.len < ${hi} THEN ${i}`
+  ).join(" ");
+
+  // ретвиты несут чужие метрики, свежие твиты ещё набирают реакции -> не считаем
+  const r = await q(
+    `
+    WITH t AS (
+      SELECT extract(hour FROM ct.created_at AT TIME ZONE $4)::int AS hour,
+             extract(isodow FROM ct.created_at AT TIME ZONE $4)::int AS dow,
+             (${valueExpr})::float8 AS value,
+             jsonb_array_length(COALESCE(ct.media_urls, '[]'::jsonb)) > 0 AS media,
+             EXISTS (SELECT 1 FROM tweet_entities e
+                     WHERE e.community_id = ct.community_id AND e.tweet_id = ct.tweet_id AND e.kind = 'url') AS links,
+             ct.in_reply_to_tweet_id IS NOT NULL AND ct.in_reply_to_user_id IS DISTINCT FROM ct.author_user_id AS reply,
+             ct.in_reply_to_user_id = ct.author_user_id
+               OR EXISTS (SELECT 1 FROM community_tweets c
+                          WHERE c.community_id = ct.community_id AND c.in_reply_to_tweet_id = ct.tweet_id
+                            AND c.author_user_id = ct.author_user_id) AS thread,
+             ct.quoted_tweet_id IS NOT NULL AS quote,
+             char_length(btrim(regexp_replace(COALESCE(ct.text, ''), 'https?://\\S+', '', 'g'))) AS len
+      FROM community_tweets ct
+      JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+      WHERE ct.community_id = $1
+        AND ct.created_at >= $2
+        AND ct.created_at < $3
+        AND ct.created_at < now() - ($5 || ' hours')::interval
+        AND NOT ct.is_retweet
+        AND ct.deleted_at IS NULL
+        AND ${trustedAuthorSql("ct")}
+    ),
+    b AS (
+      SELECT 'all' AS dim, 0 AS ord, value FROM t
+      UNION ALL SELECT 'hour', hour, value FROM t
+      UNION ALL SELECT 'weekday', dow, value FROM t
+      UNION ALL
+      SELECT 'content', k.ord, t.value
+      FROM t CROSS JOIN LATERAL (VALUES
+        (0, t.media), (1, NOT t.media AND NOT t.links), (2, t.links), (3, t.reply), (4, t.thread), (5, t.quote)
+      ) AS k(ord, hit)
+      WHERE k.hit
+      UNION ALL SELECT 'length', CASE ${lengthCase} END, value FROM t
+    )
+    SELECT dim, ord, COUNT(*)::int AS tweets,
+           percentile_cont(ARRAY[0.25, 0.5, 0.75, 0.9]) WITHIN GROUP (ORDER BY value) AS p,
+           AVG(value)::float8 AS avg
+    FROM b
+    GROUP BY dim, ord
+  `,
+    [communityId, from, to, tz, String(minAgeHours)]
+  );
+
+  const stats = new Map(r.rows.map((x) => [`${x.dim}:${x.ord}`, x]));
+  const overall = stats.get("all:0");
+  const round = (v) => Math.round(v * 10) / 10;
+
+  const bucket = (dim, ord, name) => {
+    const x = stats.get(`${dim}:${ord}`);
+    const tweets = x?.tweets ?? 0;
+    const row = { [dim]: name, tweets, median: null, p25: null, p75: null, p90: null, avg: null, vs_overall: null };
+    if (tweets < minSample) return row;
+    const [p25, median, p75, p90] = x.p;
+    Object.assign(row, { median: round(median), p25: round(p25), p75: round(p75), p90: round(p90), avg: round(x.avg) });
+    // медиана корзины относительно медианы по всем твитам: 1.5 = в полтора раза лучше обычного
+    const base = overall.p[1];
+    if (base > 0) row.vs_overall = Math.round((median / base) * 100) / 100;
+    return row;
+  };
+
+  return {
+    tz,
+    metric,
+    min_sample: minSample,
+    tweets: overall?.tweets ?? 0,
+    hour: Array.from({ length: 24 }, (_, h) => bucket("hour", h, `${String(h).padStart(2, "0")}:00`)),
+    weekday: INSIGHT_WEEKDAYS.map((d, i) => bucket("weekday", i + 1, d)),
+    content: ["media", "text_only", "links", "reply", "thread", "quote"].map((c, i) => bucket("content", i, c)),
+    length: INSIGHT_LENGTHS.map(([, , name], i) => bucket("length", i, name)),
+  };
+}
+
+async function insights(communityId, { window, from, to, tz, metric, minSample, by, format }) {
+  const dims = by ? splitList(by) : ["hour", "weekday", "content", "length"];
+  let res;
+  try {
+    for (const d of dims) if (!["hour", "weekday", "content", "length"].includes(d)) throw new Error(`invalid --by: ${d} (use hour/weekday/content/length)`);
+    const w = parseWindow({ window, from, to });
+    res = await getInsights(communityId, { ...w, tz, metric, minSample });
+    res = { from: w.from, to: w.to, ...res };
+  } catch (e) {
+    die(e.message);
+  }
+
+  if (format === "json") {
+    const out = { ...res };
+    for (const d of ["hour", "weekday", "content", "length"]) if (!dims.includes(d)) delete out[d];
+    console.log(JSON.stringify(out, null, 2));
+    return;
+  }
+
+  for (const d of dims) {
+    if (format === "table") {
+      console.log(`insights [${communityId}] by ${d}: ${res.from} .. ${res.to} tz=${res.tz} metric=${res.metric} tweets=${res.tweets} (min sample ${res.min_sample})`);
+    }
+    printRows(res[d], format);
+  }
+}
+
+// ---------- Deleted tweets ----------
+// удалённый твит, у автора которого позже появился твит с тем же текстом, = "перепост"
+const REPOSTED_SQL = `
+  EXISTS (
+    SELECT 1 FROM community_tweets r
+    WHERE r.community_id = ct.community_id
+      AND lower(r.author_username) = lower(ct.author_username)
+      AND r.tweet_id <> ct.tweet_id
+      AND r.deleted_at IS NULL
+      AND r.created_at > ct.created_at
+      AND lower(btrim(r.text)) = lower(btrim(ct.text))
+  )`;
+
+async function getDeletedByAuthor(communityId, { from, to, limit = 50 } = {}) {
+  const r = await q(
+    `
+    SELECT lower(ct.author_username) AS username,
+           COUNT(*)::int AS posts,
+           COUNT(*) FILTER (WHERE ct.deleted_at IS NOT NULL)::int AS deleted,
+           COUNT(*) FILTER (WHERE ct.deleted_at IS NOT NULL AND ${REPOSTED_SQL})::int AS reposted,
+           MAX(ct.deleted_at) AS last_deleted_at
+    FROM community_tweets ct
+    WHERE ct.community_id = $1
+      AND ct.created_at >= $2
+      AND ct.created_at < $3
+      AND ct.author_username IS NOT NULL
+    GROUP BY 1
+    HAVING COUNT(*) FILTER (WHERE ct.deleted_at IS NOT NULL) > 0
+    ORDER BY deleted DESC, reposted DESC, username
+    LIMIT $4
+  `,
+    [communityId, from, to, limit]
+  );
+  return r.rows.map((x) => ({
+    ...x,
+    deleted_pct: Math.round((x.deleted / x.posts) * 1000) / 10,
+    last_deleted_at: x.last_deleted_at.toISOString(),
+  }));
+}
+
+async function getDeletedTweets(communityId, username, { from, to, limit = 50 } = {}) {
+  const r = await q(
+    `
+    SELECT ct.tweet_id, ct.created_at, ct.deleted_at, ct.missing_count, ${REPOSTED_SQL} AS reposted, left(ct.text, 80) AS text
+    FROM community_tweets ct
+    WHERE ct.community_id = $1
+      AND lower(ct.author_username) = lower($2)
+      AND ct.deleted_at IS NOT NULL
+      AND ct.created_at >= $3
+      AND ct.created_at < $4
+    ORDER BY ct.created_at DESC
+    LIMIT $5
+  `,
+    [communityId, username.replace(/^@/, ""), from, to, limit]
+  );
+  return r.rows.map((x) => ({ ...x, created_at: x.created_at.toISOString(), deleted_at: x.deleted_at.toISOString() }));
+}
+
+async function deletedReport(communityId, { window, from, to, author, limit, format }) {
+  let w;
+  try {
+    w = parseWindow({ window, from, to });
+  } catch (e) {
+    die(e.message);
+  }
+
+  const rows = author ? await getDeletedTweets(communityId, author, { ...w, limit }) : await getDeletedByAuthor(communityId, { ...w, limit });
+  if (format === "table") {
+    console.log(`deleted-report [${communityId}] ${w.from} .. ${w.to}${author ? ` @${author.replace(/^@/, "")}` : ""} (${rows.length} rows)`);
+  }
+  printRows(rows, format);
+}
+
+// ---------- Spam ----------
+const SPAM_MIN_TEXT = 20; // короче — слишком много случайных совпадений ("gm", "lfg")
+const SPAM_MIN_LIKES = 10;
+
+// текст без ссылок, упоминаний и цифр (пунктуацию pg_trgm и так пропускает):
+// "Claim 100 $TOKEN now!! https://x" ~ "claim 250 $token now"
+const SPAM_TEXT_SQL = `lower(regexp_replace(text, 'https?://\\S+|@\\w+|[0-9]+', ' ', 'g'))`;
+
+// правило -> [{ username, detail, tweet_ids }]
+const SPAM_RULES = {
+  // один и тот же (почти) текст с разных аккаунтов: пары твитов с триграммной похожестью от SPAM_DUPLICATE_SIMILARITY
+  duplicate_text: {
+    weight: 0.4,
+    async find(communityId, since) {
+      const r = await q(
+        `
+        WITH t AS (
+          SELECT lower(author_username) AS username, tweet_id, ${SPAM_TEXT_SQL} AS norm
+          FROM community_tweets
+          WHERE community_id = $1 AND created_at >= $2 AND author_username IS NOT NULL AND text IS NOT NULL
+        ), n AS (
+          SELECT * FROM t WHERE length(regexp_replace(norm, '[\\s[:punct:]]+', '', 'g')) >= $3
+        )
+        SELECT a.username, array_agg(DISTINCT a.tweet_id) AS tweet_ids, array_agg(DISTINCT b.username) AS others
+        FROM n a
+        JOIN n b ON b.username <> a.username AND similarity(a.norm, b.norm) >= $4
+        GROUP BY 1
+        ORDER BY 1
+      `,
+        [communityId, since, SPAM_MIN_TEXT, SPAM_DUPLICATE_SIMILARITY]
+      );
+      return r.rows.map((x) => ({
+        username: x.username,
+        detail: `${x.tweet_ids.length} tweets share text with ${x.others.map((a) => `@${a}`).join(", ")}`,
+        tweet_ids: x.tweet_ids,
+      }));
+    },
+  },
+
+  // SPAM_BURST_POSTS+ постов за SPAM_BURST_MINUTES
+  burst: {
+    weight: 0.3,
+    async find(communityId, since) {
+      const r = await q(
+        `
+        WITH w AS (
+          SELECT lower(author_username) AS username, tweet_id, created_at,
+                 COUNT(*) OVER (
+                   PARTITION BY lower(author_username) ORDER BY created_at
+                   RANGE BETWEEN CURRENT ROW AND make_interval(mins => $3) FOLLOWING
+                 ) AS n
+          FROM community_tweets
+          WHERE community_id = $1 AND created_at >= $2 AND author_username IS NOT NULL
+        )
+        SELECT DISTINCT ON (w.username) w.username, w.n::int AS posts, w.created_at,
+               (SELECT array_agg(x.tweet_id ORDER BY x.created_at) FROM w x
+                WHERE x.username = w.username AND x.created_at >= w.created_at
+                  AND x.created_at <= w.created_at + make_interval(mins => $3)) AS tweet_ids
+        FROM w
+        WHERE w.n >= $4
+        ORDER BY w.username, w.n DESC, w.created_at
+      `,
+        [communityId, since, SPAM_BURST_MINUTES, SPAM_BURST_POSTS]
+      );
+      return r.rows.map((x) => ({
+        username: x.username,
+        detail: `${x.posts} posts within ${SPAM_BURST_MINUTES} min from ${x.created_at.toISOString()}`,
+        tweet_ids: x.tweet_ids,
+      }));
+    },
+  },
+
+  // новый или почти без подписчиков аккаунт, у которого лайков непропорционально много к просмотрам
+  abnormal_engagement: {
+    weight: 0.4,
+    async find(communityId, since) {
+      const r = await q(
+        `
+        SELECT lower(ct.author_username) AS username, MAX(u.followers)::bigint AS followers, MAX(u.account_created_at) AS account_created_at,
+               SUM(tm.view_count)::bigint AS views, SUM(tm.like_count)::bigint AS likes, array_agg(ct.tweet_id ORDER BY ct.created_at) AS tweet_ids
+        FROM community_tweets ct
+        JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+        JOIN users u ON u.user_id = ct.author_user_id OR (ct.author_user_id IS NULL AND lower(u.username) = lower(ct.author_username))
+        WHERE ct.community_id = $1 AND ct.created_at >= $2 AND ct.author_username IS NOT NULL
+        GROUP BY 1
+        HAVING (MAX(u.followers) < $3 OR MAX(u.account_created_at) > now() - make_interval(days => $4))
+           AND SUM(tm.like_count) >= $6
+           AND SUM(tm.like_count)::float8 / GREATEST(SUM(tm.view_count), 1) >= $5
+      `,
+        [communityId, since, SPAM_LOW_FOLLOWERS, SPAM_NEW_ACCOUNT_DAYS, SPAM_LIKE_VIEW_RATIO, SPAM_MIN_LIKES]
+      );
+      return r.rows.map((x) => {
+        const who =
+          Number(x.followers) < SPAM_LOW_FOLLOWERS
+            ? `${x.followers} followers`
+            : `account created ${x.account_created_at.toISOString().slice(0, 10)}`;
+        return { username: x.username, detail: `${x.likes} likes on ${x.views} views (${who})`, tweet_ids: x.tweet_ids };
+      });
+    },
+  },
+
+  // почти каждый пост со ссылкой наружу (ссылки на x.com/twitter.com — цитаты, не считаем)
+  link_spam: {
+    weight: 0.3,
+    async find(communityId, since) {
+      const r = await q(
+        `
+        WITH t AS (
+          SELECT lower(ct.author_username) AS username, ct.tweet_id,
+                 (SELECT substring(e.value from '^https?://(?:www\\.)?([^/?#]+)')
+                  FROM tweet_entities e
+                  WHERE e.community_id = ct.community_id AND e.tweet_id = ct.tweet_id AND e.kind = 'url'
+                    AND e.value !~* '^https?://(www\\.|mobile\\.)?(twitter|x)\\.com/'
+                  ORDER BY e.value LIMIT 1) AS domain
+          FROM community_tweets ct
+          WHERE ct.community_id = $1 AND ct.created_at >= $2 AND ct.author_username IS NOT NULL
+        )
+        SELECT username, COUNT(*)::int AS posts, COUNT(domain)::int AS with_links,
+               mode() WITHIN GROUP (ORDER BY domain) AS top_domain,
+               array_agg(tweet_id ORDER BY tweet_id) FILTER (WHERE domain IS NOT NULL) AS tweet_ids
+        FROM t
+        GROUP BY username
+        HAVING COUNT(*) >= 3 AND COUNT(domain)::float8 / COUNT(*) >= $3
+      `,
+        [communityId, since, SPAM_LINK_SHARE]
+      );
+      return r.rows.map((x) => ({
+        username: x.username,
+        detail: `${x.with_links}/${x.posts} posts link out (mostly ${x.top_domain})`,
+        tweet_ids: x.tweet_ids,
+      }));
+    },
+  },
+};
+
+async function scoreSpam(communityIds, { log = console.log } = {}) {
+  const since = new Date(Date.now() - SPAM_WINDOW_DAYS * 24 * 3600 * 1000).toISOString();
+  const rows = [];
+
+  for (const communityId of communityIds) {
+    const allowed = await q(`SELECT username FROM account_lists WHERE community_id = $1 AND list = 'allow'`, [communityId]);
+    const allow = new Set(allowed.rows.map((x) => x.username));
+
+    const authors = new Map();
+    for (const [rule, { weight, find }] of Object.entries(SPAM_RULES)) {
+      for (const hit of await find(communityId, since)) {
+        if (allow.has(hit.username)) continue;
+        if (!authors.has(hit.username)) authors.set(hit.username, []);
+        authors.get(hit.username).push({ rule, weight, detail: hit.detail, tweet_ids: hit.tweet_ids.slice(0, 20) });
+      }
+    }
+
+    const scored = [...authors].map(([username, reasons]) => ({
+      username,
+      score: Math.min(1, Math.round(reasons.reduce((sum, x) => sum + x.weight, 0) * 100) / 100),
+      reasons,
+    }));
+
+    // прогон целиком заменяет прошлый результат: кто исправился — пропадает
+    await withTransaction(async (db) => {
+      await db.query(`DELETE FROM spam_scores WHERE community_id = $1`, [communityId]);
+      await db.query(
+        `
+        INSERT INTO spam_scores (community_id, username, user_id, score, reasons)
+        SELECT $1, x.username,
+               (SELECT MAX(ct.author_user_id) FROM community_tweets ct WHERE ct.community_id = $1 AND lower(ct.author_username) = x.username),
+               x.score, x.reasons
+        FROM jsonb_to_recordset($2::jsonb) AS x(username text, score real, reasons jsonb)
+      `,
+        [communityId, JSON.stringify(scored)]
+      );
+    });
+
+    log(`score-spam [${communityId}]: ${scored.length} suspicious authors (window ${SPAM_WINDOW_DAYS}d, ${allow.size} allow-listed)`);
+    rows.push({ community_id: communityId, suspicious: scored.length });
+  }
+  return rows;
+}
+
+// для leaderboard-подобных запросов: автор ct не в deny-списке и (если включено) не набрал SPAM_EXCLUDE_SCORE.
+// username — выражение с уже приведённым к lower handle (по умолчанию author_username из community_tweets)
+function trustedAuthorSql(alias = "ct", username = `lower(${alias}.author_username)`) {
+  const author = `l.community_id = ${alias}.community_id AND l.username = ${username}`;
+  const deny = `NOT EXISTS (SELECT 1 FROM account_lists l WHERE ${author} AND l.list = 'deny')`;
+  if (!(SPAM_EXCLUDE_SCORE > 0)) return deny;
+  return `${deny}
+      AND NOT EXISTS (
+        SELECT 1 FROM spam_scores s
+        WHERE s.community_id = ${alias}.community_id AND s.username = ${username} AND s.score >= ${SPAM_EXCLUDE_SCORE}
+          AND NOT EXISTS (SELECT 1 FROM account_lists l WHERE ${author} AND l.list = 'allow')
+      )`;
+}
+
+async function suspicious(communityId, { minScore = 0, limit = 50, format = "table" }) {
+  const r = await q(
+    `
+    SELECT s.username, s.score, s.reasons, s.scored_at, l.list
+    FROM spam_scores s
+    LEFT JOIN account_lists l ON l.community_id = s.community_id AND l.username = s.username
+    WHERE s.community_id = $1 AND s.score >= $2
+    ORDER BY s.score DESC, s.username
+    LIMIT $3
+  `,
+    [communityId, minScore, limit]
+  );
+
+  if (format === "json") return console.log(JSON.stringify(r.rows, null, 2));
+  const rows = r.rows.map((x) => ({
+    username: x.username,
+    score: x.score,
+    list: x.list,
+    excluded: x.list === "deny" || (SPAM_EXCLUDE_SCORE > 0 && x.score >= SPAM_EXCLUDE_SCORE),
+    reasons: x.reasons.map((y) => y.rule).join(","),
+  }));
+  if (format !== "table") return printRows(rows, format);
+
+  const scoredAt = r.rows[0]?.scored_at;
+  console.log(`suspicious [${communityId}] ${rows.length} authors${scoredAt ? `, scored ${scoredAt.toISOString()}` : " (run score-spam first)"}`);
+  console.table(rows);
+  for (const x of r.rows) {
+    console.log(`@${x.username} (${x.score}):`);
+    for (const reason of x.reasons) console.log(`  ${reason.rule}: ${reason.detail} [${reason.tweet_ids.slice(0, 5).join(", ")}]`);
+  }
+}
+
+// spam-list                          -> показать
+// spam-list allow|deny a,b [--note]  -> добавить / перенести
+// spam-list remove a,b               -> убрать
+async function spamList(communityId, action, usernames, { note } = {}) {
+  const names = usernames.map((x) => x.toLowerCase().replace(/^@/, ""));
+  if (action === "allow" || action === "deny") {
+    if (names.length === 0) die(`Usage: node parser.js spam-list ${action} <username>[,<username>...] [--note=...]`);
+    await q(
+      `
+      INSERT INTO account_lists (community_id, username, list, note)
+      SELECT $1, u, $2, $3 FROM unnest($4::text[]) AS u
+      ON CONFLICT (community_id, username) DO UPDATE SET list = EXCLUDED.list, note = EXCLUDED.note, added_at = now()
+    `,
+      [communityId, action, note || null, names]
+    );
+    console.log(`spam-list [${communityId}]: ${action} ${names.map((x) => `@${x}`).join(", ")}`);
+  } else if (action === "remove") {
+    const r = await q(`DELETE FROM account_lists WHERE community_id = $1 AND username = ANY($2::text[])`, [communityId, names]);
+    console.log(`spam-list [${communityId}]: removed ${r.rowCount}`);
+  } else if (action) {
+    die(`Unknown spam-list action: ${action} (use allow/deny/remove)`);
+  }
+
+  const r = await q(`SELECT username, list, note, added_at FROM account_lists WHERE community_id = $1 ORDER BY list, username`, [communityId]);
+  console.table(r.rows);
+}
+
+// ---------- Watchlists ----------
+const WATCH_KINDS = ["keyword", "regex", "author", "mention"];
+const WATCH_RESCAN_BATCH = 500;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// правило -> (item) => совпавший текст или null; item = { text, author_username, mentions[] }
+function compileWatchRule(rule) {
+  if (rule.kind === "keyword") {
+    // целое слово/фраза: "sol" не ловит "solana", "$BTC" ловит "$btc"
+    const re = new RegExp(`(?:^|[^\\p{L}\\p{N}_])(${escapeRegExp(rule.pattern)})(?=$|[^\\p{L}\\p{N}_])`, "iu");
+    return (t) => re.exec(t.text || "")?.[1] ?? null;
+  }
+  if (rule.kind === "regex") {
+    const re = new RegExp(rule.pattern, "iu");
+    return (t) => re.exec(t.text || "")?.[0] ?? null;
+  }
+  const handle = rule.pattern.toLowerCase();
+  if (rule.kind === "author") return (t) => (String(t.author_username || "").toLowerCase() === handle ? `@${handle}` : null);
+  return (t) => (t.mentions.includes(handle) ? `@${handle}` : null);
+}
+
+async function loadWatchRules(db, communityId, { watchlistId, ruleId } = {}) {
+  const r = await db.query(
+    `
+    SELECT r.id, r.watchlist_id, r.kind, r.pattern
+    FROM watchlist_rules r
+    JOIN watchlists w ON w.id = r.watchlist_id
+    WHERE w.community_id = $1
+      AND ($2::bigint IS NULL OR r.watchlist_id = $2)
+      AND ($3::bigint IS NULL OR r.id = $3)
+  `,
+    [communityId, watchlistId ?? null, ruleId ?? null]
+  );
+  return r.rows.map((x) => ({ ...x, match: compileWatchRule(x) }));
+}
+
+async function matchWatchlists(db, communityId, items, rules) {
+  rules ??= await loadWatchRules(db, communityId);
+  if (rules.length === 0 || items.length === 0) return 0;
+
+  const hits = [];
+  for (const t of items) {
+    for (const rule of rules) {
+      const matched = rule.match(t);
+      if (matched !== null) hits.push({ rule_id: rule.id, watchlist_id: rule.watchlist_id, tweet_id: t.tweet_id, matched });
+    }
+  }
+  if (hits.length === 0) return 0;
+
+  const r = await db.query(
+    `
+    INSERT INTO watch_matches (rule_id, watchlist_id, community_id, tweet_id, matched)
+    SELECT x.rule_id, x.watchlist_id, $1, x.tweet_id, x.matched
+    FROM jsonb_to_recordset($2::jsonb) AS x(rule_id bigint, watchlist_id bigint, tweet_id text, matched text)
+    ON CONFLICT (rule_id, tweet_id) DO NOTHING
+  `,
+    [communityId, JSON.stringify(hits)]
+  );
+  return r.rowCount;
+}
+
+// нормализованные твиты (ingest) -> то, что смотрят правила
+function watchItems(tweets) {
+  return tweets.map((tw) => ({
+    tweet_id: tw.tweet_id,
+    text: tw.text,
+    author_username: tw.author_username,
+    mentions: (tw.entities || []).filter((e) => e.kind === "mention").map((e) => e.value),
+  }));
+}
+
+// уже собранные твиты: пачками по tweet_id, упоминания берём из tweet_entities
+async function rescanWatchlist(communityId, watchlistId, { from, ruleId } = {}) {
+  const rules = await loadWatchRules(pool, communityId, { watchlistId, ruleId });
+  let after = "";
+  let tweets = 0;
+  let matches = 0;
+  while (rules.length) {
+    const r = await q(
+      `
+      SELECT ct.tweet_id, ct.text, ct.author_username,
+             COALESCE(array_agg(e.value) FILTER (WHERE e.value IS NOT NULL), '{}') AS mentions
+      FROM community_tweets ct
+      LEFT JOIN tweet_entities e ON e.community_id = ct.community_id AND e.tweet_id = ct.tweet_id AND e.kind = 'mention'
+      WHERE ct.community_id = $1 AND ct.tweet_id > $2 AND ($3::timestamptz IS NULL OR ct.created_at >= $3)
+      GROUP BY ct.tweet_id, ct.text, ct.author_username
+      ORDER BY ct.tweet_id
+      LIMIT $4
+    `,
+      [communityId, after, from ?? null, WATCH_RESCAN_BATCH]
+    );
+    if (r.rows.length === 0) break;
+    matches += await matchWatchlists(pool, communityId, r.rows, rules);
+    tweets += r.rows.length;
+    after = r.rows[r.rows.length - 1].tweet_id;
+  }
+  return { tweets, matches };
+}
+
+async function getWatchlist(communityId, name) {
+  const r = await q(`SELECT id, name FROM watchlists WHERE community_id = $1 AND name = $2`, [communityId, name]);
+  return r.rows[0] || null;
+}
+
+// watchlist                                   -> списки, правила и число совпадений
+// watchlist add <name> <kind> <pattern>       -> правило (+ rescan за --window, по умолчанию 30d; --window=all, --no-rescan)
+// watchlist remove <name> [<kind> <pattern>]  -> правило или весь список с историей
+// watchlist rescan <name> [--window=30d|all]
+async function watchlist(communityId, action, args, { window, rescan = true } = {}) {
+  const [name, kind, ...rest] = args;
+  const pattern = rest.join(" ");
+  const rescanFrom = () => {
+    if (window === "all") return null;
+    try {
+      return parseWindow({ window }).from;
+    } catch (e) {
+      die(e.message);
+    }
+  };
+
+  if (action === "add") {
+    if (!name || !WATCH_KINDS.includes(kind) || !pattern) {
+      die(`Usage: node parser.js watchlist add <name> <${WATCH_KINDS.join("|")}> <pattern> [--window=30d|all] [--no-rescan]`);
+    }
+    const value = kind === "author" || kind === "mention" ? pattern.replace(/^@/, "").toLowerCase() : pattern;
+    try {
+      compileWatchRule({ kind, pattern: value });
+    } catch (e) {
+      die(`invalid ${kind}: ${e.message}`);
+    }
+    const w = await q(
+      `INSERT INTO watchlists (community_id, name) VALUES ($1, $2)
+       ON CONFLICT (community_id, name) DO UPDATE SET name = EXCLUDED.name RETURNING id`,
+      [communityId, name]
+    );
+    const rule = await q(
+      `INSERT INTO watchlist_rules (watchlist_id, kind, pattern) VALUES ($1, $2, $3)
+       ON CONFLICT (watchlist_id, kind, pattern) DO UPDATE SET kind = EXCLUDED.kind RETURNING id`,
+      [w.rows[0].id, kind, value]
+    );
+    console.log(`watchlist [${communityId}] ${name}: + ${kind} ${value}`);
+    if (rescan) {
+      const res = await rescanWatchlist(communityId, w.rows[0].id, { from: rescanFrom(), ruleId: rule.rows[0].id });
+      console.log(`watchlist [${communityId}] ${name}: rescanned ${res.tweets} tweets, ${res.matches} new matches`);
+    }
+  } else if (action === "remove") {
+    const w = name && (await getWatchlist(communityId, name));
+    if (!w) die(`Watchlist not found: ${name}`);
+    if (kind) {
+      const value = kind === "author" || kind === "mention" ? pattern.replace(/^@/, "").toLowerCase() : pattern;
+      const r = await q(`DELETE FROM watchlist_rules WHERE watchlist_id = $1 AND kind = $2 AND pattern = $3`, [w.id, kind, value]);
+      console.log(`watchlist [${communityId}] ${name}: removed ${r.rowCount} rule(s)`);
+    } else {
+      await q(`DELETE FROM watchlists WHERE id = $1`, [w.id]);
+      console.log(`watchlist [${communityId}] ${name}: removed`);
+    }
+  } else if (action === "rescan") {
+    const w = name && (await getWatchlist(communityId, name));
+    if (!w) die(`Watchlist not found: ${name}`);
+    const res = await rescanWatchlist(communityId, w.id, { from: rescanFrom() });
+    console.log(`watchlist [${communityId}] ${name}: rescanned ${res.tweets} tweets, ${res.matches} new matches`);
+  } else if (action) {
+    die(`Unknown watchlist action: ${action} (use add/remove/rescan)`);
+  }
+
+  const r = await q(
+    `
+    SELECT w.name, r.kind, r.pattern, COUNT(m.tweet_id)::int AS matches, MAX(m.matched_at) AS last_match
+    FROM watchlists w
+    JOIN watchlist_rules r ON r.watchlist_id = w.id
+    LEFT JOIN watch_matches m ON m.rule_id = r.id
+    WHERE w.community_id = $1
+    GROUP BY w.name, r.id
+    ORDER BY w.name, r.kind, r.pattern
+  `,
+    [communityId]
+  );
+  console.table(r.rows);
+}
+
+// последние совпадения по каждому списку (твит засчитывается списку один раз, какие бы правила ни сработали)
+async function getWatchReport(communityId, { from, to, name, limit = 10 }) {
+  const r = await q(
+    `
+    WITH hits AS (
+      SELECT w.name AS watchlist, ct.tweet_id, ct.created_at, lower(ct.author_username) AS author,
+             string_agg(DISTINCT r.kind || ':' || m.matched, ', ') AS matched,
+             left(ct.text, 80) AS text, ct.url, MIN(m.matched_at) AS matched_at
+      FROM watch_matches m
+      JOIN watchlists w ON w.id = m.watchlist_id
+      JOIN watchlist_rules r ON r.id = m.rule_id
+      JOIN community_tweets ct ON ct.community_id = m.community_id AND ct.tweet_id = m.tweet_id
+      WHERE w.community_id = $1
+        AND ct.created_at >= $2
+        AND ct.created_at < $3
+        AND ($4::text IS NULL OR w.name = $4)
+      GROUP BY w.name, ct.tweet_id, ct.created_at, ct.author_username, ct.text, ct.url
+    ),
+    ranked AS (
+      SELECT hits.*,
+             ROW_NUMBER() OVER (PARTITION BY watchlist ORDER BY created_at DESC, tweet_id DESC) AS n,
+             COUNT(*) OVER (PARTITION BY watchlist)::int AS total
+      FROM hits
+    )
+    SELECT * FROM ranked WHERE n <= $5 ORDER BY watchlist, n
+  `,
+    [communityId, from, to, name ?? null, limit]
+  );
+  const lists = new Map();
+  for (const x of r.rows) {
+    if (!lists.has(x.watchlist)) lists.set(x.watchlist, { watchlist: x.watchlist, tweets: x.total, recent: [] });
+    lists.get(x.watchlist).recent.push({
+      created_at: x.created_at.toISOString(),
+      author: x.author,
+      matched: x.matched,
+      text: x.text,
+      tweet_id: x.tweet_id,
+      url: x.url,
+    });
+  }
+  return [...lists.values()];
+}
+
+async function watchReport(communityId, { window, from, to, name, limit, format }) {
+  let w;
+  try {
+    w = parseWindow({ window, from, to });
+  } catch (e) {
+    die(e.message);
+  }
+  const lists = await getWatchReport(communityId, { ...w, name, limit });
+
+  if (format === "json") return console.log(JSON.stringify(lists, null, 2));
+  if (format === "csv") return printRows(lists.flatMap((l) => l.recent.map((x) => ({ watchlist: l.watchlist, ...x }))), "csv");
+  if (format !== "table") die(`Unknown format: ${format} (use table/csv/json)`);
+
+  console.log(`watch-report [${communityId}] ${w.from} .. ${w.to} (${lists.length} watchlists with hits)`);
+  for (const l of lists) {
+    console.log(`${l.watchlist}: ${l.tweets} tweets, showing ${l.recent.length}`);
+    console.table(l.recent.map(({ url, ...x }) => x));
+  }
+}
+
+// ---------- Threads ----------
+const THREAD_MAX_ROUNDS = 50; // сколько уровней родителей максимум догружаем
+
+async function upsertExternalTweets(db, tweets) {
+  const rows = dedupeBy(tweets, (tw) => tw.tweet_id).map(({ entities, media_urls, ...tw }) => ({ ...tw, raw_json: tw.raw_json || {} }));
+  if (rows.length === 0) return 0;
+  await db.query(
+    `
+    INSERT INTO external_tweets
+      (tweet_id, created_at, author_user_id, author_username, author_name, url, text, raw_json, ${THREAD_COLUMNS.join(", ")}, fetched_at)
+    SELECT x.tweet_id, x.created_at, x.author_user_id, x.author_username, x.author_name, x.url, x.text, x.raw_json,
+           ${THREAD_COLUMNS.map((c) => `x.${c}`).join(", ")}, now()
+    FROM jsonb_to_recordset($1::jsonb) AS x(
+      tweet_id text, created_at timestamptz, author_user_id text, author_username text, author_name text,
+      url text, text text, raw_json jsonb, ${THREAD_RECORD_DEF}
+    )
+    ON CONFLICT (tweet_id) DO UPDATE SET
+      created_at=EXCLUDED.created_at,
+      author_user_id=EXCLUDED.author_user_id,
+      author_username=EXCLUDED.author_username,
+      author_name=EXCLUDED.author_name,
+      url=EXCLUDED.url,
+      text=EXCLUDED.text,
+      raw_json=EXCLUDED.raw_json,
+      ${THREAD_COLUMNS.map((c) => `${c}=EXCLUDED.${c}`).join(",\n      ")},
+      fetched_at=now()
+  `,
+    [JSON.stringify(rows)]
+  );
+  return rows.length;
+}
+
+async function fetchExternalTweets(ids) {
+  let fetched = 0;
+  for (const group of chunk(ids, BATCH_TWEET_IDS)) {
+    const data = await api.getTweetsByIds(group);
+    const tweets = (Array.isArray(data?.tweets) ? data.tweets : []).map(normalizeTweet);
+    fetched += await withTransaction((db) => upsertExternalTweets(db, tweets));
+  }
+  return fetched;
+}
+
+// твиты сообщества + догруженные внешние (если твит есть в сообществе — берём оттуда)
+async function loadThreadRows(communityId, { ids = [], conversationId = null }) {
+  const cols = `tweet_id, created_at, author_user_id, author_username, author_name, url, text, ${THREAD_COLUMNS.join(", ")}`;
+  const r = await q(
+    `
+    WITH x AS (
+      SELECT ${cols}, '[]'::jsonb AS media_urls, false AS in_community
+      FROM external_tweets et
+      WHERE (et.tweet_id = ANY($2::text[]) OR et.conversation_id = $3)
+        AND NOT EXISTS (SELECT 1 FROM community_tweets c WHERE c.community_id = $1 AND c.tweet_id = et.tweet_id)
+      UNION ALL
+      SELECT ${cols}, media_urls, true
+      FROM community_tweets ct
+      WHERE ct.community_id = $1 AND (ct.tweet_id = ANY($2::text[]) OR ct.conversation_id = $3)
+    )
+    SELECT x.*, ${METRIC_COLUMNS.map((c) => `tm.${c}`).join(", ")}, tm.updated_at AS metrics_updated_at
+    FROM x
+    LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = x.tweet_id
+  `,
+    [communityId, ids, conversationId]
+  );
+  return r.rows;
+}
+
+// Дерево разговора вокруг tweetId: поднимаемся по in_reply_to до корня (догружая отсутствующих
+// родителей через API), затем берём всё, что у нас есть с тем же conversation_id.
+async function getThread(communityId, tweetId, { fetchMissing = true } = {}) {
+  const nodes = new Map();
+  const tried = new Set(); // уже запрошенные у API (удалённые/приватные не найдутся)
+  let fetched = 0;
+
+  const load = async (ids) => {
+    let rows = await loadThreadRows(communityId, { ids });
+    const missing = ids.filter((id) => !rows.some((x) => x.tweet_id === id) && !tried.has(id));
+    if (fetchMissing && missing.length) {
+      missing.forEach((id) => tried.add(id));
+      fetched += await fetchExternalTweets(missing);
+      rows = await loadThreadRows(communityId, { ids });
+    }
+    for (const row of rows) nodes.set(row.tweet_id, row);
+    return rows.length;
+  };
+
+  await load([tweetId]);
+  if (!nodes.has(tweetId)) return null;
+
+  const conversationId = nodes.get(tweetId).conversation_id;
+  if (conversationId) {
+    for (const row of await loadThreadRows(communityId, { ids: [conversationId], conversationId })) nodes.set(row.tweet_id, row);
+  }
+
+  // дыры в цепочках (и путь до корня)
+  const unresolved = new Set();
+  for (let round = 0; round < THREAD_MAX_ROUNDS; round++) {
+    const missing = [...new Set([...nodes.values()].map((x) => x.in_reply_to_tweet_id))].filter(
+      (id) => id && !nodes.has(id) && !unresolved.has(id)
+    );
+    if (missing.length === 0) break;
+    await load(missing);
+    for (const id of missing) if (!nodes.has(id)) unresolved.add(id);
+  }
+
+  const quotes = await q(
+    `SELECT quoted_tweet_id, COUNT(*)::int AS n FROM community_tweets
+     WHERE community_id = $1 AND quoted_tweet_id = ANY($2::text[]) GROUP BY quoted_tweet_id`,
+    [communityId, [...nodes.keys()]]
+  );
+  const quoteCount = new Map(quotes.rows.map((x) => [x.quoted_tweet_id, x.n]));
+
+  const children = new Map();
+  for (const row of nodes.values()) {
+    const parent = row.in_reply_to_tweet_id;
+    if (!parent || parent === row.tweet_id || !nodes.has(parent)) continue;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(row);
+  }
+
+  const byTime = (a, b) => (a.created_at ?? 0) - (b.created_at ?? 0) || a.tweet_id.localeCompare(b.tweet_id);
+  const seen = new Set();
+  let maxDepth = 0;
+  const build = (row, depth) => {
+    seen.add(row.tweet_id);
+    maxDepth = Math.max(maxDepth, depth);
+    return {
+      ...tweetFromRow(row),
+      in_community: row.in_community,
+      in_reply_to_tweet_id: row.in_reply_to_tweet_id,
+      quoted_tweet_id: row.quoted_tweet_id,
+      is_retweet: row.is_retweet,
+      depth,
+      quotes: quoteCount.get(row.tweet_id) || 0,
+      replies: (children.get(row.tweet_id) || []).filter((x) => !seen.has(x.tweet_id)).sort(byTime).map((x) => build(x, depth + 1)),
+    };
+  };
+
+  // корень: выше по цепочке от запрошенного твита, пока родитель есть
+  let root = nodes.get(tweetId);
+  const path = new Set([root.tweet_id]);
+  while (nodes.has(root.in_reply_to_tweet_id) && !path.has(root.in_reply_to_tweet_id)) {
+    root = nodes.get(root.in_reply_to_tweet_id);
+    path.add(root.tweet_id);
+  }
+  const tree = build(root, 0);
+
+  // ветки, чей родитель так и не нашёлся, отдаём отдельно
+  const detached = [...nodes.values()]
+    .filter((x) => !seen.has(x.tweet_id) && !nodes.has(x.in_reply_to_tweet_id))
+    .sort(byTime)
+    .map((x) => build(x, 1));
+
+  const all = [...nodes.values()].filter((x) => seen.has(x.tweet_id));
+  return {
+    tweet_id: tweetId,
+    conversation_id: conversationId || root.tweet_id,
+    stats: {
+      tweets: all.length,
+      replies: all.filter((x) => x.in_reply_to_tweet_id && nodes.has(x.in_reply_to_tweet_id)).length,
+      participants: new Set(all.map((x) => (x.author_username || "").toLowerCase()).filter(Boolean)).size,
+      max_depth: maxDepth,
+      quotes: [...quoteCount.values()].reduce((a, b) => a + b, 0),
+      missing_parents: unresolved.size,
+      fetched,
+    },
+    tree,
+    detached,
+  };
+}
+
+function printThreadNode(node, focusId) {
+  const pad = "  ".repeat(node.depth);
+  const text = (node.text || "").replace(/\s+/g, " ").slice(0, 100);
+  const likes = node.metrics ? ` ♥${node.metrics.like_count}` : "";
+  const mark = node.tweet_id === focusId ? " <--" : "";
+  const ext = node.in_community ? "" : " [external]";
+  console.log(`${pad}@${node.author_username || "?"} (${node.tweet_id})${ext}${likes}: ${text}${mark}`);
+  for (const r of node.replies) printThreadNode(r, focusId);
+}
+
+async function thread(communityId, tweetId, { fetchMissing, format = "tree" }) {
+  if (!/^\d+$/.test(String(tweetId || ""))) die("Usage: node parser.js thread <tweet_id> [--no-fetch] [--format=tree|json]");
+
+  const t = await getThread(communityId, String(tweetId), { fetchMissing });
+  if (!t) die(`Tweet not found: ${tweetId}`);
+
+  if (format === "json") return console.log(JSON.stringify(t, null, 2));
+  if (format !== "tree") die(`Unknown format: ${format} (use tree/json)`);
+
+  console.log(`thread [${communityId}] conversation=${t.conversation_id}`);
+  printThreadNode(t.tree, t.tweet_id);
+  if (t.detached.length) {
+    console.log(`-- ${t.detached.length} branch(es) with missing parents:`);
+    for (const d of t.detached) printThreadNode(d, t.tweet_id);
+  }
+  console.table([t.stats]);
+}
+
+// ---------- Export ----------
+const EXPORT_FETCH_ROWS = 2000; // строк за один FETCH (и один row group в parquet)
+
+// имя колонки -> SQL + тип в parquet
+const EXPORT_COLUMNS = {
+  community_id: { sql: "ct.community_id", type: "STRING" },
+  tweet_id: { sql: "ct.tweet_id", type: "STRING" },
+  created_at: { sql: "ct.created_at", type: "TIMESTAMP" },
+  author_user_id: { sql: "ct.author_user_id", type: "STRING" },
+  author_username: { sql: "ct.author_username", type: "STRING" },
+  author_name: { sql: "ct.author_name", type: "STRING" },
+  url: { sql: "ct.url", type: "STRING" },
+  text: { sql: "ct.text", type: "STRING" },
+  media_urls: { sql: "ct.media_urls", type: "JSON" },
+  conversation_id: { sql: "ct.conversation_id", type: "STRING" },
+  in_reply_to_tweet_id: { sql: "ct.in_reply_to_tweet_id", type: "STRING" },
+  quoted_tweet_id: { sql: "ct.quoted_tweet_id", type: "STRING" },
+  is_retweet: { sql: "ct.is_retweet", type: "BOOLEAN" },
+  ...Object.fromEntries(METRIC_COLUMNS.map((c) => [c, { sql: `tm.${c}`, type: "INT64" }])),
+  metrics_updated_at: { sql: "tm.updated_at", type: "TIMESTAMP" },
+  author_followers: { sql: "u.followers", type: "INT64" },
+  author_following: { sql: "u.following", type: "INT64" },
+  author_verified: { sql: "u.is_blue_verified", type: "BOOLEAN" },
+  raw_json: { sql: "ct.raw_json", type: "JSON" },
+};
+const EXPORT_DEFAULT_COLUMNS = Object.keys(EXPORT_COLUMNS).filter((c) => c !== "raw_json");
+
+// bigint из pg приходит строкой: в parquet нужен BigInt, в csv/ndjson — число
+function exportValue(v, type, format) {
+  if (v === null || v === undefined) return null;
+  if (type === "INT64") return format === "parquet" ? BigInt(v) : Number(v);
+  if (type === "TIMESTAMP" && format !== "parquet") return v.toISOString();
+  return v;
+}
+
+function exportSink(format, out, columns) {
+  if (format === "parquet") {
+    if (!out || out === "-") throw new Error("parquet export needs --out=<file>");
+    const writer = new ParquetWriter({
+      writer: fileWriter(out),
+      schema: schemaFromColumnData({ columnData: columns.map((c) => ({ name: c, data: [], type: EXPORT_COLUMNS[c].type })) }),
+    });
+    return {
+      write: async (rows) => {
+        writer.write({
+          columnData: columns.map((c) => ({ name: c, data: rows.map((r) => r[c]) })),
+          rowGroupSize: rows.length,
+        });
+      },
+      end: async () => writer.finish(),
+    };
+  }
+
+  if (format !== "csv" && format !== "ndjson") throw new Error(`unknown export format: ${format} (use csv/ndjson/parquet)`);
+  const toStdout = !out || out === "-";
+  const stream = toStdout ? process.stdout : fs.createWriteStream(out);
+  const put = (chunk) => (stream.write(chunk) ? null : new Promise((resolve) => stream.once("drain", resolve)));
+  if (format === "csv") put(columns.join(",") + "\n");
+
+  return {
+    write: async (rows) => {
+      const lines =
+        format === "csv"
+          ? rows.map((r) => columns.map((c) => csvCell(r[c])).join(","))
+          : rows.map((r) => JSON.stringify(r));
+      await put(lines.join("\n") + "\n");
+    },
+    end: () => (toStdout ? Promise.resolve() : new Promise((resolve, reject) => stream.end((e) => (e ? reject(e) : resolve())))),
+  };
+}
+
+// Курсор в отдельной READ ONLY транзакции: в памяти только одна пачка из FETCH
+async function exportTweets(communityIds, { format = "csv", out, window, from, to, authors = [], columns, rawJson = false }) {
+  const cols = columns?.length ? [...columns] : [...EXPORT_DEFAULT_COLUMNS];
+  if (rawJson && !cols.includes("raw_json")) cols.push("raw_json");
+  const unknown = cols.filter((c) => !EXPORT_COLUMNS[c]);
+  if (unknown.length) die(`Unknown export columns: ${unknown.join(", ")} (available: ${Object.keys(EXPORT_COLUMNS).join(", ")})`);
+
+  const params = [communityIds];
+  const where = [`ct.community_id = ANY($1::text[])`];
+  try {
+    if (window || from || to) {
+      const w = parseWindow({ window, from, to });
+      params.push(w.from, w.to);
+      where.push(`ct.created_at >= $2 AND ct.created_at < $3`);
+    }
+  } catch (e) {
+    die(e.message);
+  }
+  if (authors.length) {
+    params.push(authors.map((a) => a.toLowerCase().replace(/^@/, "")));
+    where.push(`lower(ct.author_username) = ANY($${params.length}::text[])`);
+  }
+
+  let sink;
+  try {
+    sink = exportSink(format, out, cols);
+  } catch (e) {
+    die(e.message);
+  }
+
+  const client = await pool.connect();
+  let total = 0;
+  let done = false;
+  try {
+    await client.query("BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY");
+    await client.query(
+      `
+      DECLARE export_cur NO SCROLL CURSOR FOR
+      SELECT ${cols.map((c) => `${EXPORT_COLUMNS[c].sql} AS ${c}`).join(", ")}
+      FROM community_tweets ct
+      LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+      LEFT JOIN users u ON u.user_id = ct.author_user_id
+      WHERE ${where.join(" AND ")}
+      ORDER BY ct.community_id, ct.created_at, ct.tweet_id
+    `,
+      params
+    );
+
+    while (true) {
+      const r = await client.query(`FETCH ${EXPORT_FETCH_ROWS} FROM export_cur`);
+      if (r.rows.length === 0) break;
+      const rows = r.rows.map((row) => {
+        const x = {};
+        for (const c of cols) x[c] = exportValue(row[c], EXPORT_COLUMNS[c].type, format);
+        return x;
+      });
+      await sink.write(rows);
+      total += rows.length;
+    }
+    await client.query("COMMIT");
+    done = true;
+  } catch (e) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw e;
+  } finally {
+    client.release();
+    // файл закрываем и когда курсор упал; ошибка закрытия важна только если сам экспорт прошёл
+    await sink.end().catch((e) => {
+      if (done) throw e;
+    });
+  }
+
+  // stdout может быть занят самими данными
+  console.error(`export: ${total} tweets -> ${out && out !== "-" ? out : "stdout"} (${format}, ${cols.length} columns)`);
+  return total;
+}
+
+// ---------- Media archive ----------
+// mime + размеры прямо из заголовка файла (png / gif / webp / jpeg), без библиотек
+function sniffImage(buf) {
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return { mime: "image/png", ext: "png", width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (buf.length >= 10 && buf.toString("ascii", 0, 3) === "GIF") {
+    return { mime: "image/gif", ext: "gif", width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+  if (buf.length >= 30 && buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") {
+    const kind = buf.toString("ascii", 12, 16);
+    let size = {};
+    if (kind === "VP8X") size = { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+    else if (kind === "VP8L") {
+      const b = buf.readUInt32LE(21);
+      size = { width: (b & 0x3fff) + 1, height: ((b >> 14) & 0x3fff) + 1 };
+    } else if (kind === "VP8 ") size = { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    return { mime: "image/webp", ext: "webp", ...size };
+  }
+  if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+    // сегменты до первого SOFn (C4/C8/CC — не SOF)
+    let i = 2;
+    while (i + 9 < buf.length) {
+      if (buf[i] !== 0xff) return { mime: "image/jpeg", ext: "jpg" };
+      const marker = buf[i + 1];
+      if (marker === 0xff) {
+        i++;
+        continue;
+      }
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { mime: "image/jpeg", ext: "jpg", height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7) };
+      }
+      i += 2 + buf.readUInt16BE(i + 2);
+    }
+    return { mime: "image/jpeg", ext: "jpg" };
+  }
+  return null;
+}
+
+const sha256Hex = (x) => crypto.createHash("sha256").update(x).digest("hex");
+const hmacSha256 = (key, x) => crypto.createHmac("sha256", key).update(x).digest();
+
+// PUT с подписью AWS SigV4, path-style (работает и с AWS, и с MinIO/R2)
+async function s3Put(key, body, contentType) {
+  const endpoint = (MEDIA_S3_ENDPOINT || `https://s3.${MEDIA_S3_REGION}.amazonaws.com`).replace(/\/$/, "");
+  const url = new URL(`${endpoint}/${MEDIA_S3_BUCKET}/${key.split("/").map(encodeURIComponent).join("/")}`);
+  const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, "");
+  const day = amzDate.slice(0, 8);
+  const payloadHash = sha256Hex(body);
+
+  const headers = { "content-type": contentType, host: url.host, "x-amz-content-sha256": payloadHash, "x-amz-date": amzDate };
+  const signedHeaders = Object.keys(headers).sort();
+  const canonical = ["PUT", url.pathname, "", ...signedHeaders.map((h) => `${h}:${headers[h]}`), "", signedHeaders.join(";"), payloadHash].join("\n");
+  const scope = `${day}/${MEDIA_S3_REGION}/s3/aws4_request`;
+  let signingKey = `AWS4${MEDIA_S3_SECRET_ACCESS_KEY}`;
+  for (const part of [day, MEDIA_S3_REGION, "s3", "aws4_request"]) signingKey = hmacSha256(signingKey, part);
+  const signature = hmacSha256(signingKey, ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonical)].join("\n")).toString("hex");
+
+  const { host, ...sent } = headers;
+  const res = await fetch(url, {
+    method: "PUT",
+    headers: {
+      ...sent,
+      authorization: `AWS4-HMAC-SHA256 Credential=${MEDIA_S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders.join(";")}, Signature=${signature}`,
+    },
+    body,
+    signal: AbortSignal.timeout(MEDIA_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`S3 PUT ${res.status}: ${(await res.text()).slice(0, 200)}`);
+  return `s3://${MEDIA_S3_BUCKET}/${key}`;
+}
+
+function mediaStore() {
+  if (MEDIA_STORAGE === "local") {
+    return {
+      name: "local",
+      async put(key, body) {
+        const file = path.join(MEDIA_DIR, key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        // через tmp + rename: оборванная запись не оставит битый файл под "правильным" именем
+        await fs.promises.writeFile(`${file}.tmp`, body);
+        await fs.promises.rename(`${file}.tmp`, file);
+        return file;
+      },
+    };
+  }
+  if (MEDIA_STORAGE === "s3") {
+    if (!MEDIA_S3_BUCKET || !MEDIA_S3_ACCESS_KEY_ID || !MEDIA_S3_SECRET_ACCESS_KEY) {
+      die("MEDIA_STORAGE=s3 needs MEDIA_S3_BUCKET, MEDIA_S3_ACCESS_KEY_ID and MEDIA_S3_SECRET_ACCESS_KEY");
+    }
+    return { name: "s3", put: (key, body, mime) => s3Put(`${MEDIA_S3_PREFIX}${key}`, body, mime) };
+  }
+  die(`Unknown MEDIA_STORAGE: ${MEDIA_STORAGE} (use local/s3)`);
+}
+
+async function downloadMedia(url) {
+  const res = await fetch(url, { signal: AbortSignal.timeout(MEDIA_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  if (Number(res.headers.get("content-length") || 0) > MEDIA_MAX_BYTES) throw new Error(`larger than ${MEDIA_MAX_BYTES} bytes`);
+  const body = Buffer.from(await res.arrayBuffer());
+  if (body.length > MEDIA_MAX_BYTES) throw new Error(`larger than ${MEDIA_MAX_BYTES} bytes`);
+
+  const image = sniffImage(body);
+  const contentType = (res.headers.get("content-type") || "").split(";")[0].trim();
+  if (!image && !contentType.startsWith("image/")) throw new Error(`not an image (${contentType || "no content-type"})`);
+  return { body, ...(image || { mime: contentType, ext: contentType.slice(6) || "bin" }) };
+}
+
+// один url -> { sha256, stored: новый ли файл }; тот же url или то же содержимое второй раз не кладём
+async function archiveMediaUrl(store, url) {
+  const known = await q(`SELECT sha256 FROM tweet_media WHERE url = $1 AND status = 'archived' LIMIT 1`, [url]);
+  if (known.rows[0]) return { sha256: known.rows[0].sha256, stored: false };
+
+  const file = await downloadMedia(url);
+  const sha256 = sha256Hex(file.body);
+  const exists = await q(`SELECT 1 FROM media_files WHERE sha256 = $1`, [sha256]);
+  if (exists.rows[0]) return { sha256, stored: false };
+
+  const location = await store.put(`${sha256.slice(0, 2)}/${sha256}.${file.ext}`, file.body, file.mime);
+  await q(
+    `
+    INSERT INTO media_files (sha256, storage, path, size_bytes, mime_type, width, height)
+    VALUES ($1,$2,$3,$4,$5,$6,$7)
+    ON CONFLICT (sha256) DO NOTHING
+  `,
+    [sha256, store.name, location, file.body.length, file.mime, file.width ?? null, file.height ?? null]
+  );
+  return { sha256, stored: true };
+}
+
+async function archiveMedia(communityIds, { limit = Infinity, retryFailed = false } = {}) {
+  const store = mediaStore();
+  const rows = [];
+
+  for (const communityId of communityIds) {
+    // очередь: все media_urls, которых ещё нет в tweet_media
+    const queued = await q(
+      `
+      INSERT INTO tweet_media (community_id, tweet_id, url)
+      SELECT ct.community_id, ct.tweet_id, u.url
+      FROM community_tweets ct
+      CROSS JOIN LATERAL jsonb_array_elements_text(ct.media_urls) AS u(url)
+      WHERE ct.community_id = $1 AND jsonb_typeof(ct.media_urls) = 'array'
+      ON CONFLICT DO NOTHING
+    `,
+      [communityId]
+    );
+    if (retryFailed) {
+      await q(`UPDATE tweet_media SET status = 'pending', attempts = 0 WHERE community_id = $1 AND status = 'failed'`, [communityId]);
+    }
+
+    const stats = { community_id: communityId, queued: queued.rowCount, archived: 0, stored: 0, failed: 0 };
+    let after = ["", ""];
+    let done = 0;
+    while (done < limit) {
+      const r = await q(
+        `
+        SELECT tweet_id, url, attempts FROM tweet_media
+        WHERE community_id = $1 AND status = 'pending' AND (tweet_id, url) > ($2, $3)
+        ORDER BY tweet_id, url
+        LIMIT 100
+      `,
+        [communityId, ...after]
+      );
+      if (r.rows.length === 0) break;
+
+      for (const m of r.rows.slice(0, limit - done)) {
+        done++;
+        try {
+          const { sha256, stored } = await archiveMediaUrl(store, m.url);
+          await q(
+            `UPDATE tweet_media SET status = 'archived', sha256 = $4, attempts = attempts + 1, last_error = NULL, archived_at = now()
+             WHERE community_id = $1 AND tweet_id = $2 AND url = $3`,
+            [communityId, m.tweet_id, m.url, sha256]
+          );
+          stats.archived++;
+          if (stored) stats.stored++;
+        } catch (e) {
+          const failed = m.attempts + 1 >= MEDIA_MAX_ATTEMPTS;
+          await q(
+            `UPDATE tweet_media SET status = $4, attempts = attempts + 1, last_error = $5
+             WHERE community_id = $1 AND tweet_id = $2 AND url = $3`,
+            [communityId, m.tweet_id, m.url, failed ? "failed" : "pending", e.message]
+          );
+          if (failed) stats.failed++;
+          console.warn(`archive-media [${communityId}] ${m.url}: ${e.message}${failed ? " (giving up)" : ""}`);
+        }
+      }
+      const last = r.rows[r.rows.length - 1];
+      after = [last.tweet_id, last.url];
+    }
+
+    const left = await q(`SELECT count(*)::int AS n FROM tweet_media WHERE community_id = $1 AND status = 'pending'`, [communityId]);
+    stats.pending = left.rows[0].n;
+    console.log(
+      `archive-media [${communityId}]: queued=${stats.queued} archived=${stats.archived} stored=${stats.stored} ` +
+        `deduped=${stats.archived - stats.stored} failed=${stats.failed} pending=${stats.pending}`
+    );
+    rows.push(stats);
+  }
+
+  if (rows.length > 1) console.table(rows);
+  return rows;
+}
+
+// ---------- Alerts ----------
+// alerts.json:
+// {
+//   "webhooks": [{ "name": "team", "type": "slack", "url": "https://hooks.slack.com/..." },
+//                { "name": "tg", "type": "telegram", "url": "https://api.telegram.org/bot<token>/sendMessage", "chat_id": "-100..." }],
+//   "rules": [{ "name": "viral", "type": "tweet_metric", "metric": "views", "gt": 50000, "within_hours": 6 },
+//             { "name": "big-member", "type": "new_member", "followers_gt": 10000, "webhooks": ["tg"] },
+//             { "name": "100-posts", "type": "user_posts", "gte": 100 }]
+// }
+// webhook type: slack | discord | telegram | json (весь payload как есть, для своих сервисов и alert-sink)
+const ALERT_WEBHOOK_TYPES = ["slack", "discord", "telegram", "json"];
+
+// числовые поля правил: true — обязательное, false — есть значение по умолчанию
+const ALERT_RULE_NUMBERS = {
+  tweet_metric: { gt: true, within_hours: false },
+  new_member: { followers_gt: false, within_hours: false },
+  user_posts: { gte: true },
+};
+
+let alertConfig; // undefined = ещё не читали, null = алерты выключены
+
+// битый конфиг — исключение, а не die(): решает вызывающий (checkAlerts только предупреждает)
+function loadAlertConfig() {
+  if (alertConfig !== undefined) return alertConfig;
+  if (!fs.existsSync(ALERTS_CONFIG)) {
+    if (process.env.ALERTS_CONFIG) throw new Error(`ALERTS_CONFIG not found: ${ALERTS_CONFIG}`);
+    return (alertConfig = null);
+  }
+
+  let cfg;
+  try {
+    cfg = JSON.parse(fs.readFileSync(ALERTS_CONFIG, "utf8"));
+  } catch (e) {
+    throw new Error(`${ALERTS_CONFIG}: ${e.message}`);
+  }
+  const webhooks = new Map((cfg.webhooks || []).map((w) => [w.name, w]));
+  for (const w of webhooks.values()) {
+    if (!w.name || !w.url) throw new Error(`${ALERTS_CONFIG}: webhook needs name and url`);
+    if (!ALERT_WEBHOOK_TYPES.includes(w.type || "json")) throw new Error(`${ALERTS_CONFIG}: unknown webhook type ${w.type} (${w.name})`);
+    if (w.type === "telegram" && !w.chat_id) throw new Error(`${ALERTS_CONFIG}: telegram webhook ${w.name} needs chat_id`);
+  }
+  const names = new Set();
+  for (const rule of cfg.rules || []) {
+    if (!rule.name || names.has(rule.name)) throw new Error(`${ALERTS_CONFIG}: every rule needs a unique name`);
+    names.add(rule.name);
+    if (!ALERT_RULES[rule.type]) throw new Error(`${ALERTS_CONFIG}: unknown rule type ${rule.type} (use ${Object.keys(ALERT_RULES).join("/")})`);
+    if (rule.type === "tweet_metric" && !METRIC_BY_NAME[rule.metric]) throw new Error(`${ALERTS_CONFIG}: unknown metric ${rule.metric} (${rule.name})`);
+    for (const [key, required] of Object.entries(ALERT_RULE_NUMBERS[rule.type])) {
+      if (rule[key] === undefined && !required) continue;
+      if (typeof rule[key] !== "number" || !Number.isFinite(rule[key])) throw new Error(`${ALERTS_CONFIG}: rule ${rule.name} needs numeric ${key}`);
+    }
+    if (rule.within_hours !== undefined && rule.within_hours <= 0) throw new Error(`${ALERTS_CONFIG}: rule ${rule.name}: within_hours must be > 0`);
+    for (const w of rule.webhooks || []) if (!webhooks.has(w)) throw new Error(`${ALERTS_CONFIG}: rule ${rule.name} uses unknown webhook ${w}`);
+  }
+  return (alertConfig = { webhooks, rules: cfg.rules || [] });
+}
+
+// правило -> [{ subject, message, data }], уже сработавшие субъекты отсекаем сразу в SQL
+const ALERT_RULES = {
+  // "views > 50k within 6h": метрика перешла порог в первые within_hours часов (по умолчанию 24).
+  // Смотрим только твиты моложе 2 * within_hours (запас на пропущенную проверку),
+  // иначе первый же запуск правила выстрелил бы по всей истории
+  async tweet_metric(communityId, rule) {
+    const col = METRIC_BY_NAME[rule.metric];
+    const r = await q(
+      `
+      SELECT ct.tweet_id, ct.author_username, ct.url, tm.${col}::bigint AS value
+      FROM community_tweets ct
+      JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+      WHERE ct.community_id = $1
+        AND tm.${col} > $2
+        AND ct.created_at >= now() - make_interval(secs => $3 * 2 * 3600)
+        AND EXISTS (
+          SELECT 1 FROM tweet_metrics_snapshots s
+          WHERE s.tweet_id = ct.tweet_id AND s.${col} > $2
+            AND s.captured_at <= ct.created_at + make_interval(secs => $3 * 3600)
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM alert_firings f WHERE f.rule_name = $4 AND f.community_id = $1 AND f.subject = ct.tweet_id
+        )
+      ORDER BY value DESC
+    `,
+      [communityId, rule.gt, rule.within_hours ?? 24, rule.name]
+    );
+    return r.rows.map((x) => ({
+      subject: x.tweet_id,
+      message:
+        `[${rule.name}] @${x.author_username}: ${Number(x.value)} ${rule.metric} (> ${rule.gt})` +
+        ` within ${rule.within_hours ?? 24}h ${x.url || ""}`.trimEnd(),
+      data: { tweet_id: x.tweet_id, author_username: x.author_username, url: x.url, metric: rule.metric, value: Number(x.value) },
+    }));
+  },
+
+  // вступил за последние within_hours (по member_events, базовый прогон не считается) и подписчиков больше порога
+  async new_member(communityId, rule) {
+    const r = await q(
+      `
+      SELECT DISTINCT ON (e.user_id) e.user_id, COALESCE(u.username, e.username) AS username, u.followers
+      FROM member_events e
+      JOIN community_members m ON m.community_id = e.community_id AND m.user_id = e.user_id AND m.left_at IS NULL
+      JOIN users u ON u.user_id = e.user_id
+      WHERE e.community_id = $1
+        AND e.event = 'join'
+        AND e.occurred_at >= now() - make_interval(secs => $3 * 3600)
+        AND u.followers > $2
+        AND NOT EXISTS (
+          SELECT 1 FROM alert_firings f WHERE f.rule_name = $4 AND f.community_id = $1 AND f.subject = e.user_id
+        )
+      ORDER BY e.user_id
+    `,
+      [communityId, rule.followers_gt ?? 0, rule.within_hours ?? 24, rule.name]
+    );
+    return r.rows.map((x) => ({
+      subject: x.user_id,
+      message: `[${rule.name}] new member @${x.username} with ${Number(x.followers)} followers`,
+      data: { user_id: x.user_id, username: x.username, followers: Number(x.followers) },
+    }));
+  },
+
+  // "user crosses 100 posts": удалённые не считаем; срабатывает только на тех, кто добрал до порога
+  // постами, появившимися после прошлой проверки (since). Без неё (первый запуск) — только отметка
+  async user_posts(communityId, rule, since) {
+    if (!since) return [];
+    const r = await q(
+      `
+      SELECT x.username, x.posts
+      FROM (
+        SELECT lower(author_username) AS username, COUNT(*)::int AS posts,
+               COUNT(*) FILTER (WHERE inserted_at < $4)::int AS posts_before
+        FROM community_tweets
+        WHERE community_id = $1 AND author_username IS NOT NULL AND deleted_at IS NULL
+        GROUP BY 1
+      ) x
+      WHERE x.posts >= $2 AND x.posts_before < $2
+        AND NOT EXISTS (
+          SELECT 1 FROM alert_firings f WHERE f.rule_name = $3 AND f.community_id = $1 AND f.subject = x.username
+        )
+    `,
+      [communityId, rule.gte, rule.name, since]
+    );
+    return r.rows.map((x) => ({
+      subject: x.username,
+      message: `[${rule.name}] @${x.username} reached ${x.posts} posts (>= ${rule.gte})`,
+      data: { username: x.username, posts: x.posts },
+    }));
+  },
+};
+
+// ON CONFLICT DO NOTHING = дедупликация, даже если два процесса проверяют одновременно
+async function recordFirings(communityId, rule, hits, webhookNames) {
+  if (hits.length === 0) return 0;
+  const r = await withTransaction((db) =>
+    db.query(
+      `
+      WITH fired AS (
+        INSERT INTO alert_firings (rule_name, community_id, subject, message, data)
+        SELECT $1, $2, x.subject, x.message, x.data
+        FROM jsonb_to_recordset($3::jsonb) AS x(subject text, message text, data jsonb)
+        ON CONFLICT (rule_name, community_id, subject) DO NOTHING
+        RETURNING id
+      ), deliveries AS (
+        INSERT INTO alert_deliveries (firing_id, webhook)
+        SELECT fired.id, w FROM fired CROSS JOIN unnest($4::text[]) AS w
+      )
+      SELECT COUNT(*)::int AS n FROM fired
+    `,
+      [rule.name, communityId, JSON.stringify(hits), webhookNames]
+    )
+  );
+  return r.rows[0].n;
+}
+
+function alertPayload(webhook, firing) {
+  switch (webhook.type || "json") {
+    case "slack":
+      return { text: firing.message };
+    case "discord":
+      return { content: firing.message };
+    case "telegram":
+      return { chat_id: webhook.chat_id, text: firing.message };
+    default:
+      return {
+        rule: firing.rule_name,
+        community_id: firing.community_id,
+        subject: firing.subject,
+        message: firing.message,
+        data: firing.data,
+        fired_at: firing.fired_at,
+      };
+  }
+}
+
+async function postAlert(webhook, firing) {
+  try {
+    const res = await fetch(webhook.url, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(alertPayload(webhook, firing)),
+      signal: AbortSignal.timeout(ALERT_TIMEOUT_MS),
+    });
+    if (res.ok) return { ok: true, status: res.status };
+    return { ok: false, status: res.status, error: `HTTP ${res.status}: ${(await res.text()).slice(0, 200)}` };
+  } catch (e) {
+    return { ok: false, status: null, error: e.message };
+  }
+}
+
+// Каждая доставка: до 3 попыток сразу (backoff), дальше — в следующих проверках, пока не кончится ALERT_MAX_ATTEMPTS
+async function deliverAlerts(cfg) {
   const r = await q(
-    all
-      ? `
-        SELECT DISTINCT lower(ct.author_username) AS username
-        FROM community_tweets ct
-        LEFT JOIN users u ON lower(u.username) = lower(ct.author_username)
-        WHERE ct.community_id=$1
-          AND ct.author_username IS NOT NULL
-          AND (u.updated_at IS NULL OR u.updated_at < now() - interval '7 days')
-        ORDER BY 1
+    `
+    SELECT d.id, d.webhook, d.attempts, f.rule_name, f.community_id, f.subject, f.message, f.data, f.fired_at
+    FROM alert_deliveries d
+    JOIN alert_firings f ON f.id = d.firing_id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= now()
+    ORDER BY d.id
+    LIMIT 500
+  `
+  );
+
+  let delivered = 0;
+  let failed = 0;
+  for (const d of r.rows) {
+    const webhook = cfg.webhooks.get(d.webhook);
+    let attempts = d.attempts;
+    let result = { ok: false, status: null, error: `webhook ${d.webhook} is not configured` };
+
+    if (webhook) {
+      for (let i = 0; i < 3 && attempts < ALERT_MAX_ATTEMPTS; i++) {
+        if (i > 0) await sleep(backoffMs(i, ALERT_RETRY_BASE_MS));
+        result = await postAlert(webhook, d);
+        attempts++;
+        if (result.ok) break;
+      }
+    }
+
+    const status = result.ok ? "delivered" : !webhook || attempts >= ALERT_MAX_ATTEMPTS ? "failed" : "pending";
+    await q(
       `
-      : `
-        SELECT DISTINCT lower(ct.author_username) AS username
-        FROM community_tweets ct
-        LEFT JOIN users u ON lower(u.username) = lower(ct.author_username)
-        WHERE ct.community_id=$1
-          AND ct.author_username IS NOT NULL
-          AND ct.created_at >= now() - ($2 || ' hours')::interval
-          AND (u.updated_at IS NULL OR u.updated_at < now() - interval '12 hours')
-        ORDER BY 1
-      `,
-    all ? [communityId] : [communityId, String(hours)]
+      UPDATE alert_deliveries SET
+        status = $2, attempts = $3, last_status = $4, last_error = $5,
+        delivered_at = CASE WHEN $2 = 'delivered' THEN now() END,
+        next_attempt_at = now() + make_interval(secs => $6 / 1000.0)
+      WHERE id = $1
+    `,
+      [d.id, status, attempts, result.status, result.ok ? null : result.error, backoffMs(attempts, ALERT_RETRY_BASE_MS * 30)]
+    );
+    if (result.ok) delivered++;
+    else {
+      failed++;
+      console.warn(`alerts: delivery #${d.id} to ${d.webhook} failed (${attempts}/${ALERT_MAX_ATTEMPTS}): ${result.error}`);
+    }
+  }
+  return { delivered, failed };
+}
+
+// ошибки алертов не должны ронять ingest / refresh: только предупреждение
+async function checkAlerts(communityIds) {
+  try {
+    const cfg = loadAlertConfig();
+    if (!cfg) return null;
+
+    // отметку берём до запросов: твиты, вставленные во время проверки, попадут в следующую
+    const checkedAt = (await q(`SELECT now() AS t`)).rows[0].t;
+    let fired = 0;
+    for (const communityId of communityIds) {
+      for (const rule of cfg.rules) {
+        const prev = await q(`SELECT checked_at FROM alert_rule_checks WHERE rule_name = $1 AND community_id = $2`, [rule.name, communityId]);
+        const hits = await ALERT_RULES[rule.type](communityId, rule, prev.rows[0]?.checked_at ?? null);
+        fired += await recordFirings(communityId, rule, hits, rule.webhooks || [...cfg.webhooks.keys()]);
+        await q(
+          `INSERT INTO alert_rule_checks (rule_name, community_id, checked_at) VALUES ($1, $2, $3)
+           ON CONFLICT (rule_name, community_id) DO UPDATE SET checked_at = EXCLUDED.checked_at`,
+          [rule.name, communityId, checkedAt]
+        );
+      }
+    }
+    const { delivered, failed } = await deliverAlerts(cfg);
+    if (fired || delivered || failed) console.log(`alerts: fired=${fired} delivered=${delivered} failed=${failed}`);
+    return { fired, delivered, failed };
+  } catch (e) {
+    console.warn(`alerts: check failed: ${e.message}`);
+    return null;
+  }
+}
+
+async function alertHistory(communityIds, { limit = 50 } = {}) {
+  const r = await q(
+    `
+    SELECT f.id, f.fired_at, f.rule_name, f.subject, f.message,
+           string_agg(d.webhook || ':' || d.status || '(' || d.attempts || ')', ', ' ORDER BY d.webhook) AS deliveries
+    FROM alert_firings f
+    LEFT JOIN alert_deliveries d ON d.firing_id = f.id
+    WHERE f.community_id = ANY($1::text[])
+    GROUP BY f.id
+    ORDER BY f.fired_at DESC, f.id DESC
+    LIMIT $2
+  `,
+    [communityIds, limit]
   );
+  console.table(r.rows.map((x) => ({ ...x, id: Number(x.id), fired_at: x.fired_at.toISOString() })));
+}
+
+// локальный приёмник для проверки webhooks: печатает каждый POST одной JSON-строкой (и дописывает в --out)
+async function alertSink({ port = 8787, out = null, failFirst = 0 } = {}) {
+  const app = express();
+  app.use(express.json({ limit: "1mb" }));
+  let received = 0;
+  app.use((req, res) => {
+    if (req.method !== "POST") return res.status(405).json({ error: "POST only" });
+    received++;
+    // --fail-first=N: первые N запросов отвечаем 500, чтобы проверить ретраи
+    const status = received <= failFirst ? 500 : 200;
+    const line = JSON.stringify({ at: new Date().toISOString(), path: req.path, status, body: req.body });
+    console.log(line);
+    if (out) fs.appendFileSync(out, line + "\n");
+    res.status(status).json({ ok: status === 200 });
+  });
+
+  const server = await new Promise((resolve, reject) => {
+    // только локально: приёмник для проверки, наружу его не выставляем
+    const s = app.listen(port, "127.0.0.1", (err) => (err ? reject(err) : resolve(s)));
+  });
+  console.error(`alert-sink: listening on 127.0.0.1:${port}`);
+
+  await new Promise((resolve) => {
+    const stop = () => server.close(resolve);
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+  });
+}
+
+// ---------- Daemon (run) ----------
+// Интервалы в минутах (0 = job выключен). Метрики идут по возрастным слоям:
+// свежие твиты каждый час, неделя — раз в 6ч, всё остальное — раз в сутки.
+const RUN_JOBS = [
+  { name: "ingest", everyMin: RUN_INGEST_EVERY_MIN, run: (ids) => ingestNew(ids) },
+  { name: "metrics", everyMin: RUN_METRICS_EVERY_MIN, run: (ids) => refreshMetrics(ids, { tiered: true }) },
+  { name: "users", everyMin: RUN_USERS_EVERY_MIN, run: (ids) => refreshUsers(ids) },
+  { name: "members", everyMin: RUN_MEMBERS_EVERY_MIN, run: (ids) => syncMembers(ids) },
+  { name: "spam", everyMin: RUN_SPAM_EVERY_MIN, run: (ids) => scoreSpam(ids) },
+  { name: "gaps", everyMin: RUN_GAPS_EVERY_MIN, run: (ids) => healGaps(ids) },
+];
+
+let wakeDaemon = null;
+
+function interruptibleSleep(ms) {
+  return new Promise((resolve) => {
+    const t = setTimeout(resolve, ms);
+    wakeDaemon = () => {
+      clearTimeout(t);
+      resolve();
+    };
+  });
+}
+
+function countItems(rows) {
+  return rows.reduce((n, x) => n + Number(x.inserted ?? x.updated ?? x.members ?? 0), 0);
+}
+
+async function lastJobStart(job) {
+  const r = await q(`SELECT max(started_at) AS t FROM job_runs WHERE job = $1`, [job]);
+  return r.rows[0].t;
+}
+
+async function runJob(job, communityIds) {
+  // session-level advisory lock держим на отдельном соединении, пока job работает
+  const lock = await pool.connect();
+  const lockKey = `xparser:job:${job.name}`;
+  try {
+    const got = await lock.query(`SELECT pg_try_advisory_lock(hashtext($1)) AS ok`, [lockKey]);
+    if (!got.rows[0].ok) {
+      console.log(`run: ${job.name} is running in another instance, skipping`);
+      return false;
+    }
 
-  const users = r.rows.map((x) => x.username).filter(Boolean);
-  console.log(`refresh-users: updating ${users.length} users (all=${all}, hours=${hours})`);
+    const started = await q(
+      `INSERT INTO job_runs (job, community_ids, status) VALUES ($1, $2, 'running') RETURNING id`,
+      [job.name, communityIds]
+    );
+    const runId = started.rows[0].id;
+    const t0 = Date.now();
+    api.usage.command = `run:${job.name}`;
+    console.log(`run: ${job.name} started (#${runId})`);
 
-  for (const username of users) {
+    let status = "ok";
+    let items = 0;
+    let error = null;
+    let details = null;
+    // runCommunities ставит exitCode = 1 при ошибке сообщества; у демона ошибки job'ов — в job_runs, не в коде выхода
+    const exitCode = process.exitCode;
     try {
-      const data = await api.getUserInfo(username);
-      const u = data?.user || data?.data || data?.result;
-      if (u) await upsertUser(u);
-      console.log(`refresh-users ok @${username}`);
+      const rows = await job.run(communityIds);
+      details = rows;
+      items = countItems(rows);
+      const failed = rows.filter((x) => x.error);
+      if (rows.some((x) => x.interrupted)) status = "interrupted";
+      else if (rows.some((x) => x.stopped === "budget")) status = "budget";
+      else if (failed.length) {
+        status = "error";
+        error = failed.map((x) => `${x.community_id}: ${x.error}`).join("; ");
+      }
     } catch (e) {
-      console.warn(`refresh-users fail @${username}: ${e.message}`);
+      status = "error";
+      error = e.message;
+      console.error(`run: ${job.name} failed:`, e);
+    } finally {
+      process.exitCode = exitCode;
     }
-  }
 
-  console.log("refresh-users done.");
+    await q(
+      `
+      UPDATE job_runs
+      SET finished_at = now(), duration_ms = $2, status = $3, items = $4, error = $5, details = $6::jsonb
+      WHERE id = $1
+    `,
+      [runId, Date.now() - t0, status, items, error, JSON.stringify(details)]
+    );
+    console.log(`run: ${job.name} ${status} in ${Math.round((Date.now() - t0) / 1000)}s, items=${items}`);
+    return true;
+  } finally {
+    await lock.query(`SELECT pg_advisory_unlock(hashtext($1))`, [lockKey]).catch(() => {});
+    lock.release();
+  }
 }
 
-async function syncMembers() {
-  const communityId = COMMUNITY_ID;
-  if (!communityId) die("No COMMUNITY_ID");
+async function runDaemon(communityIds, { once = false } = {}) {
+  const onSignal = (sig) => {
+    if (shutdownRequested) {
+      console.log(`run: ${sig} again, exiting now`);
+      process.exit(1);
+    }
+    shutdownRequested = true;
+    console.log(`run: ${sig} received, finishing current page...`);
+    if (wakeDaemon) wakeDaemon();
+  };
+  process.on("SIGTERM", onSignal);
+  process.on("SIGINT", onSignal);
 
-  let cursor = null;
-  let total = 0;
+  const jobs = RUN_JOBS.filter((j) => j.everyMin > 0);
+  console.log(`run: communities=${communityIds.join(",")} jobs=${jobs.map((j) => `${j.name}/${j.everyMin}m`).join(" ")}`);
+  // job, занятый другой инстанцией, в job_runs может остаться просроченным (её запуск начался давно) —
+  // без этого мы бы пробовали его на каждом круге; следующая попытка — через его интервал
+  const skippedUntil = new Map();
 
-  while (true) {
-    const data = await api.getCommunityMembers({ community_id: communityId, cursor });
-    const members = Array.isArray(data?.members) ? data.members : [];
+  while (!shutdownRequested) {
+    let nextDue = Infinity;
 
-    for (const m of members) {
-      total++;
-      await upsertUser(m);
-      await q(
-        `
-        INSERT INTO community_members (community_id, user_id, username, updated_at)
-        VALUES ($1,$2,$3, now())
-        ON CONFLICT (community_id, user_id) DO UPDATE SET
-          username=EXCLUDED.username,
-          updated_at=now()
-      `,
-        [communityId, String(m.id), m.userName]
-      );
+    for (const job of jobs) {
+      if (shutdownRequested) break;
+      const last = await lastJobStart(job.name);
+      let due = Math.max((last ? last.getTime() : 0) + job.everyMin * 60 * 1000, skippedUntil.get(job.name) ?? 0);
+      if (due <= Date.now()) {
+        const ran = await runJob(job, communityIds);
+        due = Date.now() + job.everyMin * 60 * 1000;
+        if (!ran) skippedUntil.set(job.name, due);
+      }
+      nextDue = Math.min(nextDue, due);
     }
 
-    console.log(`sync-members page added=${members.length} total=${total}`);
+    if (once || shutdownRequested) break;
+    // просыпаемся хотя бы раз в минуту: интервалы могла сдвинуть другая инстанция
+    const waitMs = Math.max(1000, Math.min(nextDue - Date.now(), 60 * 1000));
+    await interruptibleSleep(waitMs);
+  }
 
-    if (!data?.has_next_page || !data?.next_cursor) break;
-    cursor = data.next_cursor;
+  console.log("run: stopped");
+}
+
+async function jobHistory({ job, limit = 20 } = {}) {
+  const r = await q(
+    `
+    SELECT id, job, status, started_at, duration_ms, items, error
+    FROM job_runs
+    WHERE ($1::text IS NULL OR job = $1)
+    ORDER BY started_at DESC
+    LIMIT $2
+  `,
+    [job || null, limit]
+  );
+  console.table(
+    r.rows.map((x) => ({
+      id: Number(x.id),
+      job: x.job,
+      status: x.status,
+      started_at: x.started_at.toISOString(),
+      duration_s: x.duration_ms === null ? null : Math.round(x.duration_ms / 100) / 10,
+      items: x.items,
+      error: x.error ? x.error.slice(0, 80) : "",
+    }))
+  );
+}
+
+// ---------- HTTP API (serve) ----------
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
   }
+}
 
-  console.log("sync-members done.");
+function encodeCursor(row) {
+  const payload = { c: new Date(row.created_at).toISOString(), id: row.tweet_id };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
 }
 
-async function userStats(username) {
-  const communityId = COMMUNITY_ID;
-  if (!communityId) die("No COMMUNITY_ID");
-  if (!username) die("Usage: node parser.js user-stats <username>");
+function decodeCursor(s) {
+  try {
+    const { c, id } = JSON.parse(Buffer.from(String(s), "base64url").toString("utf8"));
+    if (typeof id !== "string" || Number.isNaN(new Date(c).getTime())) throw new Error();
+    return { createdAt: c, tweetId: id };
+  } catch {
+    throw new HttpError(400, "invalid cursor");
+  }
+}
 
-  // all-time totals for user
+function parseLimitParam(v) {
+  if (v === undefined) return API_PAGE_SIZE;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1 || n > API_MAX_PAGE_SIZE) {
+    throw new HttpError(400, `limit must be an integer between 1 and ${API_MAX_PAGE_SIZE}`);
+  }
+  return n;
+}
+
+function parseDateParam(name, v) {
+  if (v === undefined) return null;
+  const d = new Date(String(v));
+  if (Number.isNaN(d.getTime())) throw new HttpError(400, `${name} must be an ISO date`);
+  return d.toISOString();
+}
+
+function parseBoolParam(name, v) {
+  if (v === undefined) return null;
+  const s = String(v).toLowerCase();
+  if (s === "true" || s === "1") return true;
+  if (s === "false" || s === "0") return false;
+  throw new HttpError(400, `${name} must be true or false`);
+}
+
+function parseIntParam(name, v, def) {
+  if (v === undefined) return def;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 0) throw new HttpError(400, `${name} must be a non-negative integer`);
+  return n;
+}
+
+function parseUsernameParam(v) {
+  const s = String(v || "").replace(/^@/, "");
+  if (!/^[A-Za-z0-9_]{1,15}$/.test(s)) throw new HttpError(400, "invalid username");
+  return s;
+}
+
+function parseTweetIdParam(v) {
+  const s = String(v || "");
+  if (!/^\d{1,25}$/.test(s)) throw new HttpError(400, "invalid tweet id");
+  return s;
+}
+
+// pg отдаёт bigint строками -> в JSON хотим числа
+function metricsFromRow(row) {
+  if (!row.metrics_updated_at) return null;
+  const m = {};
+  for (const col of METRIC_COLUMNS) m[col] = Number(row[col] || 0);
+  m.updated_at = row.metrics_updated_at;
+  return m;
+}
+
+function tweetFromRow(row) {
+  return {
+    tweet_id: row.tweet_id,
+    created_at: row.created_at,
+    author_user_id: row.author_user_id,
+    author_username: row.author_username,
+    author_name: row.author_name,
+    url: row.url,
+    text: row.text,
+    media_urls: row.media_urls || [],
+    metrics: metricsFromRow(row),
+  };
+}
+
+const TWEET_SELECT = `
+  SELECT ct.tweet_id, ct.created_at, ct.author_user_id, ct.author_username, ct.author_name,
+         ct.url, ct.text, ct.media_urls,
+         ${METRIC_COLUMNS.map((c) => `tm.${c}`).join(", ")}, tm.updated_at AS metrics_updated_at
+  FROM community_tweets ct
+  LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
+`;
+
+async function listTweets(communityId, { author, from, to, hasMedia, limit = API_PAGE_SIZE, cursor } = {}) {
+  const params = [communityId];
+  const where = [`ct.community_id = $1`, `ct.created_at IS NOT NULL`];
+
+  if (author) {
+    params.push(author);
+    where.push(`lower(ct.author_username) = lower($${params.length})`);
+  }
+  if (from) {
+    params.push(from);
+    where.push(`ct.created_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    where.push(`ct.created_at < $${params.length}`);
+  }
+  if (hasMedia === true) where.push(`jsonb_array_length(COALESCE(ct.media_urls, '[]'::jsonb)) > 0`);
+  if (hasMedia === false) where.push(`jsonb_array_length(COALESCE(ct.media_urls, '[]'::jsonb)) = 0`);
+  if (cursor) {
+    params.push(cursor.createdAt, cursor.tweetId);
+    where.push(`(ct.created_at, ct.tweet_id) < ($${params.length - 1}::timestamptz, $${params.length})`);
+  }
+
+  // +1 строка, чтобы понять есть ли следующая страница
+  params.push(limit + 1);
+  const r = await q(
+    `${TWEET_SELECT}
+    WHERE ${where.join(" AND ")}
+    ORDER BY ct.created_at DESC, ct.tweet_id DESC
+    LIMIT $${params.length}`,
+    params
+  );
+
+  const rows = r.rows.slice(0, limit);
+  const nextCursor = r.rows.length > limit ? encodeCursor(rows[rows.length - 1]) : null;
+  return { tweets: rows.map(tweetFromRow), next_cursor: nextCursor };
+}
+
+async function getTweet(communityId, tweetId) {
+  const r = await q(`${TWEET_SELECT} WHERE ct.community_id = $1 AND ct.tweet_id = $2`, [communityId, tweetId]);
+  return r.rows[0] ? tweetFromRow(r.rows[0]) : null;
+}
+
+async function getUserProfile(communityId, username) {
   const r = await q(
     `
-    SELECT
-      lower(ct.author_username) as username,
-      COUNT(*)::bigint as posts,
-      COALESCE(SUM(tm.view_count),0)::bigint as views,
-      COALESCE(SUM(tm.like_count),0)::bigint as likes,
-      COALESCE(SUM(tm.retweet_count),0)::bigint as retweets,
-      COALESCE(SUM(tm.reply_count),0)::bigint as replies,
-      COALESCE(SUM(tm.quote_count),0)::bigint as quotes,
-      COALESCE(SUM(tm.bookmark_count),0)::bigint as bookmarks
-    FROM community_tweets ct
-    LEFT JOIN tweet_metrics_latest tm ON tm.tweet_id = ct.tweet_id
-    WHERE ct.community_id = $1
-      AND lower(ct.author_username) = lower($2)
-    GROUP BY lower(ct.author_username)
+    SELECT u.user_id, u.username, u.name, u.followers, u.following, u.profile_picture, u.updated_at,
+           cm.updated_at AS member_updated_at, cm.joined_at, cm.left_at
+    FROM users u
+    LEFT JOIN community_members cm ON cm.community_id = $1 AND cm.user_id = u.user_id
+    WHERE lower(u.username) = lower($2)
   `,
     [communityId, username]
   );
+  const u = r.rows[0];
+  if (!u) return null;
+  return {
+    user_id: u.user_id,
+    username: u.username,
+    name: u.name,
+    followers: Number(u.followers || 0),
+    following: Number(u.following || 0),
+    profile_picture: u.profile_picture,
+    updated_at: u.updated_at,
+    is_member: Boolean(u.member_updated_at) && !u.left_at,
+    joined_at: u.joined_at,
+    left_at: u.left_at,
+  };
+}
 
-  console.log(r.rows[0] || { username: username.toLowerCase(), posts: 0, views: 0, likes: 0 });
+function statsToJson(row) {
+  const out = { username: row.username };
+  for (const [k, v] of Object.entries(row)) if (k !== "username") out[k] = Number(v || 0);
+  return out;
 }
 
-async function syncLast24Hours() {
-  const communityId = COMMUNITY_ID;
-  if (!communityId) die("No COMMUNITY_ID");
+function createApp(communityId) {
+  const app = express();
+  app.disable("x-powered-by");
 
-  console.log("=== Синхронизация твитов и метрик за последние 24 часа ===");
-  
-  // Сначала получаем все новые твиты за последние 24 часа
-  console.log("Шаг 1: Получение всех твитов за последние 24 часа...");
-  await ingestNew();
-  
-  // Затем обновляем метрики для всех твитов за последние 24 часа
-  console.log("Шаг 2: Обновление метрик для всех твитов за последние 24 часа...");
-  await refreshMetrics({ hours: 24, force: true });
-  
-  console.log("=== Синхронизация завершена ===");
+  app.get("/api/health", async (req, res) => {
+    await q("SELECT 1;");
+    res.json({ ok: true });
+  });
+
+  app.get("/api/tweets", async (req, res) => {
+    const result = await listTweets(communityId, {
+      author: req.query.author !== undefined ? parseUsernameParam(req.query.author) : null,
+      from: parseDateParam("from", req.query.from),
+      to: parseDateParam("to", req.query.to),
+      hasMedia: parseBoolParam("has_media", req.query.has_media),
+      limit: parseLimitParam(req.query.limit),
+      cursor: req.query.cursor !== undefined ? decodeCursor(req.query.cursor) : null,
+    });
+    res.json(result);
+  });
+
+  app.get("/api/tweets/:tweetId", async (req, res) => {
+    const tweet = await getTweet(communityId, parseTweetIdParam(req.params.tweetId));
+    if (!tweet) throw new HttpError(404, "tweet not found");
+    res.json(tweet);
+  });
+
+  // догружать родителей из API — только по явному ?fetch=true (платные запросы) и только с ключом (serve его не требует)
+  app.get("/api/tweets/:tweetId/thread", async (req, res) => {
+    const fetchMissing = (parseBoolParam("fetch", req.query.fetch) ?? false) && Boolean(API_KEY || TWITTERAPI_MODE === "replay");
+    const t = await getThread(communityId, parseTweetIdParam(req.params.tweetId), { fetchMissing });
+    if (!t) throw new HttpError(404, "tweet not found");
+    res.json(t);
+  });
+
+  app.get("/api/users/:username", async (req, res) => {
+    const username = parseUsernameParam(req.params.username);
+    const user = await getUserProfile(communityId, username);
+    if (!user) throw new HttpError(404, "user not found");
+    const includeDeleted = parseBoolParam("include_deleted", req.query.include_deleted) ?? false;
+    res.json({ ...user, stats: statsToJson(await getUserStats(communityId, username, { includeDeleted })) });
+  });
+
+  app.get("/api/users/:username/report", async (req, res) => {
+    const username = parseUsernameParam(req.params.username);
+    let w;
+    try {
+      w = userReportWindow({ window: req.query.window || "7d", from: req.query.from, to: req.query.to });
+    } catch (e) {
+      throw new HttpError(400, e.message);
+    }
+    const includeDeleted = parseBoolParam("include_deleted", req.query.include_deleted) ?? false;
+    res.json(await getUserReport(communityId, username, { ...w, includeDeleted }));
+  });
+
+  app.get("/api/users/:username/stats", async (req, res) => {
+    const stats = await getUserStats(communityId, parseUsernameParam(req.params.username), {
+      includeDeleted: parseBoolParam("include_deleted", req.query.include_deleted) ?? false,
+    });
+    res.json(statsToJson(stats));
+  });
+
+  app.get("/api/leaderboard", async (req, res) => {
+    let opts;
+    try {
+      opts = {
+        ...parseWindow({ window: req.query.window, from: req.query.from, to: req.query.to }),
+        weights: parseWeights(req.query.weights || LEADERBOARD_WEIGHTS),
+        minPosts: parseIntParam("min_posts", req.query.min_posts, LEADERBOARD_MIN_POSTS),
+        exclude: [...splitList(LEADERBOARD_EXCLUDE), ...splitList(req.query.exclude)],
+        includeDeleted: parseBoolParam("include_deleted", req.query.include_deleted) ?? false,
+        limit: parseLimitParam(req.query.limit),
+      };
+    } catch (e) {
+      throw e instanceof HttpError ? e : new HttpError(400, e.message);
+    }
+    const entries = await getLeaderboard(communityId, opts);
+    res.json({ from: opts.from, to: opts.to, weights: opts.weights, entries });
+  });
+
+  // q: "фраза" -слово OR; snippet — HTML-экранированный текст с <mark>
+  app.get("/api/search", async (req, res) => {
+    const sort = req.query.sort || "relevance";
+    if (!SEARCH_SORTS[sort]) throw new HttpError(400, `sort must be one of ${Object.keys(SEARCH_SORTS).join(", ")}`);
+    if (!String(req.query.q || "").trim()) throw new HttpError(400, "q is required");
+    const { mode, rows } = await searchTweets(communityId, String(req.query.q), {
+      authors: splitList(req.query.author).map(parseUsernameParam),
+      from: parseDateParam("from", req.query.from),
+      to: parseDateParam("to", req.query.to),
+      sort,
+      limit: parseLimitParam(req.query.limit),
+      offset: parseIntParam("offset", req.query.offset, 0),
+      fuzzy: parseBoolParam("fuzzy", req.query.fuzzy) ?? false,
+      includeDeleted: parseBoolParam("include_deleted", req.query.include_deleted) ?? false,
+      html: true,
+    });
+    res.json({
+      query: req.query.q,
+      mode,
+      results: rows.map((x) => ({ ...tweetFromRow(x), deleted: Boolean(x.deleted_at), score: x.score, snippet: x.snippet })),
+    });
+  });
+
+  // только из daily-роллапов
+  app.get("/api/community-stats", async (req, res) => {
+    let days;
+    try {
+      days = windowDays({ window: req.query.window || "30d", from: req.query.from, to: req.query.to });
+    } catch (e) {
+      throw new HttpError(400, e.message);
+    }
+    const by = req.query.by || "day";
+    if (!["day", "week", "month", "total"].includes(by)) throw new HttpError(400, "by must be one of day, week, month, total");
+    res.json({ from: days.fromDay, to: days.toDay, by, periods: await getCommunityStats(communityId, { ...days, by }) });
+  });
+
+  app.get("/api/insights", async (req, res) => {
+    let w;
+    let tz;
+    try {
+      w = parseWindow({ window: req.query.window || "90d", from: req.query.from, to: req.query.to });
+      tz = checkTimezone(req.query.tz || INSIGHTS_TZ);
+    } catch (e) {
+      throw new HttpError(400, e.message);
+    }
+    const metric = req.query.metric || "engagement";
+    if (metric !== "engagement" && !METRIC_BY_NAME[metric]) throw new HttpError(400, "invalid metric");
+    const result = await getInsights(communityId, {
+      ...w,
+      tz,
+      metric,
+      minSample: parseIntParam("min_sample", req.query.min_sample, INSIGHTS_MIN_SAMPLE),
+    });
+    res.json({ from: w.from, to: w.to, ...result });
+  });
+
+  app.get("/api/leaderboard/snapshots/:id", async (req, res) => {
+    const id = parseIntParam("id", req.params.id);
+    const snap = await getLeaderboardSnapshot(communityId, id);
+    if (!snap) throw new HttpError(404, "snapshot not found");
+    res.json(snap);
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: "not found" });
+  });
+
+  // express 5 сам ловит reject из async-хендлеров и отдаёт сюда
+  app.use((err, req, res, next) => {
+    const status = err instanceof HttpError ? err.status : 500;
+    if (status >= 500) console.error("serve error:", err);
+    res.status(status).json({ error: status >= 500 ? "internal error" : err.message });
+  });
+
+  return app;
+}
+
+async function serve(communityId, { port = PORT } = {}) {
+  const app = createApp(communityId);
+  const server = await new Promise((resolve, reject) => {
+    const s = app.listen(port, (err) => (err ? reject(err) : resolve(s)));
+  });
+  console.log(`serve: listening on :${port} (community=${communityId})`);
+
+  // держим процесс, пока не придёт сигнал -> потом main закроет pool
+  await new Promise((resolve) => {
+    const stop = (sig) => {
+      console.log(`serve: ${sig}, shutting down`);
+      server.close(resolve);
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+  });
 }
 
 async function main() {
@@ -710,52 +5196,368 @@ async function main() {
     if (!cmd || cmd === "help" || cmd === "--help") {
       console.log(`
 Commands:
+  (схема БД: npm run migrate, см. node migrate.js status)
   node parser.js doctor
   node parser.js backfill
-  node parser.js ingest-new
-  node parser.js refresh-metrics [--all] [--hours=48] [--force]
-  node parser.js refresh-users [--hours=24]
-  node parser.js sync-members
-  node parser.js user-stats <username>
+  node parser.js ingest-new (не дошёл до уже собранного за INGEST_MAX_HOURS / INGEST_MAX_PAGES -> пишет дыру)
+  node parser.js heal-gaps [--max-pages=50] (дочитать ленту в дырах; продолжает с сохранённого cursor)
+  node parser.js community-stats [--window=30d | --from=YYYY-MM-DD --to=YYYY-MM-DD] [--by=day|week|month|total]
+                                 [--top-authors=N] [--format=table|csv|json] (только из дневных роллапов, дни UTC)
+  node parser.js refresh-rollups (пересчитать дни, где что-то поменялось; сам вызывается после ingest/metrics/sync-members)
+  node parser.js rebuild-rollups [--from=YYYY-MM-DD --to=YYYY-MM-DD | --all] (пересобрать дни с нуля)
+  node parser.js coverage [--by=range|day] [--days=N] [--format=table|csv|json] (какие дни собраны полностью)
+  node parser.js refresh-metrics [--all] [--hours=48] [--force] (всё за окно)
+  node parser.js refresh-metrics --tiered [--max-requests=N] (по tier'ам: возраст + рост просмотров, так же работает run)
+  node parser.js refresh-plan [--status=planned|budget|fresh|never] [--limit=50] [--format=table|csv|json]
+  node parser.js refresh-users [--all] [--hours=24]
+  node parser.js sync-members (полный прогон помечает ушедших, пишет join/leave события)
+  node parser.js member-report [--days=30] [--period=day|week] [--active-days=30] [--format=table|csv|json]
+                               [--list=active|dormant|never-posted|departed]
+  node parser.js user-stats <username> [--window=7d|all | --from=ISO --to=ISO] [--include-deleted] [--format=table|json]
+                             (сравнение с прошлым таким же периодом, место в leaderboard, лучшие/худшие твиты, серии дней)
   node parser.js sync-24h (получить все твиты и метрики за последние 24 часа)
 
+  Все команды принимают --community=<id>[,<id>...] или --all-communities
+  (по умолчанию COMMUNITY_ID). user-stats, member-report, velocity, leaderboard, trending-hashtags,
+  top-mentions, deleted-report, search, coverage, insights, community-stats, watchlist, watch-report, thread и serve берут первое сообщество.
+  Новое сообщество заносят в communities только backfill/ingest-new/heal-gaps/sync-members/sync-24h/run,
+  остальные (кроме doctor, watchlist, spam-list) с незнакомым id падают.
+  Удалённые/недоступные твиты (не вернулись из API DELETED_AFTER_MISSES refresh подряд) в leaderboard,
+  user-stats и trending-hashtags/top-mentions не учитываются, пока не передан --include-deleted.
+
+  node parser.js run [--once] (daemon: ingest/metrics/users/members/spam/gaps по расписанию, SIGTERM = мягкая остановка)
+  node parser.js job-history [--job=ingest] [--limit=20]
+  node parser.js api-usage [--days=7]
+  node parser.js metric-history <tweet_id>
+  node parser.js user-history <username> [--limit=100] [--format=table|csv|json] (рост followers и прошлые handle; можно старым handle)
+  node parser.js velocity [--hours=6] [--limit=20] [--metric=views]
+  node parser.js prune-snapshots
+  node parser.js serve [--port=3000]
+    GET /api/tweets?author=&from=&to=&has_media=&limit=&cursor=
+    GET /api/tweets/:tweetId
+    GET /api/tweets/:tweetId/thread?fetch=false (true = догрузить родителей из API, тратит запросы)
+    GET /api/users/:username?include_deleted=false
+    GET /api/users/:username/stats?include_deleted=false
+    GET /api/users/:username/report?window=7d|all&from=&to=&include_deleted=false
+    GET /api/leaderboard?window=7d&from=&to=&weights=&min_posts=&exclude=&include_deleted=false&limit=
+    GET /api/leaderboard/snapshots/:id
+    GET /api/community-stats?window=30d&from=&to=&by=day|week|month|total
+    GET /api/insights?window=90d&from=&to=&tz=UTC&metric=engagement&min_sample=20
+    GET /api/search?q=&author=&from=&to=&sort=relevance|engagement|recent&fuzzy=false&include_deleted=false&limit=&offset=
+  node parser.js leaderboard [--window=7d | --from=ISO --to=ISO] [--weights=views:0.01,likes:1,...]
+                             [--min-posts=1] [--exclude=a,b] [--include-deleted] [--limit=100] [--format=table|csv|json]
+                             [--freeze [--name=week-42]] | [--snapshot=<id>]
+  node parser.js leaderboard-snapshots
+  node parser.js trending-hashtags [--window=7d | --from=ISO --to=ISO] [--by=tweets|engagement] [--include-deleted]
+                                   [--limit=20] [--format=table|csv|json]
+  node parser.js top-mentions      (те же параметры)
+  node parser.js reindex-entities  (пересобрать хэштеги/упоминания/ссылки/кэштеги из raw_json)
+  node parser.js insights [--window=90d | --from=ISO --to=ISO] [--tz=Europe/Moscow] [--metric=engagement|views|likes|...]
+                          [--min-sample=20] [--by=hour,weekday,content,length] [--format=table|csv|json]
+                          (медиана/перцентили по часу, дню недели, типу контента и длине; vs_overall = медиана / общая медиана)
+  node parser.js watchlist [add <name> <keyword|regex|author|mention> <pattern> [--window=30d|all] [--no-rescan]
+                           | remove <name> [<kind> <pattern>] | rescan <name> [--window=30d|all]]
+                           (новые твиты проверяются при записи; add сразу перепроверяет уже собранные за --window)
+  node parser.js watch-report [--list=name] [--window=7d | --from=ISO --to=ISO] [--limit=10] [--format=table|csv|json]
+  node parser.js deleted-report [--window=30d | --from=ISO --to=ISO] [--author=name] [--limit=50] [--format=table|csv|json]
+                                (удалённые по авторам; reposted = позже запостил тот же текст)
+  node parser.js search "<query>" [--author=a,b] [--window=7d | --from=ISO --to=ISO] [--sort=relevance|engagement|recent]
+                        [--fuzzy] [--include-deleted] [--limit=20] [--offset=0] [--format=table|csv|json]
+                        ("точная фраза", -исключить, OR; стемминг ru/en; без совпадений по словам — поиск по триграммам)
+  node parser.js score-spam   (дубли текста между аккаунтами, всплески постов, накрутка у новых/мелких аккаунтов, ссылки)
+  node parser.js suspicious [--rescore] [--min-score=0] [--limit=50] [--format=table|csv|json]
+  node parser.js spam-list [allow|deny|remove <username>[,<username>...]] [--note=...]
+                           (deny — всегда вне leaderboard/trending; allow — не флагается)
+  node parser.js export [--format=csv|ndjson|parquet] [--out=file] [--window=7d | --from=ISO --to=ISO]
+                        [--author=a,b] [--columns=tweet_id,created_at,...] [--raw-json]
+                        (твиты + последние метрики + автор; без --out csv/ndjson идут в stdout)
+  node parser.js archive-media [--limit=N] [--retry-failed]
+                              (скачать картинки из media_urls в MEDIA_DIR или S3, дедуп по sha256; продолжает с места остановки)
+  node parser.js alerts [--limit=50]   (сработавшие правила и статус доставки)
+  node parser.js alerts-check         (проверить правила и дослать недоставленное прямо сейчас)
+  node parser.js alert-sink [--port=8787] [--out=file.ndjson] [--fail-first=0] (локальный приёмник webhooks)
+  node parser.js thread <tweet_id> [--no-fetch] [--format=tree|json] (ветка ответов; недостающих родителей догружает из API)
+
 Env:
   TWITTERAPI_IO_KEY
-  COMMUNITY_ID
+  TWITTERAPI_MODE=live|record|replay (или флаги --record / --replay)
+  TWITTERAPI_FIXTURES_DIR=fixtures (куда record пишет и откуда replay читает ответы API)
+  TEST_DATABASE_URL (только для npm test: сервер, где можно CREATE/DROP DATABASE)
+  COMMUNITY_ID (можно несколько через запятую)
   DATABASE_URL
   PGSSL=true (Railway обычно)
   MIN_REQUEST_INTERVAL_MS=5200
+  MAX_REQUEST_INTERVAL_MS=60000 (потолок интервала после 429)
+  RATE_BURST=1
+  RETRY_BASE_MS=1000, RETRY_MAX_MS=60000
+  DAILY_REQUEST_BUDGET=0 (запросов в сутки UTC на все команды, 0 = без лимита)
   TOP_PAGES=3
-  RECENT_HOURS=48 (по умолчанию для refresh-metrics, но для последних 24ч используется force)
+  RECENT_HOURS=48 (refresh-metrics --hours по умолчанию)
+  REFRESH_HOT_EVERY_MIN=30 (<24ч), REFRESH_WARM_EVERY_MIN=360 (<7д), REFRESH_COOL_EVERY_MIN=1440 (<30д),
+  REFRESH_COLD_EVERY_MIN=0 (старше; 0 = не обновлять)
+  REFRESH_FAST_VIEWS_PER_HOUR=100 (быстрый рост -> hot), REFRESH_MAX_REQUESTS=0 (на сообщество за прогон)
+  DELETED_AFTER_MISSES=3 (сколько refresh подряд твит не возвращается из API до пометки удалённым)
+  DELETED_RECHECK_EVERY_MIN=10080 (как часто снова спрашивать удалённые; 0 = никогда)
   ACTIVE_HOURS=24
   BATCH_TWEET_IDS=80
   BACKFILL_CUTOFF_DAYS=0
   BACKFILL_PAGES_PER_RUN=50
+  INGEST_MAX_HOURS=24, INGEST_MAX_PAGES=100, HEAL_GAPS_PAGES_PER_RUN=50
+  SNAPSHOT_HOURLY_HOURS=48
+  SNAPSHOT_RETENTION_DAYS=0 (0 = хранить вечно)
+  RUN_INGEST_EVERY_MIN=10
+  RUN_METRICS_EVERY_MIN=30 (tiered refresh-metrics)
+  RUN_USERS_EVERY_MIN=1440
+  RUN_MEMBERS_EVERY_MIN=10080
+  RUN_SPAM_EVERY_MIN=0 (score-spam в daemon; 0 = выключен)
+  RUN_GAPS_EVERY_MIN=60 (heal-gaps)
+  LEADERBOARD_WEIGHTS=views:0.01,likes:1,retweets:3,replies:2,quotes:3,bookmarks:2
+  LEADERBOARD_MIN_POSTS=1
+  LEADERBOARD_EXCLUDE=user1,user2
+  INSIGHTS_TZ=UTC, INSIGHTS_MIN_SAMPLE=20, INSIGHTS_MIN_AGE_HOURS=24 (свежие твиты ещё набирают реакции)
+  SPAM_WINDOW_DAYS=7, SPAM_BURST_POSTS=5, SPAM_BURST_MINUTES=10, SPAM_LOW_FOLLOWERS=100,
+  SPAM_NEW_ACCOUNT_DAYS=30, SPAM_LIKE_VIEW_RATIO=0.2, SPAM_LINK_SHARE=0.8, SPAM_DUPLICATE_SIMILARITY=0.7
+  SPAM_EXCLUDE_SCORE=0 (score, с которого автор выпадает из leaderboard/trending; 0 = только deny-список)
+  ALERTS_CONFIG=alerts.json (правила и webhooks, формат — в коде у checkAlerts)
+  ALERT_MAX_ATTEMPTS=6, ALERT_RETRY_BASE_MS=2000, ALERT_TIMEOUT_MS=10000
+  MEDIA_STORAGE=local|s3, MEDIA_DIR=media
+  MEDIA_S3_ENDPOINT (по умолчанию AWS), MEDIA_S3_REGION=us-east-1, MEDIA_S3_BUCKET, MEDIA_S3_PREFIX,
+  MEDIA_S3_ACCESS_KEY_ID, MEDIA_S3_SECRET_ACCESS_KEY
+  MEDIA_MAX_BYTES=20971520, MEDIA_MAX_ATTEMPTS=3, MEDIA_TIMEOUT_MS=30000
+  PORT=3000
+  API_PAGE_SIZE=50
+  API_MAX_PAGE_SIZE=200
       `.trim());
       return;
     }
 
+    if (cmd === "alert-sink") {
+      return await alertSink({
+        port: Number(argValue("port") || 8787),
+        out: argValue("out"),
+        failFirst: Number(argValue("fail-first") || 0),
+      });
+    }
+
     if (!DATABASE_URL) die("Missing DATABASE_URL");
-    if (!COMMUNITY_ID) die("Missing COMMUNITY_ID");
-    if (!API_KEY) die("Missing TWITTERAPI_IO_KEY");
+    // ключ нужен только командам, которые ходят в TwitterAPI (thread — пока не --no-fetch); остальные
+    // читают/пишут только БД (archive-media качает картинки по прямым ссылкам); replay ходит только в fixtures
+    const needsApi = API_COMMANDS.includes(cmd) || (cmd === "thread" && !process.argv.includes("--no-fetch"));
+    if (!API_KEY && needsApi && TWITTERAPI_MODE !== "replay") die("Missing TWITTERAPI_IO_KEY");
+
+    if (cmd === "metric-history") return await metricHistory(process.argv[3]);
+    if (cmd === "user-history") {
+      return await userHistory(process.argv[3], { limit: Number(argValue("limit") || 100), format: argValue("format") || "table" });
+    }
+    api.usage.command = cmd;
+    if (cmd === "api-usage") return await apiUsageReport({ days: Number(argValue("days") || 7) });
+    if (cmd === "job-history") return await jobHistory({ job: argValue("job"), limit: intArg("limit", 20) });
+    if (cmd === "prune-snapshots") return await pruneSnapshots();
 
-    if (cmd === "doctor") await doctor();
-    else if (cmd === "backfill") await backfill();
-    else if (cmd === "ingest-new") await ingestNew();
+    const communityIds = await resolveCommunities({ register: INGEST_COMMANDS.includes(cmd), known: !ANY_COMMUNITY_COMMANDS.includes(cmd) });
+
+    if (cmd === "doctor") await doctor(communityIds);
+    else if (cmd === "backfill") await backfill(communityIds);
+    else if (cmd === "ingest-new") await ingestNew(communityIds);
+    else if (cmd === "heal-gaps") {
+      await healGaps(communityIds, { maxPages: Number(argValue("max-pages") || HEAL_GAPS_PAGES_PER_RUN) });
+    } else if (cmd === "community-stats") {
+      await communityStats(communityIds[0], {
+        window: argValue("window") || "30d",
+        from: argValue("from"),
+        to: argValue("to"),
+        by: argValue("by") || "day",
+        topAuthors: Number(argValue("top-authors") || 0),
+        format: argValue("format") || "table",
+      });
+    } else if (cmd === "refresh-rollups") await refreshRollups(communityIds);
+    else if (cmd === "rebuild-rollups") {
+      await rebuildRollups(communityIds, { from: argValue("from"), to: argValue("to"), all: process.argv.includes("--all") || (!argValue("from") && !argValue("to")) });
+    } else if (cmd === "coverage") {
+      await coverage(communityIds[0], {
+        by: argValue("by") || "range",
+        days: argValue("days") ? Number(argValue("days")) : null,
+        format: argValue("format") || "table",
+      });
+    }
     else     if (cmd === "refresh-metrics") {
       const all = process.argv.includes("--all");
       const force = process.argv.includes("--force");
       const hoursArg = process.argv.find((x) => x.startsWith("--hours="));
       const hours = hoursArg ? Number(hoursArg.split("=")[1]) : RECENT_HOURS;
-      await refreshMetrics({ all, hours, force });
+      // --tiered — по расписанию tier'ов (так работает run); без него — как раньше, всё за окно
+      const tiered = process.argv.includes("--tiered");
+      if (tiered && (all || force || hoursArg)) die("--tiered plans by tiers itself, drop --all/--hours/--force");
+      const maxRequests = Number(argValue("max-requests") || REFRESH_MAX_REQUESTS);
+      await refreshMetrics(communityIds, { all, hours, force, tiered, maxRequests });
+    } else if (cmd === "refresh-plan") {
+      await refreshPlan(communityIds[0], {
+        status: argValue("status"),
+        limit: Number(argValue("limit") || 50),
+        format: argValue("format") || "table",
+      });
     } else if (cmd === "refresh-users") {
   const all = process.argv.includes("--all");
   const hoursArg = process.argv.find((x) => x.startsWith("--hours="));
   const hours = hoursArg ? Number(hoursArg.split("=")[1]) : ACTIVE_HOURS;
-  await refreshUsers({ hours, all });
-} else     if (cmd === "sync-members") await syncMembers();
-    else if (cmd === "user-stats") await userStats(process.argv[3]);
-    else if (cmd === "sync-24h" || cmd === "sync-last-24h") await syncLast24Hours();
+  await refreshUsers(communityIds, { hours, all });
+} else     if (cmd === "sync-members") await syncMembers(communityIds);
+    else if (cmd === "member-report") {
+      await memberReport(communityIds[0], {
+        days: Number(argValue("days") || 30),
+        period: argValue("period") || "day",
+        activeDays: Number(argValue("active-days") || 30),
+        list: argValue("list"),
+        format: argValue("format") || "table",
+      });
+    }
+    else if (cmd === "user-stats") {
+      await userStats(communityIds[0], process.argv[3], {
+        window: argValue("window") || "7d",
+        from: argValue("from"),
+        to: argValue("to"),
+        includeDeleted: process.argv.includes("--include-deleted"),
+        format: argValue("format") || "table",
+      });
+    }
+    else if (cmd === "sync-24h" || cmd === "sync-last-24h") await syncLast24Hours(communityIds);
+    else if (cmd === "run") await runDaemon(communityIds, { once: process.argv.includes("--once") });
+    else if (cmd === "velocity") {
+      const hoursArg = process.argv.find((x) => x.startsWith("--hours="));
+      const limitArg = process.argv.find((x) => x.startsWith("--limit="));
+      const metricArg = process.argv.find((x) => x.startsWith("--metric="));
+      await velocity(communityIds[0], {
+        hours: hoursArg ? Number(hoursArg.split("=")[1]) : 6,
+        limit: limitArg ? Number(limitArg.split("=")[1]) : 20,
+        metric: metricArg ? metricArg.split("=")[1] : "views",
+      });
+    } else if (cmd === "leaderboard") {
+      await leaderboard(communityIds[0], {
+        window: argValue("window") || "7d",
+        from: argValue("from"),
+        to: argValue("to"),
+        weights: argValue("weights"),
+        minPosts: intArg("min-posts", LEADERBOARD_MIN_POSTS),
+        exclude: splitList(argValue("exclude")),
+        includeDeleted: process.argv.includes("--include-deleted"),
+        limit: intArg("limit", 100),
+        format: argValue("format") || "table",
+        freeze: process.argv.includes("--freeze"),
+        name: argValue("name"),
+        snapshot: argValue("snapshot"),
+      });
+    } else if (cmd === "leaderboard-snapshots") await leaderboardSnapshots(communityIds[0]);
+    else if (cmd === "trending-hashtags" || cmd === "top-mentions") {
+      await topEntities(communityIds[0], cmd === "top-mentions" ? "mention" : "hashtag", {
+        window: argValue("window") || "7d",
+        from: argValue("from"),
+        to: argValue("to"),
+        limit: Number(argValue("limit") || 20),
+        by: argValue("by") || "tweets",
+        includeDeleted: process.argv.includes("--include-deleted"),
+        format: argValue("format") || "table",
+      });
+    } else if (cmd === "reindex-entities") await reindexEntities(communityIds);
+    else if (cmd === "score-spam") await scoreSpam(communityIds);
+    else if (cmd === "suspicious") {
+      const format = argValue("format") || "table";
+      // csv/json идут в stdout как есть, строку прогона — в stderr
+      if (process.argv.includes("--rescore")) await scoreSpam(communityIds.slice(0, 1), { log: format === "table" ? console.log : console.error });
+      await suspicious(communityIds[0], {
+        minScore: Number(argValue("min-score") || 0),
+        limit: Number(argValue("limit") || 50),
+        format,
+      });
+    } else if (cmd === "spam-list") {
+      await spamList(communityIds[0], process.argv[3]?.startsWith("--") ? undefined : process.argv[3], splitList(process.argv[4]), {
+        note: argValue("note"),
+      });
+    } else if (cmd === "search") {
+      await search(communityIds[0], process.argv[3], {
+        authors: splitList(argValue("author")),
+        window: argValue("window"),
+        from: argValue("from"),
+        to: argValue("to"),
+        sort: argValue("sort") || "relevance",
+        limit: Number(argValue("limit") || 20),
+        offset: Number(argValue("offset") || 0),
+        fuzzy: process.argv.includes("--fuzzy"),
+        includeDeleted: process.argv.includes("--include-deleted"),
+        format: argValue("format") || "table",
+      });
+    } else if (cmd === "insights") {
+      await insights(communityIds[0], {
+        window: argValue("window") || "90d",
+        from: argValue("from"),
+        to: argValue("to"),
+        tz: argValue("tz") || INSIGHTS_TZ,
+        metric: argValue("metric") || "engagement",
+        minSample: Number(argValue("min-sample") || INSIGHTS_MIN_SAMPLE),
+        by: argValue("by"),
+        format: argValue("format") || "table",
+      });
+    } else if (cmd === "watchlist") {
+      const action = process.argv[3]?.startsWith("--") ? undefined : process.argv[3];
+      await watchlist(communityIds[0], action, process.argv.slice(4).filter((x) => !x.startsWith("--")), {
+        window: argValue("window") || "30d",
+        rescan: !process.argv.includes("--no-rescan"),
+      });
+    } else if (cmd === "watch-report") {
+      await watchReport(communityIds[0], {
+        window: argValue("window") || "7d",
+        from: argValue("from"),
+        to: argValue("to"),
+        name: argValue("list"),
+        limit: Number(argValue("limit") || 10),
+        format: argValue("format") || "table",
+      });
+    } else if (cmd === "deleted-report") {
+      await deletedReport(communityIds[0], {
+        window: argValue("window") || "30d",
+        from: argValue("from"),
+        to: argValue("to"),
+        author: argValue("author"),
+        limit: Number(argValue("limit") || 50),
+        format: argValue("format") || "table",
+      });
+    }
+    else if (cmd === "export") {
+      await exportTweets(communityIds, {
+        format: argValue("format") || "csv",
+        out: argValue("out"),
+        window: argValue("window"),
+        from: argValue("from"),
+        to: argValue("to"),
+        authors: splitList(argValue("author")),
+        columns: splitList(argValue("columns")),
+        rawJson: process.argv.includes("--raw-json"),
+      });
+    } else if (cmd === "archive-media") {
+      await archiveMedia(communityIds, {
+        limit: argValue("limit") ? Number(argValue("limit")) : Infinity,
+        retryFailed: process.argv.includes("--retry-failed"),
+      });
+    } else if (cmd === "alerts") await alertHistory(communityIds, { limit: Number(argValue("limit") || 50) });
+    else if (cmd === "alerts-check") {
+      let cfg;
+      try {
+        cfg = loadAlertConfig();
+      } catch (e) {
+        die(e.message);
+      }
+      if (!cfg) die(`No alert config (${ALERTS_CONFIG})`);
+      await checkAlerts(communityIds);
+    } else if (cmd === "thread") {
+      await thread(communityIds[0], process.argv[3], {
+        fetchMissing: !process.argv.includes("--no-fetch"),
+        format: argValue("format") || "tree",
+      });
+    }
+    else if (cmd === "serve") {
+      const portArg = process.argv.find((x) => x.startsWith("--port="));
+      const port = portArg ? Number(portArg.split("=")[1]) : PORT;
+      await serve(communityIds[0], { port });
+    }
     else die(`Unknown command: ${cmd}`);
   } finally {
     // pool закрываем ТОЛЬКО здесь (иначе "Cannot use a pool after calling end")
@@ -0,0 +1,1183 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { COMMUNITY_ID, fixtureFile, needsDb, runParser, runParserAsync, useReplayDb, writeFixture } from "./helpers.js";
+
+describe("commands replayed against recorded fixtures", needsDb, () => {
+  const { db, fixtures, envWith } = useReplayDb();
+
+  const run = (...args) => {
+    const r = runParser(args, envWith());
+    return { ...r, out: r.stdout + r.stderr };
+  };
+
+  const count = async (sql, params) => Number((await db.query(sql, params)).rows[0].count);
+
+  test("doctor checks DB and API", () => {
+    const r = run("doctor");
+    assert.equal(r.status, 0, r.out);
+    assert.match(r.stdout, /returned 20 tweets/);
+  });
+
+  test("backfill pages through a simulated 429 and clears the cursor", async () => {
+    const r = run("backfill");
+    assert.equal(r.status, 0, r.out);
+    assert.match(r.stderr, /429 -> retry/);
+    assert.equal(await count(`SELECT count(*) FROM community_tweets WHERE community_id=$1`, [COMMUNITY_ID]), 30);
+
+    const state = await db.query(`SELECT backfill_cursor FROM ingest_state WHERE community_id=$1`, [COMMUNITY_ID]);
+    assert.equal(state.rows[0].backfill_cursor, null);
+
+    const media = await count(`SELECT count(*) FROM community_tweets WHERE jsonb_array_length(media_urls) > 0`);
+    assert.equal(media, 5);
+  });
+
+  test("ingest-new stops at last_seen_tweet_id", async () => {
+    const top = await db.query(`SELECT tweet_id FROM community_tweets ORDER BY created_at DESC LIMIT 6`);
+    const ids = top.rows.map((x) => x.tweet_id);
+    await db.query(`UPDATE ingest_state SET last_seen_tweet_id=$1`, [ids[5]]);
+    await db.query(`DELETE FROM community_tweets WHERE tweet_id = ANY($1)`, [ids.slice(0, 5)]);
+
+    const r = run("ingest-new");
+    assert.equal(r.status, 0, r.out);
+    assert.match(r.stdout, /page=1 inserted=5 stopped=true/);
+    assert.equal(await count(`SELECT count(*) FROM community_tweets`), 30);
+
+    const state = await db.query(`SELECT last_seen_tweet_id FROM ingest_state`);
+    assert.equal(state.rows[0].last_seen_tweet_id, ids[0]);
+  });
+
+  test("refresh-metrics writes latest metrics and snapshots", async () => {
+    const r = run("refresh-metrics");
+    assert.equal(r.status, 0, r.out);
+    assert.equal(await count(`SELECT count(*) FROM tweet_metrics_latest`), 30);
+    assert.equal(await count(`SELECT count(*) FROM tweet_metrics_snapshots`), 30);
+  });
+
+  test("refresh-plan shows every tweet fresh right after a refresh", async () => {
+    const r = run("refresh-plan", "--format=json");
+    assert.equal(r.status, 0, r.out);
+    const plan = JSON.parse(r.stdout);
+    assert.deepEqual(plan.tweets, []);
+    assert.equal(plan.summary.reduce((n, x) => n + x.fresh, 0), 30);
+    assert.equal(plan.summary.reduce((n, x) => n + x.planned + x.budget, 0), 0);
+
+    assert.match(run("refresh-metrics", "--tiered").stdout, /tiered plan, 0 to update/);
+    const fresh = JSON.parse(run("refresh-plan", "--status=fresh", "--format=json").stdout);
+    assert.equal(fresh.tweets.length, 30);
+
+    // час без обновления: hot снова пора
+    await db.query(`UPDATE tweet_metrics_latest SET updated_at = now() - interval '1 hour' WHERE tweet_id IN (SELECT tweet_id FROM tweet_metrics_latest LIMIT 5)`);
+    const due = JSON.parse(run("refresh-plan", "--format=json").stdout);
+    assert.deepEqual(due.tweets.map((x) => [x.tier, x.status]), Array(5).fill(["hot", "planned"]));
+    assert.equal(due.summary[0].fresh, 25);
+    await db.query(`UPDATE tweet_metrics_latest SET updated_at = now()`);
+  });
+
+  test("refresh-metrics downsamples only the snapshots it touched", async () => {
+    const hour = `date_trunc('hour', now()) - interval '3 hours'`;
+    for (const id of ["1", "1900000000000000001"]) {
+      await db.query(
+        `INSERT INTO tweet_metrics_snapshots (tweet_id, captured_at) VALUES ($1, ${hour} + interval '1 minute'), ($1, ${hour} + interval '2 minutes')`,
+        [id]
+      );
+    }
+    const inHour = (id) => count(`SELECT count(*) FROM tweet_metrics_snapshots WHERE tweet_id=$1 AND captured_at < ${hour} + interval '1 hour'`, [id]);
+
+    assert.equal(run("refresh-metrics", "--force").status, 0);
+    assert.equal(await inHour("1900000000000000001"), 1);
+    assert.equal(await inHour("1"), 2);
+
+    assert.equal(run("prune-snapshots").status, 0);
+    assert.equal(await inHour("1"), 1);
+    await db.query(`DELETE FROM tweet_metrics_snapshots WHERE tweet_id IN ('1', '1900000000000000001') AND captured_at < ${hour} + interval '1 hour'`);
+  });
+
+  test("refresh-users stores authors", async () => {
+    const r = run("refresh-users");
+    assert.equal(r.status, 0, r.out);
+    assert.equal(await count(`SELECT count(*) FROM users`), 8);
+  });
+
+  test("sync-members follows member pages", async () => {
+    const r = run("sync-members");
+    assert.equal(r.status, 0, r.out);
+    assert.equal(await count(`SELECT count(*) FROM community_members WHERE community_id=$1`, [COMMUNITY_ID]), 7);
+  });
+
+  test("a second full sync records joins and departures", async () => {
+    // первый прогон — база, событий нет
+    assert.equal(await count(`SELECT count(*) FROM member_events`), 0);
+
+    const one = await db.query(`SELECT user_id FROM community_members ORDER BY user_id LIMIT 1`);
+    await db.query(`DELETE FROM community_members WHERE user_id=$1`, [one.rows[0].user_id]);
+    await db.query(
+      `INSERT INTO community_members (community_id, user_id, username, joined_at) VALUES ($1, '999', 'gone_user', now() - interval '3 days')`,
+      [COMMUNITY_ID]
+    );
+
+    const r = run("sync-members");
+    assert.equal(r.status, 0, r.out);
+    assert.match(r.stdout, /joined=1 departed=1/);
+
+    const events = await db.query(`SELECT user_id, event FROM member_events ORDER BY event`);
+    assert.deepEqual(events.rows, [
+      { user_id: one.rows[0].user_id, event: "join" },
+      { user_id: "999", event: "leave" },
+    ]);
+    const runs = await db.query(`SELECT status, members, joined, departed FROM member_sync_runs ORDER BY id`);
+    assert.deepEqual(runs.rows.map((x) => x.status), ["complete", "complete"]);
+
+    const report = run("member-report", "--days=2", "--format=json");
+    assert.equal(report.status, 0, report.out);
+    const { periods, activity } = JSON.parse(report.stdout);
+    const today = periods[periods.length - 1];
+    assert.deepEqual([today.joins, today.leaves, today.net, today.members], [1, 1, 0, 7]);
+    assert.equal(activity.find((x) => x.status === "departed").members, 1);
+
+    const gone = JSON.parse(run("member-report", "--list=departed", "--format=json").stdout);
+    assert.deepEqual(gone.map((x) => x.username), ["gone_user"]);
+  });
+
+  test("user-stats reports a window against the previous one with rank, best tweets and streaks", () => {
+    const r = run("user-stats", "user1", "--window=2d", "--format=json");
+    assert.equal(r.status, 0, r.out);
+    const report = JSON.parse(r.stdout);
+    assert.equal(report.posts, 4);
+    assert.equal(report.avg_views, Math.round(report.views / 4));
+    assert.deepEqual(report.comparison.find((x) => x.metric === "posts"), { metric: "posts", current: 4, previous: 0, delta: 4, pct: null });
+    assert.equal(report.rank.of, 8);
+    assert.ok(report.rank.rank >= 1 && report.rank.rank <= 8);
+    assert.equal(report.user_id, "1001");
+    assert.equal(report.best.length + report.worst.length, 4);
+    assert.ok(report.best[0].engagement >= report.worst[0].engagement);
+    assert.equal(report.streaks.current, 1);
+
+    const table = run("user-stats", "user1", "--window=2d");
+    assert.equal(table.status, 0, table.out);
+    assert.match(table.stdout, new RegExp(`rank: #${report.rank.rank} of 8`));
+  });
+
+  test("leaderboard ranks authors as JSON", () => {
+    const r = run("leaderboard", "--window=2d", "--format=json");
+    assert.equal(r.status, 0, r.out);
+    const rows = JSON.parse(r.stdout);
+    assert.equal(rows.length, 8);
+    assert.deepEqual(rows.map((x) => x.rank), [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.ok(rows[0].score >= rows[7].score);
+  });
+
+  test("leaderboard validates numeric flags and freezes the full ranking", async () => {
+    const bad = run("leaderboard", "--limit=abc");
+    assert.equal(bad.status, 1);
+    assert.match(bad.stderr, /--limit must be a non-negative integer/);
+    assert.match(run("leaderboard", "--min-posts=-1").stderr, /--min-posts must be a non-negative integer/);
+
+    const to = new Date().toISOString();
+    const from = new Date(Date.now() - 2 * 86400000).toISOString();
+    const r = run("leaderboard", `--from=${from}`, `--to=${to}`, "--limit=3", "--freeze", "--format=json");
+    assert.equal(r.status, 0, r.out);
+    assert.equal(JSON.parse(r.stdout).length, 3);
+    const id = /snapshot #(\d+)/.exec(r.stderr)[1];
+    assert.equal(await count(`SELECT count(*) FROM leaderboard_entries WHERE snapshot_id=$1`, [id]), 8);
+  });
+
+  test("alert rules fire once per subject and are delivered to webhooks with retries", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "xparser-alerts-"));
+    const port = 20000 + (process.pid % 20000);
+    const received = path.join(dir, "received.ndjson");
+    const sink = spawn(process.execPath, ["parser.js", "alert-sink", `--port=${port}`, `--out=${received}`, "--fail-first=1"], {
+      cwd: path.resolve(import.meta.dirname, ".."),
+      stdio: ["ignore", "ignore", "pipe"],
+    });
+    try {
+      await once(sink.stderr, "data"); // "alert-sink: listening"
+
+      const config = path.join(dir, "alerts.json");
+      const writeConfig = (rules) =>
+        fs.writeFileSync(
+          config,
+          JSON.stringify({
+            webhooks: [
+              { name: "sink", type: "json", url: `http://127.0.0.1:${port}/hook` },
+              { name: "chat", type: "slack", url: `http://127.0.0.1:${port}/slack` },
+            ],
+            rules,
+          })
+        );
+      const env = envWith({ ALERTS_CONFIG: config, ALERT_RETRY_BASE_MS: "10" });
+
+      // правило без числового порога — ошибка конфига, иначе "(> undefined)" по каждому твиту
+      for (const [rule, error] of [
+        [{ name: "viral", type: "tweet_metric", metric: "views" }, /rule viral needs numeric gt/],
+        [{ name: "regular", type: "user_posts", gte: "4" }, /rule regular needs numeric gte/],
+        [{ name: "viral", type: "tweet_metric", metric: "views", gt: 1, within_hours: "6" }, /rule viral needs numeric within_hours/],
+        [{ name: "viral", type: "tweet_metric", metric: "views", gt: 1, within_hours: 0 }, /within_hours must be > 0/],
+      ]) {
+        writeConfig([rule]);
+        const r = runParser(["alerts-check"], env);
+        assert.equal(r.status, 1, r.stdout + r.stderr);
+        assert.match(r.stderr, error);
+      }
+      assert.equal(await count(`SELECT count(*) FROM alert_firings`), 0);
+
+      writeConfig([
+        { name: "viral", type: "tweet_metric", metric: "views", gt: 2800, within_hours: 48 },
+        { name: "regular", type: "user_posts", gte: 4, webhooks: ["sink"] },
+      ]);
+
+      // первая проверка для user_posts — только отметка: тех, кто уже за порогом, не алертим
+      const r = runParser(["alerts-check"], env);
+      assert.equal(r.status, 0, r.stdout + r.stderr);
+      const firings = await db.query(`SELECT rule_name, count(*)::int AS n FROM alert_firings GROUP BY 1 ORDER BY 1`);
+      assert.deepEqual(firings.rows, [{ rule_name: "viral", n: 3 }]);
+      const deliveries = await db.query(`SELECT status, count(*)::int AS n, sum(attempts)::int AS attempts FROM alert_deliveries GROUP BY 1`);
+      assert.deepEqual(deliveries.rows, [{ status: "delivered", n: 3 * 2, attempts: 3 * 2 + 1 }]);
+
+      const posts = () => fs.readFileSync(received, "utf8").trim().split("\n").map((x) => JSON.parse(x));
+      assert.equal(posts().length, 3 * 2 + 1);
+      assert.ok(posts().some((x) => x.path === "/slack" && /^\[viral\] @user\d: \d+ views/.test(x.body.text)));
+
+      // автор под порогом добирает до него новыми постами; удалённый пост не в счёт
+      const [below] = (
+        await db.query(
+          `SELECT lower(author_username) AS username, count(*)::int AS n FROM community_tweets
+           WHERE deleted_at IS NULL GROUP BY 1 HAVING count(*) < 4 ORDER BY 2 DESC, 1 LIMIT 1`
+        )
+      ).rows;
+      let next = 800;
+      const post = (deleted = false) =>
+        db.query(
+          `INSERT INTO community_tweets (community_id, tweet_id, created_at, author_username, text, deleted_at)
+           VALUES ($1, $2, now(), $3, 'one more', CASE WHEN $4 THEN now() END)`,
+          [COMMUNITY_ID, `1900000000000000${next++}`, below.username, deleted]
+        );
+      for (let i = below.n; i < 3; i++) await post();
+      await post(true);
+      assert.equal(runParser(["alerts-check"], env).status, 0);
+      assert.equal(await count(`SELECT count(*) FROM alert_firings WHERE rule_name = 'regular'`), 0);
+
+      await post();
+      assert.equal(runParser(["alerts-check"], env).status, 0);
+      const regular = await db.query(`SELECT subject, data FROM alert_firings WHERE rule_name = 'regular'`);
+      assert.deepEqual(regular.rows, [{ subject: below.username, data: { username: below.username, posts: 4 } }]);
+      assert.equal(await count(`SELECT count(*) FROM alert_deliveries WHERE status = 'delivered'`), 3 * 2 + 1);
+      assert.ok(posts().some((x) => x.path === "/hook" && x.body.rule === "regular" && x.body.data.posts === 4));
+
+      // повторная проверка ничего не шлёт
+      const seen = posts().length;
+      assert.equal(runParser(["alerts-check"], env).status, 0);
+      assert.equal(await count(`SELECT count(*) FROM alert_deliveries`), 3 * 2 + 1);
+      assert.equal(posts().length, seen);
+
+      // битый alerts.json не роняет ingest-new, только предупреждение
+      fs.writeFileSync(config, "{ not json");
+      const broken = runParser(["ingest-new"], env);
+      assert.equal(broken.status, 0, broken.stdout + broken.stderr);
+      assert.match(broken.stderr, /alerts: check failed: .*alerts\.json/);
+    } finally {
+      sink.kill();
+      fs.rmSync(dir, { recursive: true, force: true });
+      await db.query(`DELETE FROM community_tweets WHERE tweet_id LIKE '19000000000000008%'`);
+    }
+  });
+
+  test("export streams tweets to csv, ndjson and parquet", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "xparser-export-"));
+    try {
+      // галочка приходит в профиле участника -> author_verified
+      for (const cursor of [null, "5"]) {
+        const file = fixtureFile(fixtures.dir, "/twitter/community/members", { community_id: COMMUNITY_ID, cursor });
+        const fx = JSON.parse(fs.readFileSync(file, "utf8"));
+        const body = JSON.parse(fx.responses[0].body);
+        for (const m of body.members) m.isBlueVerified = m.userName === "user1";
+        fx.responses[0].body = JSON.stringify(body);
+        fs.writeFileSync(file, JSON.stringify(fx));
+      }
+      assert.equal(run("sync-members").status, 0);
+
+      const csv = run("export", "--columns=tweet_id,author_username,like_count", "--author=user1");
+      assert.equal(csv.status, 0, csv.out);
+      const lines = csv.stdout.trim().split("\n");
+      assert.equal(lines[0], "tweet_id,author_username,like_count");
+      assert.equal(lines.length, 1 + 4);
+
+      const ndjson = path.join(dir, "tweets.ndjson");
+      assert.equal(run("export", "--format=ndjson", `--out=${ndjson}`, "--raw-json").status, 0);
+      const rows = fs.readFileSync(ndjson, "utf8").trim().split("\n").map((x) => JSON.parse(x));
+      assert.equal(rows.length, 30);
+      assert.equal(typeof rows[0].view_count, "number");
+      assert.equal(rows[0].raw_json.id, rows[0].tweet_id);
+      const verified = rows.filter((x) => x.author_verified).map((x) => x.author_username);
+      assert.deepEqual([...new Set(verified)], ["user1"]);
+      assert.ok(rows.some((x) => x.author_verified === false));
+
+      const parquet = path.join(dir, "tweets.parquet");
+      const r = run("export", "--format=parquet", `--out=${parquet}`);
+      assert.equal(r.status, 0, r.out);
+      assert.match(r.stderr, /export: 30 tweets/);
+      const buf = fs.readFileSync(parquet);
+      assert.equal(buf.subarray(0, 4).toString(), "PAR1");
+      assert.equal(buf.subarray(-4).toString(), "PAR1");
+
+      assert.equal(run("export", "--columns=nope").status, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("entities are extracted at ingest and rebuilt by reindex-entities", async () => {
+    const byKind = async () =>
+      (await db.query(`SELECT kind, count(*)::int AS n FROM tweet_entities GROUP BY kind ORDER BY kind`)).rows;
+    const expected = [
+      { kind: "cashtag", n: 30 },
+      { kind: "hashtag", n: 30 },
+      { kind: "mention", n: 30 },
+      { kind: "url", n: 30 },
+    ];
+    assert.deepEqual(await byKind(), expected);
+
+    await db.query(`DELETE FROM tweet_entities`);
+    const r = run("reindex-entities");
+    assert.equal(r.status, 0, r.out);
+    assert.deepEqual(await byKind(), expected);
+
+    const tags = JSON.parse(run("trending-hashtags", "--window=2d", "--format=json").stdout);
+    assert.deepEqual(tags.map((x) => [x.hashtag, x.tweets]), [["bulk", 30]]);
+
+    const mentions = JSON.parse(run("top-mentions", "--window=2d", "--by=engagement", "--format=json").stdout);
+    assert.equal(mentions.length, 8);
+    assert.ok(mentions[0].engagement >= mentions[7].engagement);
+  });
+
+  test("thread rebuilds the reply tree and fetches a parent from outside the community", async () => {
+    const reply = await db.query(`SELECT tweet_id, in_reply_to_tweet_id, conversation_id FROM community_tweets WHERE tweet_id='1900000000000000007'`);
+    assert.deepEqual(reply.rows[0], {
+      tweet_id: "1900000000000000007",
+      in_reply_to_tweet_id: "1900000000000000008",
+      conversation_id: "1900000000000000008",
+    });
+
+    // делаем #8 ответом на твит, которого нет в сообществе (есть fixture /twitter/tweets для него)
+    const outside = "1800000000000000001";
+    await db.query(`UPDATE community_tweets SET conversation_id=$1 WHERE tweet_id IN ('1900000000000000007','1900000000000000008')`, [outside]);
+    await db.query(`UPDATE community_tweets SET in_reply_to_tweet_id=$1 WHERE tweet_id='1900000000000000008'`, [outside]);
+
+    const r = run("thread", "1900000000000000007", "--format=json");
+    assert.equal(r.status, 0, r.out);
+    const t = JSON.parse(r.stdout);
+    assert.equal(t.tree.tweet_id, outside);
+    assert.equal(t.tree.in_community, false);
+    assert.equal(t.tree.replies[0].tweet_id, "1900000000000000008");
+    assert.equal(t.tree.replies[0].replies[0].tweet_id, "1900000000000000007");
+    assert.deepEqual(t.stats, { tweets: 3, replies: 2, participants: 3, max_depth: 2, quotes: 0, missing_parents: 0, fetched: 1 });
+    assert.equal(await count(`SELECT count(*) FROM external_tweets`), 1);
+
+    // ответ без reply-полей не стирает уже известные связи
+    for (const f of fs.readdirSync(fixtures.dir).filter((x) => x.startsWith("twitter_community_tweets-"))) {
+      const file = path.join(fixtures.dir, f);
+      const fx = JSON.parse(fs.readFileSync(file, "utf8"));
+      for (const resp of fx.responses) {
+        if (resp.status !== 200) continue;
+        const body = JSON.parse(resp.body);
+        for (const tw of body.tweets) if (tw.id === "1900000000000000007") for (const k of ["conversationId", "isReply", "inReplyToId"]) delete tw[k];
+        resp.body = JSON.stringify(body);
+      }
+      fs.writeFileSync(file, JSON.stringify(fx));
+    }
+    assert.equal(run("backfill").status, 0);
+    const kept = await db.query(`SELECT in_reply_to_tweet_id, conversation_id FROM community_tweets WHERE tweet_id='1900000000000000007'`);
+    assert.deepEqual(kept.rows[0], { in_reply_to_tweet_id: "1900000000000000008", conversation_id: outside });
+  });
+
+  test("sync-24h ingests and refreshes in one go", () => {
+    const r = run("sync-24h");
+    assert.equal(r.status, 0, r.out);
+    assert.match(r.stdout, /refresh-metrics done/);
+  });
+
+  test("run --once executes due jobs and skips ones locked by another instance", async () => {
+    await db.query(`SELECT pg_advisory_lock(hashtext('xparser:job:ingest'))`);
+    const r = run("run", "--once");
+    await db.query(`SELECT pg_advisory_unlock(hashtext('xparser:job:ingest'))`);
+    assert.equal(r.status, 0, r.out);
+    assert.match(r.stdout, /ingest is running in another instance/);
+
+    const jobs = await db.query(`SELECT job, status FROM job_runs ORDER BY id`);
+    assert.deepEqual(
+      jobs.rows.map((x) => x.job),
+      ["metrics", "users", "members", "gaps"]
+    );
+    assert.ok(jobs.rows.every((x) => x.status === "ok"));
+  });
+
+  test("replay fails loudly when a fixture is missing", () => {
+    const r = run("backfill", "--community=404");
+    assert.equal(r.status, 1);
+    assert.match(r.stderr, /No fixture for GET \/twitter\/community\/tweets/);
+  });
+
+  test("a failed job goes to job_runs, not into the daemon's exit status", async () => {
+    const off = Object.fromEntries(["METRICS", "USERS", "MEMBERS", "SPAM", "GAPS"].map((x) => [`RUN_${x}_EVERY_MIN`, "0"]));
+    const r = runParser(["run", "--once", "--community=404"], envWith(off));
+    assert.equal(r.status, 0, r.stdout + r.stderr);
+    const last = await db.query(`SELECT job, status, error FROM job_runs ORDER BY id DESC LIMIT 1`);
+    assert.equal(last.rows[0].job, "ingest");
+    assert.equal(last.rows[0].status, "error");
+    assert.match(last.rows[0].error, /^404: No fixture/);
+
+    assert.match(run("job-history", "--limit=x").stderr, /--limit must be a non-negative integer/);
+  });
+
+  test("read-only commands run without a TwitterAPI key", () => {
+    const env = envWith({ TWITTERAPI_MODE: "live" });
+    const commands = [
+      ["leaderboard", "--format=json"], ["leaderboard-snapshots"], ["trending-hashtags"], ["top-mentions"], ["reindex-entities"],
+      ["member-report"], ["deleted-report"], ["suspicious"], ["spam-list"], ["alerts"], ["job-history"], ["api-usage"],
+      ["metric-history", "1900000000000000001"], ["velocity"], ["export", "--columns=tweet_id"],
+      ["thread", "1900000000000000001", "--no-fetch"],
+    ];
+    for (const args of commands) {
+      const r = runParser(args, env);
+      assert.equal(r.status, 0, `${args[0]}: ${r.stdout}${r.stderr}`);
+    }
+  });
+});
+
+describe("multiple communities", needsDb, () => {
+  const OTHER_ID = "1600000000000000001";
+  const { db, fixtures, envWith } = useReplayDb();
+
+  before(() => {
+    // второе сообщество отдаёт те же две страницы (без 429)
+    for (const cursor of [null, "20"]) {
+      const fx = JSON.parse(fs.readFileSync(fixtureFile(fixtures.dir, "/twitter/community/tweets", { community_id: COMMUNITY_ID, cursor }), "utf8"));
+      const bodies = fx.responses.filter((r) => r.status === 200).map((r) => JSON.parse(r.body));
+      writeFixture(fixtures.dir, "/twitter/community/tweets", { community_id: OTHER_ID, cursor }, ...bodies);
+    }
+  });
+
+  const run = (...args) => runParser(args, envWith());
+
+  test("backfill takes pages of several communities in turn and reports each one", async () => {
+    const r = run("backfill", `--community=${COMMUNITY_ID},${OTHER_ID}`);
+    assert.equal(r.status, 0, r.stdout + r.stderr);
+    assert.deepEqual(r.stdout.match(/backfill \[\d+\] page=\d+/g), [
+      `backfill [${COMMUNITY_ID}] page=1`,
+      `backfill [${OTHER_ID}] page=1`,
+      `backfill [${COMMUNITY_ID}] page=2`,
+      `backfill [${OTHER_ID}] page=2`,
+    ]);
+    const table = r.stdout.slice(r.stdout.indexOf("backfill results:"));
+    assert.match(table, new RegExp(`${COMMUNITY_ID}.*\\b2\\b.*\\b30\\b.*no next page`));
+    assert.match(table, new RegExp(`${OTHER_ID}.*\\b2\\b.*\\b30\\b.*no next page`));
+
+    const rows = await db.query(`SELECT community_id, count(*)::int AS n FROM community_tweets GROUP BY 1 ORDER BY 1`);
+    assert.deepEqual(rows.rows, [
+      { community_id: COMMUNITY_ID, n: 30 },
+      { community_id: OTHER_ID, n: 30 },
+    ]);
+  });
+
+  test("--all-communities covers registered communities, read commands reject unknown ids", async () => {
+    const r = run("ingest-new", "--all-communities");
+    assert.equal(r.status, 0, r.stdout + r.stderr);
+    assert.match(r.stdout, new RegExp(`ingest-new \\[${COMMUNITY_ID}\\] page=1`));
+    assert.match(r.stdout, new RegExp(`ingest-new \\[${OTHER_ID}\\] page=1`));
+
+    const typo = run("leaderboard", "--community=1493446837214187", "--format=json");
+    assert.equal(typo.status, 1);
+    assert.match(typo.stderr, /Unknown community: 1493446837214187/);
+    const known = await db.query(`SELECT community_id FROM communities ORDER BY 1`);
+    assert.deepEqual(known.rows.map((x) => x.community_id), [COMMUNITY_ID, OTHER_ID]);
+
+    assert.equal(run("leaderboard", `--community=${OTHER_ID}`, "--format=json").status, 0);
+  });
+
+  test("tiered refresh splits the remaining daily budget between communities", async () => {
+    // по батчу на твит: план каждого сообщества меряется запросами
+    for (const cursor of [null, "20"]) {
+      const fx = JSON.parse(fs.readFileSync(fixtureFile(fixtures.dir, "/twitter/community/tweets", { community_id: COMMUNITY_ID, cursor }), "utf8"));
+      const { tweets } = JSON.parse(fx.responses.find((r) => r.status === 200).body);
+      for (const t of tweets) writeFixture(fixtures.dir, "/twitter/tweets", { tweet_ids: t.id }, { tweets: [t] });
+    }
+
+    const used = (await db.query(`SELECT COALESCE(sum(requests), 0)::int AS n FROM api_usage`)).rows[0].n;
+    const r = runParser(
+      ["refresh-metrics", "--tiered", "--all-communities"],
+      envWith({ DAILY_REQUEST_BUDGET: String(used + 2), BATCH_TWEET_IDS: "1" })
+    );
+    assert.equal(r.status, 0, r.stdout + r.stderr);
+    for (const id of [COMMUNITY_ID, OTHER_ID]) {
+      assert.match(r.stdout, new RegExp(`refresh-metrics \\[${id}\\]: tiered plan, 1 to update, \\d+ skipped by budget \\(share 1 requests\\)`));
+    }
+    assert.doesNotMatch(r.stdout + r.stderr, /budget exhausted/);
+    assert.equal((await db.query(`SELECT sum(requests)::int AS n FROM api_usage`)).rows[0].n, used + 2);
+  });
+});
+
+describe("serve", needsDb, () => {
+  let server;
+  let base;
+  // раньше after() из useReplayDb: базу дропаем, когда сервер уже вышел
+  after(async () => {
+    if (server && server.exitCode === null) {
+      server.kill();
+      await once(server, "exit");
+    }
+  });
+  const { db, run } = useReplayDb();
+
+  before(async () => {
+    run("backfill");
+
+    const probe = net.createServer().listen(0, "127.0.0.1");
+    await once(probe, "listening");
+    const port = probe.address().port;
+    await new Promise((resolve) => probe.close(resolve));
+
+    server = spawn(process.execPath, ["parser.js", "serve", `--port=${port}`], {
+      cwd: path.resolve(import.meta.dirname, ".."),
+      env: { ...process.env, DATABASE_URL: db.url, COMMUNITY_ID, TWITTERAPI_IO_KEY: "" },
+      stdio: ["ignore", "pipe", "inherit"],
+    });
+    await once(server.stdout, "data"); // "serve: listening"
+    base = `http://127.0.0.1:${port}`;
+  });
+
+  const get = async (url) => {
+    const res = await fetch(base + url);
+    return { status: res.status, body: await res.json() };
+  };
+
+  test("/api/tweets pages newest first through next_cursor", async () => {
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+      const r = await get(`/api/tweets?limit=12${cursor ? `&cursor=${cursor}` : ""}`);
+      assert.equal(r.status, 200, JSON.stringify(r.body));
+      assert.ok(r.body.tweets.length <= 12);
+      seen.push(...r.body.tweets);
+      cursor = r.body.next_cursor;
+      pages++;
+    } while (cursor);
+
+    assert.equal(pages, 3);
+    assert.equal(seen.length, 30);
+    assert.equal(new Set(seen.map((t) => t.tweet_id)).size, 30);
+    const order = seen.map((t) => [Date.parse(t.created_at), BigInt(t.tweet_id)]);
+    assert.ok(order.every(([c, id], i) => i === 0 || c < order[i - 1][0] || (c === order[i - 1][0] && id < order[i - 1][1])));
+
+    const one = await get(`/api/tweets/${seen[0].tweet_id}`);
+    assert.equal(one.status, 200);
+    assert.equal(one.body.text, seen[0].text);
+
+    const byAuthor = await get(`/api/tweets?author=${seen[0].author_username}`);
+    assert.ok(byAuthor.body.tweets.length > 0);
+    assert.ok(byAuthor.body.tweets.every((t) => t.author_username === seen[0].author_username));
+  });
+
+  test("bad parameters are rejected with 400, missing rows with 404", async () => {
+    const cases = [
+      ["/api/tweets?limit=0", 400, /^limit must be an integer between 1 and \d+$/],
+      ["/api/tweets?limit=abc", 400, /^limit must be/],
+      ["/api/tweets?cursor=zzz", 400, /^invalid cursor$/],
+      ["/api/tweets?from=bad", 400, /^from must be an ISO date$/],
+      ["/api/tweets?has_media=maybe", 400, /^has_media must be true or false$/],
+      ["/api/tweets?author=not-a-handle!", 400, /^invalid username$/],
+      ["/api/users/not-a-handle!", 400, /^invalid username$/],
+      ["/api/tweets/abc", 400, /^invalid tweet id$/],
+      ["/api/tweets/123", 404, /^tweet not found$/],
+      ["/api/users/nobody_here", 404, /^user not found$/],
+      ["/api/nope", 404, /^not found$/],
+    ];
+    for (const [url, status, error] of cases) {
+      const r = await get(url);
+      assert.equal(r.status, status, url);
+      assert.match(r.body.error, error, url);
+    }
+  });
+});
+
+describe("page writes are atomic", needsDb, () => {
+  const { db, fixtures, envWith } = useReplayDb();
+
+  test("a failed page leaves the backfill cursor on the last written page", async () => {
+    // NUL in text is rejected by Postgres -> the second page's transaction fails
+    for (const f of fs.readdirSync(fixtures.dir)) {
+      const file = path.join(fixtures.dir, f);
+      const fx = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (fx.path !== "/twitter/community/tweets" || fx.params.cursor !== "20") continue;
+      for (const res of fx.responses) {
+        if (res.status !== 200) continue;
+        const body = JSON.parse(res.body);
+        body.tweets[3].text = "broken\u0000text";
+        res.body = JSON.stringify(body);
+      }
+      fs.writeFileSync(file, JSON.stringify(fx));
+    }
+
+    const r = runParser(["backfill"], envWith());
+    assert.equal(r.status, 1, r.stdout + r.stderr);
+
+    const tweets = await db.query(`SELECT count(*)::int AS n FROM community_tweets`);
+    assert.equal(tweets.rows[0].n, 20);
+    const state = await db.query(`SELECT backfill_cursor FROM ingest_state WHERE community_id=$1`, [COMMUNITY_ID]);
+    assert.equal(state.rows[0].backfill_cursor, "20");
+  });
+});
+
+describe("daily request budget", needsDb, () => {
+  const { db, run } = useReplayDb({ env: { DAILY_REQUEST_BUDGET: "1" } });
+
+  test("backfill stops cleanly once the budget is spent", async () => {
+    assert.match(run("backfill").stderr, /daily request budget exhausted \(1\/1\)/);
+
+    const tweets = await db.query(`SELECT count(*)::int AS n FROM community_tweets`);
+    assert.equal(tweets.rows[0].n, 20);
+    const usage = await db.query(`SELECT command, requests, failed FROM api_usage`);
+    assert.deepEqual(usage.rows, [{ command: "backfill", requests: 1, failed: 0 }]);
+
+    assert.match(run("api-usage").stdout, /today: 1\/1 requests \(0 left\)/);
+  });
+});
+
+describe("deleted tweets", needsDb, () => {
+  const { db, fixtures, run } = useReplayDb({ env: { DELETED_AFTER_MISSES: "2" } });
+
+  test("tweets missing from refreshes are marked deleted, left out of stats and reported per author", async () => {
+    run("backfill");
+
+    // API перестаёт отдавать один твит user2
+    const file = path.join(fixtures.dir, "twitter_tweets-5be07f263a71.json");
+    const fx = JSON.parse(fs.readFileSync(file, "utf8"));
+    const body = JSON.parse(fx.responses[0].body);
+    const [gone] = body.tweets.splice(body.tweets.findIndex((t) => t.author.userName === "user2"), 1);
+    fx.responses[0].body = JSON.stringify(body);
+    fs.writeFileSync(file, JSON.stringify(fx));
+
+    assert.match(run("refresh-metrics", "--force").stdout, /missing=1 newly deleted=0/);
+    assert.match(run("refresh-metrics", "--force").stdout, /missing=1 newly deleted=1/);
+    const row = await db.query(`SELECT missing_count, deleted_at FROM community_tweets WHERE tweet_id=$1`, [gone.id]);
+    assert.equal(row.rows[0].missing_count, 2);
+    assert.ok(row.rows[0].deleted_at);
+
+    const posts = (args) => JSON.parse(run("leaderboard", "--window=2d", "--format=json", ...args).stdout).find((x) => x.username === "user2").posts;
+    assert.equal(posts(["--include-deleted"]) - posts([]), 1);
+
+    await db.query(
+      `INSERT INTO community_tweets (community_id, tweet_id, created_at, author_username, text) VALUES ($1, '1900000000000000999', now(), 'user2', $2)`,
+      [COMMUNITY_ID, gone.text]
+    );
+    const report = JSON.parse(run("deleted-report", "--format=json").stdout);
+    assert.deepEqual(report.map((x) => [x.username, x.deleted, x.reposted]), [["user2", 1, 1]]);
+    const list = JSON.parse(run("deleted-report", "--author=user2", "--format=json").stdout);
+    assert.deepEqual(list.map((x) => [x.tweet_id, x.reposted]), [[gone.id, true]]);
+
+    // снова попал в ленту -> не удалён
+    run("backfill");
+    const back = await db.query(`SELECT missing_count, deleted_at FROM community_tweets WHERE tweet_id=$1`, [gone.id]);
+    assert.deepEqual(back.rows[0], { missing_count: 0, deleted_at: null });
+
+    // удалённый снова спрашиваем раз в DELETED_RECHECK_EVERY_MIN: вернулся -> не удалён
+    await db.query(`DELETE FROM community_tweets WHERE tweet_id = '1900000000000000999'`);
+    await db.query(
+      `UPDATE community_tweets SET missing_count = 2, deleted_at = now() - interval '8 days', last_missing_at = now() - interval '8 days' WHERE tweet_id=$1`,
+      [gone.id]
+    );
+    body.tweets.push(gone);
+    fx.responses[0].body = JSON.stringify(body);
+    fs.writeFileSync(file, JSON.stringify(fx));
+    assert.match(run("refresh-metrics", "--force").stdout, /tweets to update = 30/);
+    const rechecked = await db.query(`SELECT missing_count, deleted_at FROM community_tweets WHERE tweet_id=$1`, [gone.id]);
+    assert.deepEqual(rechecked.rows[0], { missing_count: 0, deleted_at: null });
+  });
+});
+
+describe("user history", needsDb, () => {
+  const { db, fixtures, run } = useReplayDb();
+
+  test("user-history keeps follower changes and past handles by user_id", async () => {
+    run("backfill");
+    run("refresh-users");
+    run("sync-members");
+
+    // user1 переименовался и подрос
+    const file = path.join(fixtures.dir, "twitter_community_members-9a6ecaa132f7.json");
+    const fx = JSON.parse(fs.readFileSync(file, "utf8"));
+    const body = JSON.parse(fx.responses[0].body);
+    Object.assign(body.members.find((m) => m.userName === "user1"), { userName: "user1_new", followers: 4100 });
+    fx.responses[0].body = JSON.stringify(body);
+    fs.writeFileSync(file, JSON.stringify(fx));
+    run("sync-members");
+
+    const history = JSON.parse(run("user-history", "user1", "--format=json").stdout);
+    assert.equal(history.user_id, "1001");
+    assert.equal(history.username, "user1_new");
+    assert.deepEqual(history.handles.map((x) => x.username), ["user1", "user1_new"]);
+    assert.deepEqual(
+      history.history.map((x) => [x.source, x.followers, x.changed]),
+      [
+        ["refresh-users", 4008, "first seen"],
+        ["sync-members", 4000, "followers"],
+        ["sync-members", 4100, "username,followers"],
+      ]
+    );
+    assert.deepEqual(history.followers, { ...history.followers, first: 4008, last: 4100, change: 92 });
+  });
+
+  test("refresh-users follows a renamed author by user_id when the old handle belongs to someone else", async () => {
+    // знаем только старый handle, а его уже занял другой аккаунт
+    await db.query(`UPDATE users SET updated_at = now()`);
+    await db.query(`UPDATE users SET username = 'user1', updated_at = now() - interval '8 days' WHERE user_id = '1001'`);
+    writeFixture(fixtures.dir, "/twitter/user/info", { userName: "user1" }, {
+      status: "success",
+      data: { id: "2001", userName: "user1", name: "Someone else", followers: 12 },
+    });
+    writeFixture(fixtures.dir, "/twitter/user/batch_info_by_ids", { userIds: "1001" }, {
+      status: "success",
+      users: [{ id: "1001", userName: "user1_new", name: "User 1", followers: 4200, following: 10 }],
+    });
+
+    const r = run("refresh-users", "--all");
+    assert.match(r.stdout, /@user1 -> @user1_new/);
+    assert.match(r.stdout, /refresh-users ok @user1_new/);
+    assert.doesNotMatch(r.stderr, /refresh-users fail/);
+    const u = await db.query(`SELECT user_id, username, followers FROM users WHERE user_id IN ('1001', '2001') ORDER BY user_id`);
+    assert.deepEqual(u.rows, [{ user_id: "1001", username: "user1_new", followers: "4200" }]);
+  });
+
+  test("user-stats counts a renamed author's old tweets and resolves handles within the community", async () => {
+    const stats = (name) => JSON.parse(run("user-stats", name, "--window=all", "--format=json").stdout);
+    // твиты записаны под @user1, автор теперь @user1_new
+    const renamed = stats("user1_new");
+    assert.equal(renamed.user_id, "1001");
+    assert.equal(renamed.posts, 4);
+    assert.equal(renamed.active_days, 1);
+    assert.equal(renamed.streaks.current, 1);
+
+    // старый handle занял аккаунт не из сообщества: он не в счёт, @user1 — всё ещё наш 1001
+    await db.query(`INSERT INTO users (user_id, username, updated_at) VALUES ('9001', 'user1', now())`);
+    const old = stats("user1");
+    assert.equal(old.user_id, "1001");
+    assert.equal(old.posts, 4);
+  });
+});
+
+describe("coverage gaps", needsDb, () => {
+  const { db, envWith } = useReplayDb();
+
+  test("ingest-new records a hole when it stops short, heal-gaps closes it", async () => {
+    const run = (args, extra = {}) => {
+      const r = runParser(args, envWith(extra));
+      assert.equal(r.status, 0, r.stdout + r.stderr);
+      return r;
+    };
+    run(["backfill"]);
+
+    // демон лежал: собрано только до 4-го твита второй страницы, до него одной страницей не дочитать
+    const all = await db.query(`SELECT tweet_id, created_at FROM community_tweets ORDER BY created_at DESC`);
+    const kept = all.rows[23];
+    await db.query(`DELETE FROM community_tweets WHERE created_at > $1`, [kept.created_at]);
+    await db.query(`UPDATE ingest_state SET last_seen_tweet_id = $1`, [kept.tweet_id]);
+
+    assert.match(run(["ingest-new"], { INGEST_MAX_PAGES: "1" }).stdout, /gap .* \(page limit\), run heal-gaps/);
+    const gaps = await db.query(`SELECT gap_from, gap_to, status, cursor FROM coverage_gaps`);
+    assert.deepEqual(gaps.rows, [{ gap_from: kept.created_at, gap_to: all.rows[19].created_at, status: "pending", cursor: "20" }]);
+
+    const ranges = JSON.parse(run(["coverage", "--format=json"]).stdout);
+    assert.ok(ranges.some((x) => x.status === "partial"));
+
+    assert.match(run(["heal-gaps"]).stdout, /inserted=3 closed/);
+    const healed = await db.query(`SELECT status, pages, inserted FROM coverage_gaps`);
+    assert.deepEqual(healed.rows, [{ status: "closed", pages: 1, inserted: 3 }]);
+    assert.equal(Number((await db.query(`SELECT count(*) FROM community_tweets`)).rows[0].count), 30);
+    assert.ok(JSON.parse(run(["coverage", "--by=day", "--format=json"]).stdout).every((x) => x.status !== "partial" && x.status !== "gap"));
+
+    // last_seen удалён, но страница заходит в уже собранное -> дыры нет
+    await db.query(`UPDATE ingest_state SET last_seen_tweet_id = '1'`);
+    assert.match(run(["ingest-new"], { INGEST_MAX_PAGES: "1" }).stdout, /stopped=false/);
+    assert.equal(Number((await db.query(`SELECT count(*) FROM coverage_gaps`)).rows[0].count), 1);
+  });
+
+  test("ingest-new records a hole up to the cutoff when every new tweet is too old", async () => {
+    const run = (args, extra = {}) => {
+      const r = runParser(args, envWith(extra));
+      assert.equal(r.status, 0, r.stdout + r.stderr);
+      return r;
+    };
+    await db.query(`DELETE FROM coverage_gaps`);
+    run(["backfill"]);
+
+    // демон лежал дольше INGEST_MAX_HOURS: даже самый новый твит ленты старше cutoff
+    const all = await db.query(`SELECT tweet_id, created_at FROM community_tweets ORDER BY created_at DESC`);
+    const kept = all.rows[5];
+    await db.query(`DELETE FROM community_tweets WHERE created_at > $1`, [kept.created_at]);
+    await db.query(`UPDATE ingest_state SET last_seen_tweet_id = $1`, [kept.tweet_id]);
+
+    const r = run(["ingest-new"], { INGEST_MAX_HOURS: "0.0005" });
+    assert.match(r.stdout, /inserted=0 .*foundOldTweet=true/);
+    assert.match(r.stdout, /gap .* \(cutoff\), run heal-gaps/);
+    const gaps = await db.query(`SELECT gap_from, gap_to, reason, cursor FROM coverage_gaps`);
+    assert.equal(gaps.rows.length, 1);
+    assert.deepEqual(gaps.rows[0].gap_from, kept.created_at);
+    assert.ok(gaps.rows[0].gap_to > all.rows[0].created_at);
+    assert.equal(gaps.rows[0].reason, "cutoff");
+    assert.equal(gaps.rows[0].cursor, null);
+
+    assert.match(run(["heal-gaps"]).stdout, /inserted=5 closed/);
+    assert.equal(Number((await db.query(`SELECT count(*) FROM community_tweets`)).rows[0].count), 30);
+  });
+});
+
+describe("media archive", needsDb, () => {
+  const images = path.resolve(import.meta.dirname, "fixtures", "media");
+  const { db, envWith } = useReplayDb({ fixtures: false });
+  let server;
+  let base;
+  let dir;
+  let lateReady = false;
+  const puts = [];
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "xparser-media-"));
+    server = http.createServer((req, res) => {
+      if (req.method === "PUT") {
+        const parts = [];
+        req.on("data", (c) => parts.push(c));
+        req.on("end", () => {
+          puts.push({ path: req.url, headers: req.headers, body: Buffer.concat(parts) });
+          res.end();
+        });
+        return;
+      }
+      // /copy/ отдаёт те же байты под другим url; /late/ появляется только после первого прогона
+      const file = { "/img/photo.png": "photo.png", "/copy/photo.png": "photo.png", "/img/thumb.gif": "thumb.gif", "/img/photo.jpg": "photo.jpg" }[req.url];
+      if (file || (req.url === "/late/thumb.gif" && lateReady)) return res.end(fs.readFileSync(path.join(images, file || "thumb.gif")));
+      res.statusCode = 404;
+      res.end();
+    });
+    server.listen(0, "127.0.0.1");
+    await once(server, "listening");
+    base = `http://127.0.0.1:${server.address().port}`;
+
+    const tweets = {
+      "1": ["/img/photo.png", "/img/thumb.gif"],
+      "2": ["/copy/photo.png", "/late/thumb.gif"],
+      "3": ["/img/photo.jpg"],
+    };
+    for (const [id, urls] of Object.entries(tweets)) {
+      await db.query(`INSERT INTO community_tweets (community_id, tweet_id, media_urls) VALUES ($1, $2, $3::jsonb)`, [
+        COMMUNITY_ID,
+        id,
+        JSON.stringify(urls.map((u) => base + u)),
+      ]);
+    }
+  });
+
+  after(async () => {
+    server?.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("archive-media stores images once per content hash and resumes where it stopped", async () => {
+    const env = envWith({ MEDIA_DIR: dir, MEDIA_MAX_ATTEMPTS: "1" });
+
+    let r = await runParserAsync(["archive-media", "--limit=2"], env);
+    assert.equal(r.status, 0, r.stdout + r.stderr);
+    assert.match(r.stdout, /queued=5 archived=2 stored=2 deduped=0 failed=0 pending=3/);
+
+    r = await runParserAsync(["archive-media"], env);
+    assert.equal(r.status, 0, r.stdout + r.stderr);
+    assert.match(r.stdout, /queued=0 archived=2 stored=1 deduped=1 failed=1 pending=0/);
+    assert.match(r.stderr, /late\/thumb.gif: HTTP 404 \(giving up\)/);
+
+    const files = await db.query(`SELECT mime_type, width, height, size_bytes, path FROM media_files ORDER BY mime_type`);
+    assert.deepEqual(
+      files.rows.map((x) => [x.mime_type, x.width, x.height]),
+      [["image/gif", 1, 1], ["image/jpeg", 16, 8], ["image/png", 4, 3]]
+    );
+    for (const f of files.rows) assert.equal(fs.statSync(f.path).size, Number(f.size_bytes));
+
+    const media = await db.query(`SELECT url, status, sha256 FROM tweet_media ORDER BY url`);
+    const byUrl = Object.fromEntries(media.rows.map((x) => [x.url.slice(base.length), x]));
+    assert.equal(byUrl["/copy/photo.png"].sha256, byUrl["/img/photo.png"].sha256);
+    assert.equal(byUrl["/late/thumb.gif"].status, "failed");
+
+    // в S3: заново качаем jpeg, и --retry-failed поднимает упавший url
+    await db.query(`UPDATE tweet_media SET status = 'pending', sha256 = NULL WHERE url LIKE '%.jpg'`);
+    await db.query(`DELETE FROM media_files WHERE mime_type = 'image/jpeg'`);
+    lateReady = true;
+    const s3 = {
+      MEDIA_STORAGE: "s3",
+      MEDIA_S3_ENDPOINT: base,
+      MEDIA_S3_BUCKET: "archive",
+      MEDIA_S3_PREFIX: "x/",
+      MEDIA_S3_ACCESS_KEY_ID: "AKIDTEST",
+      MEDIA_S3_SECRET_ACCESS_KEY: "secret",
+    };
+    r = await runParserAsync(["archive-media", "--retry-failed"], { ...env, ...s3 });
+    assert.equal(r.status, 0, r.stdout + r.stderr);
+    assert.match(r.stdout, /archived=2 stored=1 deduped=1 failed=0 pending=0/);
+
+    assert.equal(puts.length, 1);
+    const jpg = fs.readFileSync(path.join(images, "photo.jpg"));
+    const sha = crypto.createHash("sha256").update(jpg).digest("hex");
+    assert.equal(puts[0].path, `/archive/x/${sha.slice(0, 2)}/${sha}.jpg`);
+    assert.deepEqual(puts[0].body, jpg);
+    assert.equal(puts[0].headers["x-amz-content-sha256"], sha);
+    assert.match(puts[0].headers.authorization, /^AWS4-HMAC-SHA256 Credential=AKIDTEST\/\d{8}\/us-east-1\/s3\/aws4_request, SignedHeaders=content-type;host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$/);
+    const stored = await db.query(`SELECT storage, path FROM media_files WHERE sha256 = $1`, [sha]);
+    assert.deepEqual(stored.rows[0], { storage: "s3", path: `s3://archive/x/${sha.slice(0, 2)}/${sha}.jpg` });
+  });
+});
+
+describe("spam detection", needsDb, () => {
+  const { db, envWith } = useReplayDb({ fixtures: false });
+
+  before(async () => {
+    const users = [
+      ["b1", "bot1", 5],
+      ["b2", "bot2", 3],
+      ["r1", "real", 5000],
+    ];
+    for (const [id, name, followers] of users) {
+      await db.query(`INSERT INTO users (user_id, username, followers) VALUES ($1, $2, $3)`, [id, name, followers]);
+    }
+
+    const tweets = [];
+    // bot1: шесть одинаковых постов со ссылкой за пять минут
+    for (let i = 0; i < 6; i++) {
+      tweets.push(["b1", "bot1", `${60 - i} minutes`, `Claim your FREE airdrop now, only ${100 + i} spots left https://scam.example/a${i}`]);
+    }
+    // bot2: почти тот же текст, без ссылок, но лайков на просмотры как у накрутки
+    for (let i = 0; i < 3; i++) tweets.push(["b2", "bot2", `${3 + i} hours`, `Hurry: claim your free airdrop NOW! Only ${250 + i} spots are left`]);
+    for (let i = 0; i < 3; i++) tweets.push(["r1", "real", `${3 + i} hours`, `Weekly update number ${i}: shipped ${["search", "exports", "alerts"][i]}`]);
+
+    for (const [i, [userId, username, ago, text]] of tweets.entries()) {
+      const tweetId = String(5000 + i);
+      await db.query(
+        `INSERT INTO community_tweets (community_id, tweet_id, created_at, author_user_id, author_username, text)
+         VALUES ($1, $2, now() - $3::interval, $4, $5, $6)`,
+        [COMMUNITY_ID, tweetId, ago, userId, username, text]
+      );
+      const [views, likes] = username === "bot2" ? [100, 50] : [1000, 20];
+      await db.query(`INSERT INTO tweet_metrics_latest (tweet_id, view_count, like_count) VALUES ($1, $2, $3)`, [tweetId, views, likes]);
+    }
+  });
+
+  test("score-spam flags duplicates, bursts, farmed likes and link spam; lists steer the leaderboard", async () => {
+    const run = (args, env = {}) => {
+      const r = runParser(args, envWith(env));
+      assert.equal(r.status, 0, r.stdout + r.stderr);
+      return r;
+    };
+    run(["reindex-entities"]);
+    assert.match(run(["score-spam"]).stdout, /2 suspicious authors/);
+
+    const flagged = JSON.parse(run(["suspicious", "--format=json"]).stdout);
+    assert.deepEqual(
+      flagged.map((x) => [x.username, x.score, x.reasons.map((y) => y.rule)]),
+      [
+        ["bot1", 1, ["duplicate_text", "burst", "link_spam"]],
+        ["bot2", 0.8, ["duplicate_text", "abnormal_engagement"]],
+      ]
+    );
+    assert.match(flagged[0].reasons[0].detail, /6 tweets share text with @bot2/);
+    assert.match(flagged[1].reasons[1].detail, /150 likes on 300 views \(3 followers\)/);
+
+    const authors = (env) => JSON.parse(run(["leaderboard", "--window=1d", "--format=json"], env).stdout).map((x) => x.username).sort();
+    assert.deepEqual(authors(), ["bot1", "bot2", "real"]);
+
+    run(["spam-list", "deny", "real", "--note=test"]);
+    assert.deepEqual(authors(), ["bot1", "bot2"]);
+    assert.deepEqual(authors({ SPAM_EXCLUDE_SCORE: "0.9" }), ["bot2"]);
+
+    run(["spam-list", "allow", "bot1"]);
+    assert.deepEqual(authors({ SPAM_EXCLUDE_SCORE: "0.9" }), ["bot1", "bot2"]);
+    const rescored = JSON.parse(run(["suspicious", "--rescore", "--format=json"]).stdout);
+    assert.deepEqual(rescored.map((x) => x.username), ["bot2"]);
+  });
+});
+
+describe("search", needsDb, () => {
+  const { db, envWith } = useReplayDb({ fixtures: false });
+
+  before(async () => {
+    const tweets = [
+      ["alice", "Running the new indexer on mainnet, quick fox mode", 10],
+      ["alice", "The fox is not quick today", 500],
+      ["bob", "Быстрые лисы бегают по ночам", 40],
+      ["bob", "Сегодня лиса была быстрой, но ленивой", 5],
+      ["carol", "Validators running slow again, dog of a day", 0],
+    ];
+    for (const [i, [username, text, likes]] of tweets.entries()) {
+      const tweetId = String(7000 + i);
+      await db.query(
+        `INSERT INTO community_tweets (community_id, tweet_id, created_at, author_username, text) VALUES ($1, $2, now() - $3::interval, $4, $5)`,
+        [COMMUNITY_ID, tweetId, `${i} hours`, username, text]
+      );
+      await db.query(`INSERT INTO tweet_metrics_latest (tweet_id, like_count) VALUES ($1, $2)`, [tweetId, likes]);
+    }
+  });
+
+  test("search stems English and Russian, handles phrases, exclusions, filters and typos", () => {
+    const search = (...args) => {
+      const r = runParser(["search", ...args, "--format=json"], envWith());
+      assert.equal(r.status, 0, r.stdout + r.stderr);
+      return JSON.parse(r.stdout);
+    };
+    const ids = (rows) => rows.map((x) => x.tweet_id);
+
+    assert.deepEqual(ids(search("runs")).sort(), ["7000", "7004"]);
+    assert.deepEqual(ids(search("быстрая лиса")).sort(), ["7002", "7003"]);
+    assert.deepEqual(ids(search('"quick fox"')), ["7000"]);
+    assert.deepEqual(ids(search("running -dog")), ["7000"]);
+    assert.deepEqual(ids(search("fox OR лиса", "--author=bob", "--sort=recent")), ["7002", "7003"]);
+    assert.deepEqual(ids(search("fox", "--sort=engagement")), ["7001", "7000"]);
+    assert.match(search("лиса", "--limit=1")[0].snippet, /\*\*лисы\*\*/);
+
+    // опечатка -> по словам пусто, находим триграммами
+    assert.deepEqual(ids(search("validatrs")), ["7004"]);
+  });
+});
+
+describe("insights", needsDb, () => {
+  const { db, envWith } = useReplayDb({ fixtures: false });
+
+  before(async () => {
+    const tweets = [
+      // 10:00 UTC три дня назад, с картинкой
+      ...[10, 20, 30, 40].map((likes) => ["3 days", 10, likes, ["https://pbs.twimg.com/media/a.jpg"], "Shipping the new bridge today, screenshots inside"]),
+      // 20:00 UTC, только текст
+      ...[1, 2, 3, 4].map((likes) => ["3 days", 20, likes, [], "gm"]),
+      ["4 days", 3, 5, [], "A single night post that should not look like a trend on its own"],
+      // свежий — ещё набирает реакции, не считается
+      ["0 days", 0, 1000, [], "fresh"],
+    ];
+    for (const [i, [daysAgo, hour, likes, media, text]] of tweets.entries()) {
+      const tweetId = String(8000 + i);
+      await db.query(
+        `INSERT INTO community_tweets (community_id, tweet_id, created_at, author_username, text, media_urls)
+         VALUES ($1, $2, CASE WHEN $3 = '0 days' THEN now() - interval '1 hour'
+                              ELSE date_trunc('day', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC' - $3::interval + make_interval(hours => $4) END,
+                 'author', $5, $6::jsonb)`,
+        [COMMUNITY_ID, tweetId, daysAgo, hour, text, JSON.stringify(media)]
+      );
+      await db.query(`INSERT INTO tweet_metrics_latest (tweet_id, like_count) VALUES ($1, $2)`, [tweetId, likes]);
+    }
+  });
+
+  test("insights reports percentiles per hour, content type and length above the sample floor", () => {
+    const insights = (...args) => {
+      const r = runParser(["insights", "--window=7d", "--min-sample=3", "--format=json", ...args], envWith());
+      assert.equal(r.status, 0, r.stdout + r.stderr);
+      return JSON.parse(r.stdout);
+    };
+
+    const res = insights();
+    assert.equal(res.tweets, 9);
+    const hour = (h) => res.hour.find((x) => x.hour === h);
+    assert.deepEqual([hour("10:00").tweets, hour("10:00").median, hour("10:00").vs_overall], [4, 25, 5]);
+    assert.equal(hour("20:00").median, 2.5);
+    // одна точка -> без цифр
+    assert.deepEqual([hour("03:00").tweets, hour("03:00").median], [1, null]);
+
+    const content = Object.fromEntries(res.content.map((x) => [x.content, x]));
+    assert.deepEqual([content.media.tweets, content.media.p90], [4, 37]);
+    assert.deepEqual([content.text_only.tweets, content.text_only.median], [5, 3]);
+    assert.deepEqual(res.length.map((x) => x.tweets), [8, 1, 0, 0, 0]);
+
+    const tokyo = insights("--tz=Asia/Tokyo", "--by=hour");
+    assert.equal(tokyo.hour.find((x) => x.hour === "19:00").tweets, 4);
+    assert.equal(tokyo.content, undefined);
+
+    const bad = runParser(["insights", "--tz=Mars/Base"], envWith());
+    assert.equal(bad.status, 1);
+    assert.match(bad.stderr, /invalid timezone/);
+  });
+});
+
+describe("daily rollups", needsDb, () => {
+  const { db, run } = useReplayDb();
+
+  test("rollups follow ingest and metric runs, community-stats reads only them", async () => {
+    const total = () => JSON.parse(run("community-stats", "--window=3d", "--by=total", "--format=json").stdout)[0];
+
+    assert.match(run("backfill").stdout, /rollups \[\d+\]: refreshed \d+ days \(first run\)/);
+    run("refresh-metrics", "--force");
+    const views = Number((await db.query(`SELECT sum(view_count) AS n FROM tweet_metrics_latest`)).rows[0].n);
+    const posters = Number((await db.query(`SELECT count(DISTINCT author_username) AS n FROM community_tweets`)).rows[0].n);
+    assert.deepEqual([total().posts, total().posters, total().view_count], [30, posters, views]);
+
+    // напрямую в базу -> в статистике только после пересчёта
+    await db.query(`UPDATE tweet_metrics_latest SET view_count = view_count + 1000, updated_at = now() WHERE tweet_id = '1900000000000000010'`);
+    await db.query(`INSERT INTO community_tweets (community_id, tweet_id, created_at, author_username) VALUES ($1, '1900000000000000999', now(), 'newbie')`, [COMMUNITY_ID]);
+    assert.equal(total().posts, 30);
+    assert.match(run("refresh-rollups").stdout, /refreshed [12] days/);
+    assert.deepEqual([total().posts, total().posters, total().view_count], [31, posters + 1, views + 1000]);
+
+    await db.query(`DELETE FROM daily_community_stats`);
+    await db.query(`DELETE FROM daily_author_stats`);
+    run("rebuild-rollups");
+    assert.deepEqual([total().posts, total().view_count], [31, views + 1000]);
+    const days = JSON.parse(run("community-stats", "--window=3d", "--format=json").stdout);
+    assert.equal(days.reduce((n, x) => n + x.posts, 0), 31);
+    assert.ok(days.every((x) => x.days === 1 && "median_views" in x));
+
+    // удалённый твит: день пересчитывается по deleted_at
+    await db.query(`UPDATE community_tweets SET deleted_at = now() WHERE tweet_id = '1900000000000000999'`);
+    assert.match(run("refresh-rollups").stdout, /refreshed 1 days/);
+    assert.equal(total().posts, 30);
+
+    // deny-список убирает автора из топа, как и из leaderboard
+    const top = () => JSON.parse(run("community-stats", "--window=3d", "--top-authors=20", "--format=json").stdout).top_authors;
+    const leader = top()[0].username;
+    run("spam-list", "deny", leader);
+    assert.ok(!top().some((x) => x.username === leader));
+  });
+});
+
+describe("watchlists", needsDb, () => {
+  const { db, run } = useReplayDb();
+
+  test("watchlists match tweets on ingest, rescan existing ones and report recent hits", async () => {
+    const hits = async (name) =>
+      (
+        await db.query(
+          `SELECT r.kind, count(*)::int AS n FROM watch_matches m JOIN watchlists w ON w.id = m.watchlist_id
+           JOIN watchlist_rules r ON r.id = m.rule_id WHERE w.name = $1 GROUP BY r.kind ORDER BY r.kind`,
+          [name]
+        )
+      ).rows.map((x) => [x.kind, x.n]);
+
+    // до ingest: правила есть, твитов нет
+    run("watchlist", "add", "people", "author", "@user3");
+    run("watchlist", "add", "people", "mention", "USER5");
+    run("backfill");
+    assert.deepEqual(await hits("people"), [["author", 4], ["mention", 4]]);
+
+    // после ingest: add перепроверяет уже собранное
+    assert.match(run("watchlist", "add", "coins", "keyword", "$btc").stdout, /rescanned 30 tweets, 30 new matches/);
+    assert.match(run("watchlist", "add", "coins", "regex", "tweet [12]\\d? about").stdout, /rescanned 30 tweets, 22 new matches/);
+    // слово целиком: "bul" не ловит "#bulk"
+    run("watchlist", "add", "coins", "keyword", "bul", "--no-rescan");
+    assert.match(run("watchlist", "rescan", "coins").stdout, /rescanned 30 tweets, 0 new matches/);
+    assert.deepEqual(await hits("coins"), [["keyword", 30], ["regex", 22]]);
+
+    const report = JSON.parse(run("watch-report", "--limit=2", "--format=json").stdout);
+    assert.deepEqual(report.map((x) => [x.watchlist, x.tweets, x.recent.length]), [["coins", 30, 2], ["people", 8, 2]]);
+    assert.equal(report[0].recent[1].matched, "keyword:$BTC, regex:tweet 1 about");
+
+    run("watchlist", "remove", "coins");
+    assert.deepEqual(await hits("coins"), []);
+  });
+});
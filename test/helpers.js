@@ -0,0 +1,186 @@
+// Shared helpers for the command tests: a throwaway Postgres database per run
+// and a replay copy of the recorded TwitterApiIO fixtures.
+import { before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFile, spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import pg from "pg";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// The community the recorded fixtures belong to.
+export const COMMUNITY_ID = "1493446837214187523";
+
+// describe() options: the database tests need a server to create databases on.
+export const needsDb = { skip: !process.env.TEST_DATABASE_URL && "TEST_DATABASE_URL is not set" };
+
+export function runMigrate(args, databaseUrl) {
+  return spawnSync(process.execPath, ["migrate.js", ...args], {
+    cwd: ROOT,
+    encoding: "utf8",
+    timeout: 60_000,
+    env: { ...process.env, DATABASE_URL: databaseUrl },
+  });
+}
+
+// TEST_DATABASE_URL must point at a server where we may CREATE/DROP DATABASE.
+export async function createTestDb({ migrate = true } = {}) {
+  const admin = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+  await admin.connect();
+  const name = `xparser_test_${process.pid}_${Date.now()}`;
+  await admin.query(`CREATE DATABASE ${name}`);
+  await admin.end();
+
+  const url = new URL(process.env.TEST_DATABASE_URL);
+  url.pathname = `/${name}`;
+  if (migrate) {
+    const r = runMigrate(["up"], url.toString());
+    if (r.status !== 0) throw new Error(`migrate.js failed: ${r.stderr}`);
+  }
+
+  const client = new pg.Client({ connectionString: url.toString() });
+  await client.connect();
+
+  return {
+    url: url.toString(),
+    query: (sql, params) => client.query(sql, params),
+    async drop() {
+      await client.end();
+      const a = new pg.Client({ connectionString: process.env.TEST_DATABASE_URL });
+      await a.connect();
+      await a.query(`DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+      await a.end();
+    },
+  };
+}
+
+function shiftDates(x, deltaMs) {
+  if (Array.isArray(x)) return x.map((v) => shiftDates(v, deltaMs));
+  if (!x || typeof x !== "object") return x;
+  const out = {};
+  for (const [k, v] of Object.entries(x)) {
+    out[k] = k === "createdAt" && typeof v === "string" ? new Date(Date.parse(v) + deltaMs).toUTCString() : shiftDates(v, deltaMs);
+  }
+  return out;
+}
+
+function mapBodies(dir, fn) {
+  for (const f of fs.readdirSync(dir)) {
+    const file = path.join(dir, f);
+    const fx = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const r of fx.responses) {
+      if (r.status !== 200) continue;
+      r.body = JSON.stringify(fn(JSON.parse(r.body)));
+    }
+    fs.writeFileSync(file, JSON.stringify(fx, null, 2));
+  }
+}
+
+// Copies test/fixtures/<name> to a temp dir and moves every createdAt so the
+// newest recorded tweet is "now": ingest-new and refresh-metrics filter by age.
+export function replayFixtures(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "xparser-fixtures-"));
+  fs.cpSync(path.join(ROOT, "test", "fixtures", name), dir, { recursive: true });
+
+  let newest = 0;
+  mapBodies(dir, (body) => {
+    for (const t of body.tweets || []) newest = Math.max(newest, Date.parse(t.createdAt) || 0);
+    return body;
+  });
+  const delta = Math.floor((Date.now() - newest) / 1000) * 1000;
+  mapBodies(dir, (body) => shiftDates(body, delta));
+
+  return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+// Path the replaying TwitterApiIO reads for GET apiPath?params (same scheme as TwitterApiIO._fixtureFile).
+export function fixtureFile(dir, apiPath, params) {
+  const qs = Object.keys(params)
+    .filter((k) => params[k] !== undefined && params[k] !== null && params[k] !== "")
+    .sort()
+    .map((k) => `${k}=${params[k]}`)
+    .join("&");
+  const hash = crypto.createHash("sha1").update(`${apiPath}?${qs}`).digest("hex").slice(0, 12);
+  return path.join(dir, `${apiPath.replace(/^\//, "").replace(/[^a-z0-9]+/gi, "_")}-${hash}.json`);
+}
+
+// Records 200 responses with the given bodies, replayed in order (the last one repeats).
+export function writeFixture(dir, apiPath, params, ...bodies) {
+  const responses = bodies.map((b) => ({ status: 200, headers: { "content-type": "application/json" }, body: JSON.stringify(b) }));
+  fs.writeFileSync(fixtureFile(dir, apiPath, params), JSON.stringify({ path: apiPath, params, responses }, null, 2));
+}
+
+const parserEnv = (env) => ({
+  ...process.env,
+  TWITTERAPI_MODE: "replay",
+  TWITTERAPI_IO_KEY: "",
+  MIN_REQUEST_INTERVAL_MS: "0",
+  ...env,
+});
+
+export function runParser(args, env = {}) {
+  return spawnSync(process.execPath, ["parser.js", ...args], {
+    cwd: ROOT,
+    encoding: "utf8",
+    timeout: 60_000,
+    env: parserEnv(env),
+  });
+}
+
+// Same as runParser, but keeps the event loop free for a server the test hosts itself.
+export function runParserAsync(args, env = {}) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, ["parser.js", ...args], { cwd: ROOT, timeout: 60_000, env: parserEnv(env) }, (err, stdout, stderr) => {
+      resolve({ status: err ? (err.code ?? 1) : 0, stdout, stderr });
+    });
+  });
+}
+
+// For a describe(): its own database and (unless fixtures: false) replay copy of the fixtures,
+// created in before() and dropped in after(). db and fixtures forward to them, so they can be
+// destructured up front but only used from hooks and tests. env is added to every run;
+// run() expects parser.js to exit 0.
+export function useReplayDb({ fixtures: withFixtures = true, env = {} } = {}) {
+  let testDb;
+  let replay;
+  before(async () => {
+    testDb = await createTestDb();
+    if (withFixtures) replay = replayFixtures("community");
+  });
+  after(async () => {
+    await testDb?.drop();
+    replay?.cleanup();
+  });
+
+  const envWith = (extra = {}) => ({
+    DATABASE_URL: testDb.url,
+    ...(replay && { TWITTERAPI_FIXTURES_DIR: replay.dir }),
+    COMMUNITY_ID,
+    ...env,
+    ...extra,
+  });
+  const run = (...args) => {
+    const r = runParser(args, envWith());
+    assert.equal(r.status, 0, r.stdout + r.stderr);
+    return r;
+  };
+  return {
+    db: {
+      get url() {
+        return testDb.url;
+      },
+      query: (sql, params) => testDb.query(sql, params),
+    },
+    fixtures: {
+      get dir() {
+        return replay.dir;
+      },
+    },
+    envWith,
+    run,
+  };
+}
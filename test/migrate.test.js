@@ -0,0 +1,64 @@
+import { describe, test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createTestDb, runMigrate } from "./helpers.js";
+
+const MIGRATIONS = fs.readdirSync(new URL("../migrations/", import.meta.url)).filter((f) => f.endsWith(".sql")).length;
+
+describe("migrate.js", { skip: !process.env.TEST_DATABASE_URL && "TEST_DATABASE_URL is not set" }, () => {
+  let db;
+
+  afterEach(async () => {
+    await db?.drop();
+    db = null;
+  });
+
+  test("a fresh database gets every migration once", async () => {
+    db = await createTestDb({ migrate: false });
+
+    const first = runMigrate(["up"], db.url);
+    assert.equal(first.status, 0, first.stderr);
+    const applied = await db.query(`SELECT count(*)::int AS n FROM schema_migrations`);
+    assert.equal(applied.rows[0].n, MIGRATIONS);
+
+    const again = runMigrate(["up"], db.url);
+    assert.equal(again.status, 0, again.stderr);
+    assert.match(again.stdout, /Schema is up to date/);
+  });
+
+  test("--dry-run checks pending migrations without committing them", async () => {
+    db = await createTestDb({ migrate: false });
+
+    const r = runMigrate(["up", "--dry-run"], db.url);
+    assert.equal(r.status, 0, r.stderr);
+    assert.match(r.stdout, /would apply 001_/);
+
+    const t = await db.query(`SELECT to_regclass('community_tweets') AS t`);
+    assert.equal(t.rows[0].t, null);
+
+    const status = runMigrate(["status"], db.url);
+    assert.match(status.stdout, new RegExp(`${MIGRATIONS} pending migration`));
+  });
+
+  test("a database created from the old schema.sql converges", async () => {
+    db = await createTestDb({ migrate: false });
+    await db.query(fs.readFileSync(new URL("./fixtures/legacy_schema.sql", import.meta.url), "utf8"));
+    await db.query(`INSERT INTO community_tweets (tweet_id, community_id, author_id, text) VALUES ('1', 'c1', 'u1', 'hi')`);
+    await db.query(`INSERT INTO ingest_state (key, value) VALUES ('cursor', 'abc')`);
+
+    const r = runMigrate(["up"], db.url);
+    assert.equal(r.status, 0, r.stderr);
+
+    const tweet = await db.query(`SELECT author_user_id, media_urls FROM community_tweets WHERE tweet_id = '1'`);
+    assert.deepEqual(tweet.rows[0], { author_user_id: "u1", media_urls: null });
+
+    const pk = await db.query(
+      `SELECT pg_get_constraintdef(oid) AS def FROM pg_constraint WHERE conrelid = 'community_tweets'::regclass AND contype = 'p'`
+    );
+    assert.equal(pk.rows[0].def, "PRIMARY KEY (community_id, tweet_id)");
+
+    await db.query(`INSERT INTO ingest_state (community_id, backfill_cursor) VALUES ('c1', NULL)`);
+    const legacy = await db.query(`SELECT value FROM ingest_state_legacy WHERE key = 'cursor'`);
+    assert.equal(legacy.rows[0].value, "abc");
+  });
+});